@@ -0,0 +1,76 @@
+import cluster from "cluster"
+import crypto from "crypto"
+import fs from "fs"
+import { createServer } from "http"
+import os from "os"
+import path from "path"
+import { fileURLToPath } from "url"
+import { setupMaster } from "@socket.io/sticky"
+import { setupPrimary } from "@socket.io/cluster-adapter"
+import { storage, EPHEMERAL_COLLECTIONS } from "./storage/index.js"
+import { setupStorageHub } from "./storage/clusterStorage.js"
+import { setupRateLimitHub } from "./utils/rateLimit.js"
+import { recordingUtils, RECORDINGS_DIR } from "./models/recordingModel.js"
+
+// Multi-instance mode: one primary owning the port, N workers running server.js
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const PORT = process.env.PORT || 5055
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS) || os.cpus().length
+
+const httpServer = createServer()
+
+// Route each Socket.IO session to the same worker (needed for HTTP long-polling)
+setupMaster(httpServer, { loadBalancingMethod: "least-connection" })
+
+// Relay Socket.IO broadcasts between workers
+setupPrimary()
+
+// Share rooms, participants and chat between workers
+setupStorageHub(storage, { ephemeral: EPHEMERAL_COLLECTIONS })
+
+// Count HTTP rate limits for all workers in one place
+setupRateLimitHub()
+
+// Workers must sign and check join tokens with the same secret
+if (!process.env.JOIN_TOKEN_SECRET) {
+  console.warn("⚠️ JOIN_TOKEN_SECRET is not set - using a random secret, join tokens will not survive a restart")
+  process.env.JOIN_TOKEN_SECRET = crypto.randomBytes(32).toString("hex")
+}
+
+// Import old recording metadata here, once - every worker doing it would create duplicates
+fs.mkdirSync(RECORDINGS_DIR, { recursive: true })
+recordingUtils.importLegacyMetadata(RECORDINGS_DIR)
+
+// "advanced" serialization keeps request chunks as Buffers over IPC
+cluster.setupPrimary({ exec: path.join(__dirname, "server.js"), serialization: "advanced" })
+
+for (let i = 0; i < WORKERS; i++) {
+  cluster.fork()
+}
+
+let isShuttingDown = false
+
+// Replace workers that crash
+cluster.on("exit", (worker, code, signal) => {
+  if (isShuttingDown || code === 0) return
+
+  console.log(`⚠️ Worker ${worker.process.pid} exited (${signal || code}), starting a new one`)
+  cluster.fork()
+})
+
+// Write pending storage changes before exiting
+const shutdown = (signal) => {
+  isShuttingDown = true
+  console.log(`🛑 Received ${signal}, saving state...`)
+  storage.flush()
+  process.exit(0)
+}
+process.on("SIGINT", shutdown)
+process.on("SIGTERM", shutdown)
+
+httpServer.listen(PORT, () => {
+  console.log(`🚀 Google Meet Clone cluster running on port ${PORT} with ${WORKERS} workers`)
+})
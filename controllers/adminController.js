@@ -0,0 +1,143 @@
+import { rooms, participants, roomUtils } from "../models/roomModel.js"
+import { deviceSessionUtils } from "../models/deviceSessionModel.js"
+import { settingsUtils, validateSettings } from "../models/settingsModel.js"
+
+// Everything an operator needs to know about a room, including who is in it on which device
+const toAdminRoomInfo = (room) => {
+  // Devices whose connection dropped keep their place for a while
+  const heldDevices = new Map(
+    deviceSessionUtils.listHeldSessions(room.code).map((session) => [session.deviceId, session.disconnectedAt]),
+  )
+
+  return {
+    code: room.code,
+    parentCode: room.parentCode,
+    breakoutName: room.breakoutName,
+    ownerEmail: room.ownerEmail,
+    hostEmail: room.hostEmail,
+    coHosts: Array.from(room.coHosts),
+    createdAt: room.createdAt,
+    opensAt: room.opensAt,
+    isActive: room.participants.size > 0,
+    isEnded: room.isEnded,
+    isLocked: room.isLocked,
+    hasPasscode: !!room.passcodeHash,
+    waitingRoomEnabled: room.waitingRoomEnabled,
+    maxParticipants: room.maxParticipants,
+    participantCount: room.getParticipantCount(),
+    deviceCount: room.participants.size,
+    participants: room.getParticipantList().map((person) => ({
+      ...person,
+      devices: person.devices.map((device) => ({
+        ...device,
+        disconnectedAt: heldDevices.get(device.socketId) || null,
+      })),
+    })),
+    lobby: room.getLobbyList().map(({ socketId, userEmail, requestedAt }) => ({ socketId, userEmail, requestedAt })),
+    removedEmails: Array.from(room.removedEmails),
+    breakoutStatus: room.breakout?.status || null,
+    messageCount: room.messages.length,
+  }
+}
+
+// Admin Controller - Operator views of every room and server-wide settings (admin token required).
+// Actions that reach into live meetings (closing rooms, removing people, announcements) are
+// handled in server.js, next to the Socket.IO server.
+export class AdminController {
+  // List rooms with their participants (?active=true for rooms with someone in them)
+  static async listRooms(req, res) {
+    try {
+      const list = Array.from(rooms.values())
+        .filter((room) => req.query.active !== "true" || room.participants.size > 0)
+        .map(toAdminRoomInfo)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+      res.json({
+        success: true,
+        data: list,
+        total: list.length,
+        totals: {
+          participants: list.reduce((total, room) => total + room.participantCount, 0),
+          connectedDevices: participants.size,
+        },
+      })
+    } catch (error) {
+      console.error("Error in listRooms:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Get one room
+  static async getRoom(req, res) {
+    try {
+      const room = roomUtils.getRoom(req.params.code)
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting room not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: toAdminRoomInfo(room),
+      })
+    } catch (error) {
+      console.error("Error in getRoom:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Get the server-wide defaults
+  static async getSettings(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: settingsUtils.getSettings(),
+      })
+    } catch (error) {
+      console.error("Error in getSettings:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Change server-wide defaults - rooms created from now on use them
+  static async updateSettings(req, res) {
+    try {
+      const changes = req.body || {}
+      const validationError =
+        typeof changes !== "object" || Array.isArray(changes) ? "Settings must be an object" : validateSettings(changes)
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        })
+      }
+
+      const settings = settingsUtils.updateSettings(changes)
+
+      console.log(`⚙️ Server settings changed: ${JSON.stringify(changes)}`)
+
+      res.json({
+        success: true,
+        data: settings,
+        message: "Settings updated. They apply to rooms created from now on.",
+      })
+    } catch (error) {
+      console.error("Error in updateSettings:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
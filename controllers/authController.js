@@ -0,0 +1,140 @@
+import { roomUtils } from "../models/roomModel.js"
+import { isAdminRequest } from "../middleware/adminAuth.js"
+import {
+  allowsGuestJoin,
+  getRequestToken,
+  issueJoinToken,
+  verifyJoinToken,
+  JOIN_TOKEN_MAX_TTL_SECONDS,
+} from "../utils/joinToken.js"
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const codeRegex = /^[A-Z0-9]{3,12}$/i
+
+// Response body for a freshly signed token
+const toTokenInfo = ({ token, expiresAt, claims }) => ({
+  token,
+  expiresAt,
+  email: claims.sub,
+  roomCode: claims.room || null,
+  joinUrl: claims.room ? `/join/${encodeURIComponent(claims.sub)}/${claims.room}?token=${token}` : null,
+})
+
+// Auth Controller - Signed join tokens
+export class AuthController {
+  // Issue a join token. With the admin token any email, meeting (or none) and lifetime
+  // can be requested; guests (when allowed) get a default-length guest token for an existing
+  // meeting, which never carries a role and can't use an email a signed-in participant has.
+  static async issueJoinToken(req, res) {
+    try {
+      const { email, roomCode, expiresIn } = req.body || {}
+      const isAdmin = isAdminRequest(req)
+
+      if (!isAdmin && !allowsGuestJoin()) {
+        return res.status(403).json({
+          success: false,
+          error: "Join tokens are issued by your organisation - use the link you were sent",
+        })
+      }
+
+      if (!email || !emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid email is required",
+        })
+      }
+
+      if (roomCode !== undefined && roomCode !== null && !codeRegex.test(roomCode)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid meeting code format",
+        })
+      }
+
+      const room = roomCode ? roomUtils.getRoom(roomCode) : null
+      if (!isAdmin && !room) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting room not found. Please check the meeting code.",
+        })
+      }
+
+      if (!isAdmin && room.isReservedEmail(email)) {
+        return res.status(403).json({
+          success: false,
+          error: "This email belongs to a signed-in participant - use the link you were sent",
+        })
+      }
+
+      if (!isAdmin && room.isGuest(email)) {
+        return res.status(403).json({
+          success: false,
+          error: "Another guest is already using this email in this meeting",
+        })
+      }
+
+      const lifetime = isAdmin && expiresIn !== undefined ? parseInt(expiresIn) : undefined
+      if (lifetime !== undefined && !(lifetime >= 60 && lifetime <= JOIN_TOKEN_MAX_TTL_SECONDS)) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresIn must be between 60 and ${JOIN_TOKEN_MAX_TTL_SECONDS} seconds`,
+        })
+      }
+
+      const issued = issueJoinToken({ email, roomCode: roomCode || null, expiresIn: lifetime, guest: !isAdmin })
+
+      res.status(201).json({
+        success: true,
+        data: toTokenInfo(issued),
+      })
+    } catch (error) {
+      console.error("Error in issueJoinToken:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Swap a still-valid guest token for a fresh one with the same email and meeting
+  static async refreshJoinToken(req, res) {
+    try {
+      if (!allowsGuestJoin()) {
+        return res.status(403).json({
+          success: false,
+          error: "Join tokens are issued by your organisation and cannot be refreshed",
+        })
+      }
+
+      let claims
+      try {
+        claims = verifyJoinToken(getRequestToken(req) || req.body?.token)
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: error.message,
+        })
+      }
+
+      if (!claims.guest) {
+        return res.status(403).json({
+          success: false,
+          error: "Only guest tokens can be refreshed - ask whoever issued yours for a new one",
+        })
+      }
+
+      const issued = issueJoinToken({ email: claims.sub, roomCode: claims.room, guest: true, guestId: claims.guestId || undefined })
+
+      res.status(201).json({
+        success: true,
+        data: toTokenInfo(issued),
+      })
+    } catch (error) {
+      console.error("Error in refreshJoinToken:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { buildIceConfig, hasTurnServer } from "../utils/iceConfig.js"
+import { getRequesterClaims } from "../utils/requester.js"
+
+// ICE Controller - STUN/TURN settings for the meeting page's peer connections
+export class IceController {
+  // ICE servers with short-lived TURN credentials (?relay=true to only use TURN)
+  static async getIceConfig(req, res) {
+    try {
+      // TURN relays cost bandwidth, so credentials only go to holders of a join token
+      const email = getRequesterClaims(req)?.sub
+      if (!email) {
+        return res.status(401).json({
+          success: false,
+          error: "A valid join token is required",
+        })
+      }
+
+      const relayOnly = req.query.relay === "true"
+      if (relayOnly && !hasTurnServer()) {
+        return res.status(409).json({
+          success: false,
+          error: "Relay-only mode needs a TURN server, and none is configured",
+        })
+      }
+
+      // Credentials are per user and short-lived - never cache them
+      res.setHeader("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        data: buildIceConfig(email, { relayOnly }),
+      })
+    } catch (error) {
+      console.error("Error in getIceConfig:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
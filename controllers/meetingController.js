@@ -0,0 +1,339 @@
+import { meetingUtils } from "../models/meetingModel.js"
+import { isAdminRequest } from "../middleware/adminAuth.js"
+import { issueJoinToken, tokenAllowsRoom } from "../utils/joinToken.js"
+import { getRequesterClaims, getRequesterEmail } from "../utils/requester.js"
+import { buildMeetingInvite } from "../utils/ics.js"
+
+// No quotes: invitee emails are written into quoted invite parameters
+const emailRegex = /^[^\s@"]+@[^\s@"]+\.[^\s@"]+$/
+const rruleRegex = /^FREQ=(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)(;[A-Z]+=[A-Z0-9,+\-:]+)*$/
+
+// Check an IANA time zone name
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Validate meeting fields, returning an error message or null
+const validateMeetingFields = (fields, { partial = false } = {}) => {
+  const { title, startTime, endTime, timeZone, invitees, recurrence, ownerEmail } = fields
+
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== "string" || title.length > 200) {
+      return "Title is required and must be at most 200 characters"
+    }
+  }
+
+  if (!partial && (!ownerEmail || !emailRegex.test(ownerEmail))) {
+    return "A valid owner email is required"
+  }
+
+  if (!partial || startTime !== undefined || endTime !== undefined) {
+    const start = new Date(startTime)
+    const end = new Date(endTime)
+    if (isNaN(start) || isNaN(end)) {
+      return "startTime and endTime must be valid ISO 8601 dates"
+    }
+    if (end <= start) {
+      return "endTime must be after startTime"
+    }
+  }
+
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return "Invalid time zone"
+  }
+
+  if (invitees !== undefined) {
+    if (!Array.isArray(invitees) || !invitees.every((email) => emailRegex.test(email))) {
+      return "Invitees must be an array of valid emails"
+    }
+  }
+
+  if (recurrence !== undefined && recurrence !== null && !rruleRegex.test(recurrence)) {
+    return "Recurrence must be an RRULE such as FREQ=WEEKLY;BYDAY=MO"
+  }
+
+  return null
+}
+
+// Strip an optional "RRULE:" prefix from recurrence input
+const normalizeRecurrence = (recurrence) =>
+  typeof recurrence === "string" ? recurrence.replace(/^RRULE:/i, "").toUpperCase() : recurrence
+
+// Absolute join URL for a meeting, personalised when an email is known
+const getJoinUrl = (req, meeting, email) => {
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  return email ? `${baseUrl}/join/${encodeURIComponent(email)}/${meeting.roomCode}` : `${baseUrl}/?code=${meeting.roomCode}`
+}
+
+// Only the owner (with a verified token for the meeting, or one good for every meeting) or an
+// admin may change a meeting. Sends the error response and returns false otherwise
+const checkCanManage = (req, res, meeting) => {
+  if (isAdminRequest(req)) return true
+
+  const email = getRequesterEmail(req, { room: { code: meeting.roomCode } })
+  if (!email) {
+    res.status(401).json({
+      success: false,
+      error: "The owner's join token is required",
+    })
+    return false
+  }
+
+  if (email !== meeting.ownerEmail) {
+    res.status(403).json({
+      success: false,
+      error: "Only the meeting owner can change this meeting",
+    })
+    return false
+  }
+
+  return true
+}
+
+// Meeting Controller - Scheduling meetings ahead of time
+export class MeetingController {
+  // Schedule a meeting
+  static async createMeeting(req, res) {
+    try {
+      const body = { ...req.body, recurrence: normalizeRecurrence(req.body?.recurrence) }
+
+      const validationError = validateMeetingFields(body)
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        })
+      }
+
+      const meeting = await meetingUtils.createMeeting({
+        title: body.title,
+        description: body.description,
+        startTime: body.startTime,
+        endTime: body.endTime,
+        timeZone: body.timeZone,
+        invitees: body.invitees,
+        recurrence: body.recurrence,
+        ownerEmail: body.ownerEmail,
+        passcode: body.passcode,
+      })
+
+      // The owner updates or cancels the meeting with this token - it is good for this meeting only
+      const { token, expiresAt } = issueJoinToken({ email: meeting.ownerEmail, roomCode: meeting.roomCode })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...meeting.getInfo(),
+          joinUrl: getJoinUrl(req, meeting),
+          inviteUrl: `/api/meetings/${meeting.id}/invite.ics`,
+          token,
+          tokenExpiresAt: expiresAt,
+        },
+        message: "Meeting scheduled",
+      })
+    } catch (error) {
+      console.error("Error in createMeeting:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // List scheduled meetings - admins see all of them, everyone else the ones they own or are invited to
+  static async listMeetings(req, res) {
+    try {
+      const { ownerEmail, invitee, from, to, includeCancelled } = req.query
+
+      const isAdmin = isAdminRequest(req)
+      const claims = isAdmin ? null : getRequesterClaims(req)
+      if (!isAdmin && (!claims || claims.guest)) {
+        return res.status(401).json({
+          success: false,
+          error: "A join token is required",
+        })
+      }
+
+      // A token for one meeting only lists that meeting
+      const list = meetingUtils
+        .listMeetings({
+          ownerEmail,
+          invitee,
+          from: from ? new Date(from) : null,
+          to: to ? new Date(to) : null,
+          includeCancelled: includeCancelled === "true",
+        })
+        .filter(
+          (meeting) =>
+            isAdmin ||
+            (tokenAllowsRoom(claims, { code: meeting.roomCode }) &&
+              (meeting.ownerEmail === claims.sub || meeting.invitees.includes(claims.sub))),
+        )
+
+      res.json({
+        success: true,
+        data: list.map((meeting) => meeting.getInfo()),
+        total: list.length,
+      })
+    } catch (error) {
+      console.error("Error in listMeetings:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Get a scheduled meeting
+  static async getMeeting(req, res) {
+    try {
+      const meeting = meetingUtils.getMeeting(req.params.id)
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...meeting.getInfo(),
+          joinUrl: getJoinUrl(req, meeting),
+          inviteUrl: `/api/meetings/${meeting.id}/invite.ics`,
+        },
+      })
+    } catch (error) {
+      console.error("Error in getMeeting:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Update a scheduled meeting
+  static async updateMeeting(req, res) {
+    try {
+      const meeting = meetingUtils.getMeeting(req.params.id)
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting not found",
+        })
+      }
+
+      if (!checkCanManage(req, res, meeting)) return
+
+      if (meeting.status === "cancelled") {
+        return res.status(409).json({
+          success: false,
+          error: "Cancelled meetings cannot be updated",
+        })
+      }
+
+      const changes = { ...req.body }
+      if (changes.recurrence !== undefined) {
+        changes.recurrence = normalizeRecurrence(changes.recurrence)
+      }
+
+      // Validate times together so a partial update can't invert the range
+      const validationError = validateMeetingFields(
+        {
+          ...changes,
+          startTime: changes.startTime ?? meeting.startTime.toISOString(),
+          endTime: changes.endTime ?? meeting.endTime.toISOString(),
+        },
+        { partial: true },
+      )
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        })
+      }
+
+      meetingUtils.updateMeeting(meeting.id, changes)
+
+      res.json({
+        success: true,
+        data: {
+          ...meeting.getInfo(),
+          joinUrl: getJoinUrl(req, meeting),
+          inviteUrl: `/api/meetings/${meeting.id}/invite.ics`,
+        },
+        message: "Meeting updated. Send the new invite to attendees.",
+      })
+    } catch (error) {
+      console.error("Error in updateMeeting:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Cancel a scheduled meeting
+  static async cancelMeeting(req, res) {
+    try {
+      const meeting = meetingUtils.getMeeting(req.params.id)
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting not found",
+        })
+      }
+
+      if (!checkCanManage(req, res, meeting)) return
+
+      meetingUtils.cancelMeeting(meeting.id)
+
+      res.json({
+        success: true,
+        data: {
+          ...meeting.getInfo(),
+          inviteUrl: `/api/meetings/${meeting.id}/invite.ics`,
+        },
+        message: "Meeting cancelled. Send the cancellation invite to attendees.",
+      })
+    } catch (error) {
+      console.error("Error in cancelMeeting:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Download the .ics invite (or cancellation) for a meeting
+  static async downloadInvite(req, res) {
+    try {
+      const meeting = meetingUtils.getMeeting(req.params.id)
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting not found",
+        })
+      }
+
+      const email = req.query.email && emailRegex.test(req.query.email) ? req.query.email : null
+      const ics = buildMeetingInvite(meeting, { joinUrl: getJoinUrl(req, meeting, email), domain: req.hostname })
+      const method = meeting.status === "cancelled" ? "CANCEL" : "REQUEST"
+
+      res.setHeader("Content-Type", `text/calendar; charset=utf-8; method=${method}`)
+      res.setHeader("Content-Disposition", `attachment; filename="meeting-${meeting.roomCode}.ics"`)
+      res.send(ics)
+    } catch (error) {
+      console.error("Error in downloadInvite:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
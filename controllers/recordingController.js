@@ -0,0 +1,550 @@
+import fs from "fs"
+import { recordingUtils } from "../models/recordingModel.js"
+import { MAX_UPLOAD_BYTES, MAX_UPLOAD_CHUNKS, uploadUtils } from "../models/uploadModel.js"
+import { recordingProcessor } from "../utils/recordingProcessor.js"
+import { webhookDispatcher } from "../utils/webhookDispatcher.js"
+import { roomUtils } from "../models/roomModel.js"
+import { getRequesterClaims, getRequesterEmail } from "../utils/requester.js"
+import { tokenAllowsRoom } from "../utils/joinToken.js"
+
+const codeRegex = /^[A-Z0-9]{3,12}$/i
+
+// A recording's room, or just its code once the room is gone
+const getRecordingRoom = (recording) => roomUtils.getRoom(recording.roomCode) || { code: recording.roomCode }
+
+// Public view of a recording's metadata
+const toRecordingInfo = (recording) => {
+  const outputs = recording.outputs || {}
+
+  return {
+    id: recording.id,
+    filename: recording.filename,
+    roomCode: recording.roomCode,
+    userEmail: recording.userEmail,
+    recordingType: recording.recordingType,
+    participantCount: recording.participantCount,
+    duration: recording.duration,
+    fileSize: recording.fileSize,
+    codecs: recording.codecs || null,
+    uploadedAt: recording.uploadedAt,
+    processing: recording.processing || null,
+    streamUrl: `/api/recordings/${recording.id}/stream`,
+    mp4Url: outputs.mp4 ? `/api/recordings/${recording.id}/stream?format=mp4` : null,
+    thumbnails: outputs.thumbnails
+      ? {
+          url: `/api/recordings/${recording.id}/thumbnails`,
+          count: outputs.thumbnails.count,
+          width: outputs.thumbnails.width,
+        }
+      : null,
+  }
+}
+
+// Look up a recording the requester is allowed to see, or send the error response
+const findAccessibleRecording = (req, res) => {
+  const recording = recordingUtils.getRecording(req.params.id)
+  if (!recording) {
+    res.status(404).json({
+      success: false,
+      error: "Recording not found",
+    })
+    return null
+  }
+
+  const email = getRequesterEmail(req, { room: getRecordingRoom(recording) })
+  if (!email) {
+    res.status(401).json({
+      success: false,
+      error: "A verified join token is required to access recordings",
+    })
+    return null
+  }
+
+  if (!recordingUtils.canAccess(recording, email)) {
+    res.status(403).json({
+      success: false,
+      error: "Only the uploader and the room's hosts can access this recording",
+    })
+    return null
+  }
+
+  return recording
+}
+
+// Look up an upload session opened by the requester, or send the error response. The
+// uploader keeps going with a token for the same email - a guest's only if they opened it
+// as a guest - even after the meeting has ended
+const findUploadSession = (req, res) => {
+  const session = uploadUtils.getSession(req.params.uploadId)
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: "Upload session not found or expired",
+    })
+    return null
+  }
+
+  const claims = getRequesterClaims(req)
+  if (!claims) {
+    res.status(401).json({
+      success: false,
+      error: "A join token for this meeting is required",
+    })
+    return null
+  }
+
+  const isUploader =
+    claims.sub === session.userEmail &&
+    tokenAllowsRoom(claims, { code: session.roomCode }) &&
+    (!claims.guest || session.isGuest)
+  if (!isUploader) {
+    res.status(403).json({
+      success: false,
+      error: "Only the person who started this upload can continue it",
+    })
+    return null
+  }
+
+  return session
+}
+
+// Recording Controller - Uploading, browsing, streaming and deleting recordings
+export class RecordingController {
+  // List recordings the requester can access
+  static async listRecordings(req, res) {
+    try {
+      // A token for one meeting only lists that meeting's recordings
+      const claims = getRequesterClaims(req)
+      if (!claims || claims.guest) {
+        return res.status(401).json({
+          success: false,
+          error: "A verified join token is required to access recordings",
+        })
+      }
+
+      const { roomCode, uploader, type, from, to } = req.query
+      const page = Math.max(parseInt(req.query.page) || 1, 1)
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+      const fromDate = from ? new Date(from) : null
+      const toDate = to ? new Date(to) : null
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          error: "from and to must be valid dates",
+        })
+      }
+
+      const list = recordingUtils
+        .listRecordings({
+          roomCode: roomCode ? roomCode.toUpperCase() : null,
+          userEmail: uploader,
+          recordingType: type,
+          from: fromDate,
+          to: toDate,
+        })
+        .filter(
+          (recording) =>
+            tokenAllowsRoom(claims, getRecordingRoom(recording)) && recordingUtils.canAccess(recording, claims.sub),
+        )
+
+      const start = (page - 1) * limit
+
+      res.json({
+        success: true,
+        data: list.slice(start, start + limit).map(toRecordingInfo),
+        pagination: {
+          page,
+          limit,
+          total: list.length,
+          totalPages: Math.ceil(list.length / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Error in listRecordings:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Get recording metadata
+  static async getRecording(req, res) {
+    try {
+      const recording = findAccessibleRecording(req, res)
+      if (!recording) return
+
+      res.json({
+        success: true,
+        data: toRecordingInfo(recording),
+      })
+    } catch (error) {
+      console.error("Error in getRecording:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Stream a recording, honouring Range requests so players can seek
+  static async streamRecording(req, res) {
+    try {
+      const recording = findAccessibleRecording(req, res)
+      if (!recording) return
+
+      // ?format=mp4 serves the transcoded copy once processing has made one
+      const wantsMp4 = req.query.format === "mp4"
+      const filename = wantsMp4 ? recording.outputs?.mp4 : recording.filename
+      if (!filename) {
+        return res.status(404).json({
+          success: false,
+          error: "No MP4 version of this recording is available",
+        })
+      }
+
+      const filePath = recordingUtils.getFilePath(recording, filename)
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({
+          success: false,
+          error: "Recording file is missing",
+        })
+      }
+
+      const fileSize = fs.statSync(filePath).size
+      const disposition = req.query.download === "true" ? "attachment" : "inline"
+
+      res.setHeader("Content-Type", wantsMp4 ? "video/mp4" : "video/webm")
+      res.setHeader("Accept-Ranges", "bytes")
+      res.setHeader("Content-Disposition", `${disposition}; filename="${filename}"`)
+
+      const range = req.headers.range
+      if (!range) {
+        res.setHeader("Content-Length", fileSize)
+        return fs.createReadStream(filePath).pipe(res)
+      }
+
+      // Single byte range: "bytes=start-end", "bytes=start-" or "bytes=-suffix"
+      const match = /^bytes=(\d*)-(\d*)$/.exec(range)
+      let start = match && match[1] !== "" ? parseInt(match[1]) : null
+      let end = match && match[2] !== "" ? parseInt(match[2]) : null
+
+      if (start === null && end !== null) {
+        start = Math.max(fileSize - end, 0)
+        end = fileSize - 1
+      } else if (end === null || end >= fileSize) {
+        end = fileSize - 1
+      }
+
+      if (!match || start === null || start > end || start >= fileSize) {
+        res.setHeader("Content-Range", `bytes */${fileSize}`)
+        return res.status(416).end()
+      }
+
+      res.status(206)
+      res.setHeader("Content-Range", `bytes ${start}-${end}/${fileSize}`)
+      res.setHeader("Content-Length", end - start + 1)
+      fs.createReadStream(filePath, { start, end }).pipe(res)
+    } catch (error) {
+      console.error("Error in streamRecording:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Thumbnail strip made by post-processing
+  static async getThumbnails(req, res) {
+    try {
+      const recording = findAccessibleRecording(req, res)
+      if (!recording) return
+
+      const thumbnails = recording.outputs?.thumbnails
+      if (!thumbnails) {
+        return res.status(404).json({
+          success: false,
+          error: "Thumbnails are not available for this recording",
+        })
+      }
+
+      res.sendFile(recordingUtils.getFilePath(recording, thumbnails.filename))
+    } catch (error) {
+      console.error("Error in getThumbnails:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Run post-processing again, e.g. after installing ffmpeg
+  static async processRecording(req, res) {
+    try {
+      const recording = findAccessibleRecording(req, res)
+      if (!recording) return
+
+      if (["queued", "running"].includes(recording.processing?.status)) {
+        return res.status(409).json({
+          success: false,
+          error: "This recording is already being processed",
+        })
+      }
+
+      recordingProcessor.enqueue(recording.id)
+
+      res.status(202).json({
+        success: true,
+        data: toRecordingInfo(recordingUtils.getRecording(recording.id)),
+      })
+    } catch (error) {
+      console.error("Error in processRecording:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Delete a recording and its file
+  static async deleteRecording(req, res) {
+    try {
+      const recording = findAccessibleRecording(req, res)
+      if (!recording) return
+
+      recordingUtils.deleteRecording(recording.id)
+      console.log(`🗑️ Recording ${recording.filename} deleted by ${getRequesterClaims(req).sub}`)
+
+      res.json({
+        success: true,
+        message: "Recording deleted",
+      })
+    } catch (error) {
+      console.error("Error in deleteRecording:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Open a chunked upload session
+  static async createUpload(req, res) {
+    try {
+      const { roomCode, recordingType, participantCount } = req.body || {}
+      if (typeof roomCode !== "string" || !codeRegex.test(roomCode)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid meeting code is required",
+        })
+      }
+
+      const room = roomUtils.getRoom(roomCode)
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting room not found",
+        })
+      }
+
+      // Guests can record the meeting they are in; the uploader is whoever the token names
+      const userEmail = getRequesterEmail(req, { room, allowGuest: true })
+      if (!userEmail) {
+        return res.status(401).json({
+          success: false,
+          error: "A join token for this meeting is required",
+        })
+      }
+
+      const session = uploadUtils.createSession({
+        roomCode: room.code,
+        userEmail,
+        isGuest: room.isGuest(userEmail),
+        recordingType,
+        participantCount,
+      })
+      console.log(`📹 Recording upload ${session.id} opened by ${userEmail} in room ${room.code}`)
+
+      res.status(201).json({
+        success: true,
+        data: { uploadId: session.id, receivedChunks: [] },
+      })
+    } catch (error) {
+      console.error("Error in createUpload:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Report which chunks have arrived so a client can resume
+  static async getUpload(req, res) {
+    try {
+      const session = findUploadSession(req, res)
+      if (!session) return
+
+      res.json({
+        success: true,
+        data: { uploadId: session.id, receivedChunks: session.receivedChunks },
+      })
+    } catch (error) {
+      console.error("Error in getUpload:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Store one chunk (raw request body) at its index
+  static async uploadChunk(req, res) {
+    try {
+      const session = findUploadSession(req, res)
+      if (!session) return
+
+      const index = Number(req.params.index)
+      if (!Number.isInteger(index) || index < 0 || index >= MAX_UPLOAD_CHUNKS) {
+        return res.status(400).json({
+          success: false,
+          error: `Chunk index must be an integer from 0 to ${MAX_UPLOAD_CHUNKS - 1}`,
+        })
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Chunk body is empty",
+        })
+      }
+
+      if (session.isCompleting) {
+        return res.status(409).json({
+          success: false,
+          error: "This upload is already being completed",
+        })
+      }
+
+      // A re-sent chunk replaces the stored one, so its old size doesn't count
+      const receivedBytes = (session.receivedBytes || 0) - uploadUtils.getChunkSize(session.id, index)
+      if (receivedBytes + req.body.length > MAX_UPLOAD_BYTES) {
+        return res.status(413).json({
+          success: false,
+          error: "Recording is larger than the server allows",
+        })
+      }
+
+      uploadUtils.writeChunk(session.id, index, req.body)
+
+      res.json({
+        success: true,
+        data: { index, size: req.body.length },
+      })
+    } catch (error) {
+      console.error("Error in uploadChunk:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Join the chunks into one recording and save its metadata
+  static async completeUpload(req, res) {
+    try {
+      const session = findUploadSession(req, res)
+      if (!session) return
+
+      const { duration } = req.body || {}
+      // Without totalChunks (e.g. recovering after a crash) keep everything received
+      const totalChunks =
+        req.body?.totalChunks === undefined ? session.receivedChunks.length : parseInt(req.body.totalChunks)
+
+      if (!Number.isInteger(totalChunks) || totalChunks < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "No chunks to assemble",
+        })
+      }
+
+      if (totalChunks > MAX_UPLOAD_CHUNKS) {
+        return res.status(400).json({
+          success: false,
+          error: `A recording can have at most ${MAX_UPLOAD_CHUNKS} chunks`,
+        })
+      }
+
+      const filename = recordingUtils.generateFilename(session.roomCode)
+      const result = await uploadUtils.assemble(session.id, totalChunks, filename)
+      if (result.isCompleting) {
+        return res.status(409).json({
+          success: false,
+          error: "This upload is already being completed",
+        })
+      }
+      if (result.missing) {
+        return res.status(409).json({
+          success: false,
+          error: "Some chunks have not been received",
+          missingChunks: result.missing,
+        })
+      }
+
+      const recording = recordingUtils.saveRecording({
+        filename,
+        roomCode: session.roomCode,
+        userEmail: session.userEmail,
+        recordingType: session.recordingType,
+        participantCount: session.participantCount,
+        duration: duration || "unknown",
+        fileSize: result.size,
+        uploadedAt: new Date().toISOString(),
+        hostEmails: recordingUtils.getRoomHostEmails(session.roomCode),
+      })
+
+      console.log(`📹 ${recording.recordingType} recording uploaded: ${filename} by ${recording.userEmail} in room ${recording.roomCode} (${totalChunks} chunks)`)
+      recordingProcessor.enqueue(recording.id)
+      webhookDispatcher.emitRecordingUploaded(recording)
+
+      res.status(201).json({
+        success: true,
+        data: toRecordingInfo(recordingUtils.getRecording(recording.id)),
+      })
+    } catch (error) {
+      console.error("Error in completeUpload:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Abandon an upload session
+  static async abortUpload(req, res) {
+    try {
+      const session = findUploadSession(req, res)
+      if (!session) return
+
+      if (session.isCompleting) {
+        return res.status(409).json({
+          success: false,
+          error: "This upload is already being completed",
+        })
+      }
+
+      uploadUtils.removeSession(session.id)
+
+      res.json({
+        success: true,
+        message: "Upload cancelled",
+      })
+    } catch (error) {
+      console.error("Error in abortUpload:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
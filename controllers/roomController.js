@@ -1,7 +1,154 @@
-import { rooms, participants } from "../models/roomModel.js"
+import {
+  rooms,
+  participants,
+  roomUtils,
+  hashPasscode,
+  DEFAULT_MESSAGE_RETENTION,
+  MAX_MESSAGE_RETENTION,
+} from "../models/roomModel.js"
+import { transcriptUtils } from "../models/transcriptModel.js"
+import { attendanceUtils } from "../models/attendanceModel.js"
+import { attachmentUtils } from "../models/attachmentModel.js"
+import { pollUtils } from "../models/pollModel.js"
+import { questionUtils } from "../models/questionModel.js"
+import { settingsUtils } from "../models/settingsModel.js"
+import { getRequesterEmail } from "../utils/requester.js"
+import { issueJoinToken } from "../utils/joinToken.js"
+import { buildTranscript, isValidTimeZone, TRANSCRIPT_FORMATS } from "../utils/transcript.js"
+import { buildAttendanceCsv } from "../utils/attendanceReport.js"
 
-// Room Controller - Only for joining existing rooms
+// Check the requester attended a meeting (or hosts it), or send the error response
+const findAttendeeEmail = (req, res, code) => {
+  const email = getRequesterEmail(req, { room: roomUtils.getRoom(code) || { code }, allowGuest: true })
+  if (!email) {
+    res.status(401).json({
+      success: false,
+      error: "A join token for this meeting is required",
+    })
+    return null
+  }
+
+  if (!transcriptUtils.canAccess(code, email)) {
+    res.status(403).json({
+      success: false,
+      error: "Only people who attended the meeting can see this",
+    })
+    return null
+  }
+
+  return email
+}
+
+// Hosts, co-hosts and the owner also see draft polls and hidden questions
+const isMeetingHost = (code, email) => {
+  const room = roomUtils.getRoom(code)
+  return !!room && !room.isGuest(email) && (room.isModerator(email) || room.ownerEmail === email)
+}
+
+// Room Controller - Creating rooms and joining existing ones
 export class RoomController {
+  // Create a new room with a server-generated code
+  static async createRoom(req, res) {
+    try {
+      const { ownerEmail, passcode, settings = {} } = req.body || {}
+
+      // Validate owner email
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+      if (!ownerEmail || !emailRegex.test(ownerEmail)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid owner email is required",
+        })
+      }
+
+      // Validate passcode
+      if (passcode !== undefined && passcode !== null && passcode !== "") {
+        if (typeof passcode !== "string" || passcode.length < 4 || passcode.length > 64) {
+          return res.status(400).json({
+            success: false,
+            error: "Passcode must be between 4 and 64 characters",
+          })
+        }
+      }
+
+      // Validate settings
+      if (typeof settings !== "object" || Array.isArray(settings)) {
+        return res.status(400).json({
+          success: false,
+          error: "Settings must be an object",
+        })
+      }
+
+      // Operators set the default and the highest cap through the admin API
+      const defaults = settingsUtils.getSettings()
+      const maxParticipants =
+        settings.maxParticipants === undefined ? defaults.maxParticipants : parseInt(settings.maxParticipants)
+      if (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > defaults.maxParticipants) {
+        return res.status(400).json({
+          success: false,
+          error: `maxParticipants must be between 2 and ${defaults.maxParticipants}`,
+        })
+      }
+
+      if (settings.autoAdmitDomains !== undefined && !Array.isArray(settings.autoAdmitDomains)) {
+        return res.status(400).json({
+          success: false,
+          error: "autoAdmitDomains must be an array of domains",
+        })
+      }
+
+      const messageRetention =
+        settings.messageRetention === undefined ? DEFAULT_MESSAGE_RETENTION : parseInt(settings.messageRetention)
+      if (!Number.isInteger(messageRetention) || messageRetention < 0 || messageRetention > MAX_MESSAGE_RETENTION) {
+        return res.status(400).json({
+          success: false,
+          error: `messageRetention must be between 0 and ${MAX_MESSAGE_RETENTION}`,
+        })
+      }
+
+      const code = roomUtils.generateCode()
+      const room = roomUtils.createRoom(code, {
+        ownerEmail,
+        passcodeHash: passcode ? await hashPasscode(passcode) : null,
+        maxParticipants,
+        waitingRoomEnabled: !!(settings.waitingRoomEnabled ?? defaults.waitingRoomEnabled),
+        autoAdmitDomains: settings.autoAdmitDomains || [],
+        isLocked: !!settings.isLocked,
+        messageRetention,
+      })
+
+      // The creator runs the room with this token - it is good for this room only
+      const { token, expiresAt } = issueJoinToken({ email: ownerEmail, roomCode: room.code })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          roomCode: room.code,
+          ownerEmail: room.ownerEmail,
+          hasPasscode: !!room.passcodeHash,
+          joinUrl: `/join/${encodeURIComponent(ownerEmail)}/${room.code}?token=${token}`,
+          token,
+          tokenExpiresAt: expiresAt,
+          createdAt: room.createdAt,
+          settings: {
+            maxParticipants: room.maxParticipants,
+            waitingRoomEnabled: room.waitingRoomEnabled,
+            autoAdmitDomains: room.autoAdmitDomains,
+            isLocked: room.isLocked,
+            messageRetention: room.messageRetention,
+          },
+        },
+        message: "Room created",
+      })
+    } catch (error) {
+      console.error("Error in createRoom:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
   // Join an existing room
   static async joinRoom(req, res) {
     try {
@@ -33,24 +180,56 @@ export class RoomController {
         })
       }
 
-      // Check room capacity
-      const MAX_PARTICIPANTS = 50
-      if (room.participants.size >= MAX_PARTICIPANTS) {
+      // Scheduled meetings open shortly before their start time
+      if (room.hasNotStarted()) {
+        return res.status(403).json({
+          success: false,
+          error: "This meeting hasn't started yet.",
+          opensAt: room.opensAt,
+        })
+      }
+
+      if (room.isCancelled) {
+        return res.status(410).json({
+          success: false,
+          error: "This meeting was cancelled.",
+        })
+      }
+
+      // Check passcode
+      if (!(await room.verifyPasscode(req.query.passcode))) {
+        return res.status(401).json({
+          success: false,
+          error: req.query.passcode ? "Incorrect meeting passcode." : "This meeting requires a passcode.",
+        })
+      }
+
+      // Check room capacity - joining from another device doesn't need a free place
+      if (!room.getEmails().includes(email) && room.getParticipantCount() >= room.maxParticipants) {
         return res.status(403).json({
           success: false,
           error: "Meeting room is full. Maximum participants reached.",
         })
       }
 
+      // Check if the host has locked the room
+      if (room.isLocked && !room.isModerator(email)) {
+        return res.status(403).json({
+          success: false,
+          error: "Meeting room is locked by the host.",
+        })
+      }
+
       // Return room information for joining
       res.json({
         success: true,
         data: {
           roomCode: code.toUpperCase(),
           roomId: room.id,
-          participantCount: room.participants.size,
+          participantCount: room.getParticipantCount(),
           createdAt: room.createdAt,
           userEmail: email,
+          hasPasscode: !!room.passcodeHash,
           canJoin: true,
         },
         message: "Room found. Ready to join.",
@@ -88,10 +267,13 @@ export class RoomController {
         success: true,
         data: {
           code: code.toUpperCase(),
-          participantCount: room.participants.size,
+          participantCount: room.getParticipantCount(),
           createdAt: room.createdAt,
           isActive: room.participants.size > 0,
-          maxParticipants: 50,
+          maxParticipants: room.maxParticipants,
+          hasPasscode: !!room.passcodeHash,
+          opensAt: room.opensAt,
+          isLocked: room.isLocked,
         },
       })
     } catch (error) {
@@ -103,6 +285,271 @@ export class RoomController {
     }
   }
 
+  // Get a page of chat history, newest page first (?before=<nextCursor> for older messages)
+  static async getMessages(req, res) {
+    try {
+      const room = roomUtils.getRoom(req.params.code)
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: "Meeting room not found",
+        })
+      }
+
+      const email = getRequesterEmail(req, { room })
+      if (!email) {
+        return res.status(401).json({
+          success: false,
+          error: "A verified join token for this meeting is required to read the chat",
+        })
+      }
+
+      if (room.removedEmails.has(email)) {
+        return res.status(403).json({
+          success: false,
+          error: "You were removed from this meeting",
+        })
+      }
+
+      // Same passcode as joining, unless the requester runs the room
+      const passcode = req.get("x-room-passcode") || req.query.passcode
+      if (!room.isModerator(email) && !(await room.verifyPasscode(passcode))) {
+        return res.status(401).json({
+          success: false,
+          error: passcode ? "Incorrect passcode" : "This meeting requires a passcode",
+        })
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100)
+      const { messages, nextCursor } = room.getMessagesFor(email, { before: req.query.before || null, limit })
+
+      res.json({
+        success: true,
+        data: messages,
+        nextCursor,
+      })
+    } catch (error) {
+      console.error("Error in getMessages:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Download a file shared in chat - only for people currently in the meeting
+  static async downloadAttachment(req, res) {
+    try {
+      const room = roomUtils.getRoom(req.params.code)
+      const attachment = attachmentUtils.getAttachment(req.params.id)
+      if (!room || !attachment || attachment.roomCode !== room.code) {
+        return res.status(404).json({
+          success: false,
+          error: "File not found",
+        })
+      }
+
+      const email = getRequesterEmail(req, { room, allowGuest: true })
+      const isRecipient = !attachment.recipientEmail || [attachment.uploaderEmail, attachment.recipientEmail].includes(email)
+      if (!email || !room.getEmails().includes(email) || !isRecipient) {
+        return res.status(403).json({
+          success: false,
+          error: "Only people in the meeting can download shared files",
+        })
+      }
+
+      // Images open in the browser, everything else downloads
+      const disposition = attachment.mimeType.startsWith("image/") ? "inline" : "attachment"
+      res.setHeader("Content-Type", attachment.mimeType)
+      res.setHeader("Content-Disposition", `${disposition}; filename="${attachment.name}"`)
+      res.setHeader("X-Content-Type-Options", "nosniff")
+      res.sendFile(attachmentUtils.getFilePath(attachment))
+    } catch (error) {
+      console.error("Error in downloadAttachment:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Poll results, also available after the meeting
+  static async getPolls(req, res) {
+    try {
+      const code = req.params.code.toUpperCase()
+      const email = findAttendeeEmail(req, res, code)
+      if (!email) return
+
+      const isHost = isMeetingHost(code, email)
+      const polls = pollUtils.listPolls(code).filter((poll) => isHost || poll.status !== "draft")
+
+      res.json({
+        success: true,
+        data: polls.map((poll) => ({ ...pollUtils.getResults(poll), myVote: poll.votes[email] || null })),
+      })
+    } catch (error) {
+      console.error("Error in getPolls:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Q&A questions, also available after the meeting
+  static async getQuestions(req, res) {
+    try {
+      const code = req.params.code.toUpperCase()
+      const email = findAttendeeEmail(req, res, code)
+      if (!email) return
+
+      res.json({
+        success: true,
+        data: questionUtils.listQuestions(code, { includeHidden: isMeetingHost(code, email) }),
+      })
+    } catch (error) {
+      console.error("Error in getQuestions:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Attendance report: each session's joins and leaves, totalled per person
+  static async getAttendance(req, res) {
+    try {
+      const code = req.params.code.toUpperCase()
+      if (!attendanceUtils.exists(code)) {
+        return res.status(404).json({
+          success: false,
+          error: "No attendance found for this meeting",
+        })
+      }
+
+      const email = getRequesterEmail(req, { room: roomUtils.getRoom(code) || { code } })
+      if (!email) {
+        return res.status(401).json({
+          success: false,
+          error: "A verified join token for this meeting is required to see attendance",
+        })
+      }
+
+      if (!attendanceUtils.canAccess(code, email)) {
+        return res.status(403).json({
+          success: false,
+          error: "Only the meeting's hosts can see attendance",
+        })
+      }
+
+      const format = (req.query.format || "json").toLowerCase()
+      if (format !== "json" && format !== "csv") {
+        return res.status(400).json({
+          success: false,
+          error: "format must be json or csv",
+        })
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null
+      const to = req.query.to ? new Date(req.query.to) : null
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          error: "from and to must be valid dates",
+        })
+      }
+
+      const report = attendanceUtils.getReport(code, { from, to })
+      if (req.query.download === "true") {
+        res.setHeader("Content-Disposition", `attachment; filename="meeting-${code}-attendance.${format}"`)
+      }
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8")
+        return res.send(buildAttendanceCsv(report))
+      }
+
+      res.json({
+        success: true,
+        data: report,
+      })
+    } catch (error) {
+      console.error("Error in getAttendance:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Export the meeting transcript (?format=json|csv|txt|html&timeZone=Europe/Berlin)
+  static async exportTranscript(req, res) {
+    try {
+      const code = req.params.code.toUpperCase()
+      if (!transcriptUtils.exists(code)) {
+        return res.status(404).json({
+          success: false,
+          error: "No transcript found for this meeting",
+        })
+      }
+
+      const email = getRequesterEmail(req, { room: roomUtils.getRoom(code) || { code } })
+      if (!email) {
+        return res.status(401).json({
+          success: false,
+          error: "A verified join token for this meeting is required to export the transcript",
+        })
+      }
+
+      if (!transcriptUtils.canAccess(code, email)) {
+        return res.status(403).json({
+          success: false,
+          error: "Only people who attended the meeting can export its transcript",
+        })
+      }
+
+      const format = (req.query.format || "json").toLowerCase()
+      if (!TRANSCRIPT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(", ")}`,
+        })
+      }
+
+      const timeZone = req.query.timeZone || "UTC"
+      if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({
+          success: false,
+          error: "Unknown time zone",
+        })
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null
+      const to = req.query.to ? new Date(req.query.to) : null
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          error: "from and to must be valid dates",
+        })
+      }
+
+      const entries = transcriptUtils.getEntries(code, email, { from, to })
+      const { contentType, extension } = TRANSCRIPT_FORMATS[format]
+
+      res.setHeader("Content-Type", contentType)
+      if (req.query.download !== "false") {
+        res.setHeader("Content-Disposition", `attachment; filename="meeting-${code}-transcript.${extension}"`)
+      }
+      res.send(buildTranscript(entries, format, { roomCode: code, timeZone, exportedFor: email }))
+    } catch (error) {
+      console.error("Error in exportTranscript:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
   // Get all active rooms
   static async getActiveRooms(req, res) {
     try {
@@ -110,7 +557,7 @@ export class RoomController {
         .filter(([code, room]) => room.participants.size > 0)
         .map(([code, room]) => ({
           code,
-          participantCount: room.participants.size,
+          participantCount: room.getParticipantCount(),
           createdAt: room.createdAt,
           isActive: true,
         }))
@@ -135,7 +582,8 @@ export class RoomController {
     try {
       const totalRooms = rooms.size
       const activeRooms = Array.from(rooms.values()).filter((room) => room.participants.size > 0).length
-      const totalParticipants = participants.size
+      const totalParticipants = Array.from(rooms.values()).reduce((total, room) => total + room.getParticipantCount(), 0)
+      const connectedDevices = participants.size
 
       res.json({
         success: true,
@@ -143,6 +591,7 @@ export class RoomController {
           totalRooms,
           activeRooms,
           totalParticipants,
+          connectedDevices,
           timestamp: new Date().toISOString(),
           status: "operational",
         },
@@ -0,0 +1,259 @@
+import { webhookUtils, WEBHOOK_EVENTS } from "../models/webhookModel.js"
+import { webhookDispatcher } from "../utils/webhookDispatcher.js"
+
+// Validate subscription fields, returning an error message or null
+const validateWebhookFields = (fields, { partial = false } = {}) => {
+  const { url, events, secret, description, isActive } = fields
+
+  if (!partial || url !== undefined) {
+    let parsed = null
+    try {
+      parsed = new URL(url)
+    } catch {}
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "url must be an http or https URL"
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+    return "secret must be at least 16 characters"
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== "string" || description.length > 200)) {
+    return "description must be at most 200 characters"
+  }
+
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return "isActive must be true or false"
+  }
+
+  return null
+}
+
+// Subscription without its secret
+const toWebhookInfo = (webhook) => {
+  const { secret, ...info } = webhook
+  return info
+}
+
+// Delivery log entry without the payload body
+const toDeliveryInfo = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  eventId: delivery.payload.id,
+  status: delivery.status,
+  attemptCount: delivery.attempts.length,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  createdAt: delivery.createdAt,
+  completedAt: delivery.completedAt,
+})
+
+// Webhook Controller - Subscriptions to meeting events (admin token required)
+export class WebhookController {
+  // Subscribe a URL to events - the response is the only time the secret is shown
+  static async createWebhook(req, res) {
+    try {
+      const validationError = validateWebhookFields(req.body || {})
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        })
+      }
+
+      const { url, events, secret, description } = req.body
+      const webhook = webhookUtils.createWebhook({ url, events, secret, description })
+
+      console.log(`🪝 Webhook ${webhook.id} subscribed ${url} to ${webhook.events.join(", ")}`)
+
+      res.status(201).json({
+        success: true,
+        data: { ...toWebhookInfo(webhook), secret: webhook.secret },
+        message: "Webhook created. Store the secret to verify signatures - it is not shown again.",
+      })
+    } catch (error) {
+      console.error("Error in createWebhook:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // List subscriptions
+  static async listWebhooks(req, res) {
+    try {
+      const webhooks = webhookUtils.listWebhooks()
+
+      res.json({
+        success: true,
+        data: webhooks.map(toWebhookInfo),
+        total: webhooks.length,
+        events: WEBHOOK_EVENTS,
+      })
+    } catch (error) {
+      console.error("Error in listWebhooks:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Get a subscription
+  static async getWebhook(req, res) {
+    try {
+      const webhook = webhookUtils.getWebhook(req.params.id)
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: toWebhookInfo(webhook),
+      })
+    } catch (error) {
+      console.error("Error in getWebhook:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Change the URL, events, secret or description, or pause/resume with isActive
+  static async updateWebhook(req, res) {
+    try {
+      if (!webhookUtils.getWebhook(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        })
+      }
+
+      const validationError = validateWebhookFields(req.body || {}, { partial: true })
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        })
+      }
+
+      const { url, events, secret, description, isActive } = req.body
+      const changes = Object.fromEntries(
+        Object.entries({ url, events: events && [...new Set(events)], secret, description, isActive }).filter(
+          ([, value]) => value !== undefined,
+        ),
+      )
+      const webhook = webhookUtils.updateWebhook(req.params.id, changes)
+
+      res.json({
+        success: true,
+        data: toWebhookInfo(webhook),
+        message: "Webhook updated",
+      })
+    } catch (error) {
+      console.error("Error in updateWebhook:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Remove a subscription and its delivery log
+  static async deleteWebhook(req, res) {
+    try {
+      if (!webhookUtils.deleteWebhook(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Webhook deleted",
+      })
+    } catch (error) {
+      console.error("Error in deleteWebhook:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Delivery log, newest first (?status=pending|delivered|failed, limit)
+  static async listDeliveries(req, res) {
+    try {
+      if (!webhookUtils.getWebhook(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        })
+      }
+
+      const { status } = req.query
+      if (status && !["pending", "delivered", "failed"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: "status must be pending, delivered or failed",
+        })
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+      const deliveries = webhookUtils.listDeliveries(req.params.id, { status })
+
+      res.json({
+        success: true,
+        data: deliveries.slice(0, limit).map(toDeliveryInfo),
+        total: deliveries.length,
+      })
+    } catch (error) {
+      console.error("Error in listDeliveries:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+
+  // Send a sample "webhook.test" event right away and report how it went
+  static async testWebhook(req, res) {
+    try {
+      const webhook = webhookUtils.getWebhook(req.params.id)
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        })
+      }
+
+      const delivery = await webhookDispatcher.sendTest(webhook)
+
+      res.json({
+        success: true,
+        data: toDeliveryInfo(delivery),
+        message: delivery.status === "delivered" ? "Test event delivered" : "Test event could not be delivered",
+      })
+    } catch (error) {
+      console.error("Error in testWebhook:", error)
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      })
+    }
+  }
+}
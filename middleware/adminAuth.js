@@ -0,0 +1,33 @@
+import crypto from "crypto"
+
+// Operator-only routes: callers send the ADMIN_TOKEN from the server environment
+// as "Authorization: Bearer <token>"
+
+// Whether a request carries the admin token
+export const isAdminRequest = (req) => {
+  const adminToken = process.env.ADMIN_TOKEN
+  if (!adminToken) return false
+
+  const [scheme, token] = (req.get("authorization") || "").split(" ")
+  const expected = crypto.createHash("sha256").update(adminToken).digest()
+  const given = crypto.createHash("sha256").update(token || "").digest()
+  return scheme === "Bearer" && crypto.timingSafeEqual(expected, given)
+}
+
+export const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      error: "Admin API is disabled - set ADMIN_TOKEN to enable it",
+    })
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      error: "A valid admin token is required",
+    })
+  }
+
+  next()
+}
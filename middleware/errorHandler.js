@@ -1,3 +1,5 @@
+import { verifyJoinToken } from "../utils/joinToken.js"
+
 // Error handling middleware
 export const errorHandler = (err, req, res, next) => {
   console.error("Error:", err)
@@ -30,6 +32,14 @@ export const errorHandler = (err, req, res, next) => {
     })
   }
 
+  // Room locked by host
+  if (err.message === "Room is locked") {
+    return res.status(403).json({
+      success: false,
+      error: "Meeting room is locked by the host",
+    })
+  }
+
   res.status(500).json(error)
 }
 
@@ -62,32 +72,27 @@ export const validateJoinRequest = (req, res, next) => {
     })
   }
 
-  next()
-}
-
-// Rate limiting middleware
-export const rateLimiter = (req, res, next) => {
-  // Simple rate limiting
-  const ip = req.ip
-  const now = Date.now()
+  // A join token in the link must be for this email and meeting. Without one the page uses the
+  // token this tab already has or, where guests are allowed, asks for one - connecting needs it
+  const { token } = req.query
+  if (!token) return next()
 
-  if (!global.rateLimitStore) {
-    global.rateLimitStore = new Map()
+  let claims
+  try {
+    claims = verifyJoinToken(token)
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.message,
+    })
   }
 
-  const userRequests = global.rateLimitStore.get(ip) || []
-  const recentRequests = userRequests.filter((time) => now - time < 60000) // 1 minute
-
-  if (recentRequests.length >= 30) {
-    // 30 requests per minute
-    return res.status(429).json({
+  if (claims.sub.toLowerCase() !== email.toLowerCase() || (claims.room && claims.room !== code.toUpperCase())) {
+    return res.status(403).json({
       success: false,
-      error: "Too many requests. Please try again later.",
+      error: "This join link is for a different person or meeting",
     })
   }
 
-  recentRequests.push(now)
-  global.rateLimitStore.set(ip, recentRequests)
-
   next()
 }
@@ -0,0 +1,76 @@
+import { createRateLimiter, createRateLimitStore, resolvePolicy } from "../utils/rateLimit.js"
+
+// Per-route HTTP rate limits, checked in order - the first matching policy applies and each
+// policy has its own bucket per client IP. Requests no policy matches (static assets,
+// Socket.IO transport) are not limited.
+const HTTP_POLICIES = [
+  // Signing tokens and creating rooms are cheap to ask for and worth abusing
+  { name: "join-tokens", method: "POST", path: /^\/api\/join-tokens(\/|$)/, limit: 10, windowSeconds: 60 },
+  { name: "create", method: "POST", path: /^\/api\/(rooms|meetings)\/?$/, limit: 20, windowSeconds: 60 },
+
+  // Uploads; chunked recordings send many chunks per upload
+  {
+    name: "uploads",
+    method: "POST",
+    path: /^\/api\/(upload-recording|room\/[^/]+\/attachments|recordings\/uploads)\/?$/,
+    limit: 20,
+    windowSeconds: 60,
+  },
+  {
+    name: "upload-chunks",
+    method: "PUT",
+    path: /^\/api\/recordings\/uploads\/[^/]+\/chunks\//,
+    limit: 600,
+    windowSeconds: 60,
+  },
+
+  // Video players fetch recordings in many range requests
+  {
+    name: "media",
+    method: "GET",
+    path: /^\/api\/(recordings\/[^/]+\/stream|room\/[^/]+\/attachments\/[^/]+)\/?$/,
+    limit: 300,
+    windowSeconds: 60,
+  },
+
+  // Everything else in the API, and the pages the server renders
+  { name: "api", path: /^\/api(\/|$)/, limit: 120, windowSeconds: 60 },
+  { name: "pages", method: "GET", path: /^\/(join\/[^/]+\/[^/]+\/?)?$/, limit: 60, windowSeconds: 60 },
+].map(({ name, method, path, ...defaults }) => ({ method, path, policy: resolvePolicy(`http:${name}`, defaults) }))
+
+// HTTP counts are kept by the cluster primary, since any worker can get the next request
+const limiter = createRateLimiter({ store: createRateLimitStore() })
+
+const findPolicy = (req) =>
+  HTTP_POLICIES.find(({ method, path }) => (!method || method === req.method) && path.test(req.path))?.policy
+
+// Rate limiting middleware - sets RateLimit-* headers, and Retry-After when refusing
+export const rateLimiter = async (req, res, next) => {
+  const policy = findPolicy(req)
+  if (!policy) return next()
+
+  let result
+  try {
+    result = await limiter.take(`${policy.name}:${req.ip}`, policy)
+  } catch (error) {
+    // A limiter that can't count must not take the whole API down with it
+    console.error("❌ Rate limit check failed, letting the request through:", error.message)
+    return next()
+  }
+
+  res.setHeader("RateLimit-Policy", `${policy.limit};w=${policy.windowSeconds}`)
+  res.setHeader("RateLimit-Limit", result.limit)
+  res.setHeader("RateLimit-Remaining", result.remaining)
+  res.setHeader("RateLimit-Reset", result.resetSeconds)
+
+  if (!result.allowed) {
+    const wait = result.retryAfterSeconds
+    res.setHeader("Retry-After", wait)
+    return res.status(429).json({
+      success: false,
+      error: `Too many requests. Please try again in ${wait} second${wait === 1 ? "" : "s"}.`,
+    })
+  }
+
+  next()
+}
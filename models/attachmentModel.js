@@ -0,0 +1,127 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { storage } from "../storage/index.js"
+
+// Files shared in chat. Metadata lives in the "attachments" storage collection,
+// files under uploads/attachments/<ROOM CODE>/ until the room is cleaned up.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+export const ATTACHMENTS_DIR = path.join(__dirname, "..", "uploads", "attachments")
+
+// Largest single file, and total per room
+export const ATTACHMENT_MAX_BYTES = parseInt(process.env.CHAT_ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024
+export const ATTACHMENT_ROOM_QUOTA_BYTES = parseInt(process.env.CHAT_ATTACHMENT_ROOM_QUOTA_BYTES) || 100 * 1024 * 1024
+
+// Allowed MIME types and the extensions that go with them
+export const ATTACHMENT_TYPES = {
+  "application/pdf": [".pdf"],
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+  "text/plain": [".txt"],
+  "text/csv": [".csv"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [".xlsx"],
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": [".pptx"],
+  "application/zip": [".zip"],
+}
+
+// Utility functions
+export const attachmentUtils = {
+  // Check a file's declared type and extension against the allowlist
+  isAllowedType(mimeType, originalName) {
+    const extensions = ATTACHMENT_TYPES[mimeType]
+    return !!extensions && extensions.includes(path.extname(originalName || "").toLowerCase())
+  },
+
+  // Keep a display name safe for headers and file systems
+  sanitizeFilename(originalName) {
+    const base = path.basename(String(originalName || "file")).normalize("NFC")
+    const extension = path.extname(base).toLowerCase().replace(/[^.a-z0-9]/g, "")
+    const name = path
+      .basename(base, path.extname(base))
+      .replace(/[^\w.\- ]+/g, "_")
+      .replace(/^[.\s]+/, "")
+      .trim()
+      .slice(0, 100)
+    return `${name || "file"}${extension}`
+  },
+
+  // Directory holding a room's files
+  getRoomDir(roomCode) {
+    return path.join(ATTACHMENTS_DIR, roomCode.toUpperCase().replace(/[^A-Z0-9]/g, ""))
+  },
+
+  // Unique on-disk name for a new upload
+  generateStoredName(originalName) {
+    return `${crypto.randomUUID()}-${this.sanitizeFilename(originalName)}`
+  },
+
+  // Absolute path of a stored attachment
+  getFilePath(attachment) {
+    return path.join(this.getRoomDir(attachment.roomCode), path.basename(attachment.storedName))
+  },
+
+  // Bytes already used by a room's attachments
+  getRoomUsage(roomCode) {
+    return this.listRoomAttachments(roomCode).reduce((total, attachment) => total + attachment.size, 0)
+  },
+
+  listRoomAttachments(roomCode) {
+    return storage.getAll("attachments").filter((attachment) => attachment.roomCode === roomCode)
+  },
+
+  // Record an uploaded file
+  saveAttachment({ roomCode, file, uploaderEmail, recipientEmail = null }) {
+    const attachment = {
+      id: crypto.randomUUID(),
+      roomCode,
+      name: this.sanitizeFilename(file.originalname),
+      storedName: path.basename(file.path),
+      mimeType: file.mimetype,
+      size: file.size,
+      uploaderEmail,
+      recipientEmail,
+      uploadedAt: new Date().toISOString(),
+    }
+    storage.set("attachments", attachment.id, attachment)
+    return attachment
+  },
+
+  // Reference stored on the chat message
+  toMessageAttachment(attachment) {
+    return {
+      id: attachment.id,
+      name: attachment.name,
+      size: attachment.size,
+      mimeType: attachment.mimeType,
+      url: `/api/room/${attachment.roomCode}/attachments/${attachment.id}`,
+    }
+  },
+
+  getAttachment(id) {
+    return storage.get("attachments", id)
+  },
+
+  // Remove one attachment and its file
+  deleteAttachment(id) {
+    const attachment = storage.get("attachments", id)
+    if (!attachment) return false
+
+    fs.rmSync(this.getFilePath(attachment), { force: true })
+    storage.delete("attachments", id)
+    return true
+  },
+
+  // Remove everything shared in a room (called when the room is cleaned up)
+  deleteRoomAttachments(roomCode) {
+    for (const attachment of this.listRoomAttachments(roomCode)) {
+      storage.delete("attachments", attachment.id)
+    }
+    fs.rmSync(this.getRoomDir(roomCode), { recursive: true, force: true })
+  },
+}
@@ -0,0 +1,155 @@
+import { storage } from "../storage/index.js"
+import { roomUtils } from "./roomModel.js"
+
+// Attendance reports from the join/leave log in the "attendance" storage collection.
+// The log outlives the room, so reports stay available after cleanup.
+
+// Events that start and end someone's time in the meeting (breakouts count as attending)
+const PRESENCE_START = ["join", "breakout-join"]
+const PRESENCE_END = ["leave", "breakout-leave"]
+
+// Total length of possibly overlapping [start, end] intervals (e.g. two tabs open at once)
+const mergedDurationMs = (intervals) => {
+  let total = 0
+  let current = null
+
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0]
+      current = [start, end]
+    } else {
+      current[1] = Math.max(current[1], end)
+    }
+  }
+  return current ? total + current[1] - current[0] : total
+}
+
+// Per-person totals for one session's events
+const summarizeSession = (sessionId, events, { isLive }) => {
+  const open = new Map()
+  const people = new Map()
+  const lastEventAt = new Date(events[events.length - 1].at).getTime()
+
+  const personFor = (userEmail) => {
+    if (!people.has(userEmail)) {
+      people.set(userEmail, {
+        userEmail,
+        firstJoinedAt: null,
+        lastLeftAt: null,
+        joins: 0,
+        breakouts: new Set(),
+        intervals: [],
+      })
+    }
+    return people.get(userEmail)
+  }
+
+  for (const event of events) {
+    const person = personFor(event.userEmail)
+    // Older entries have no socketId; pair them by email instead
+    const key = event.socketId ? `${event.event.startsWith("breakout") ? "breakout" : "main"}:${event.socketId}` : event.userEmail
+    const at = new Date(event.at).getTime()
+
+    if (PRESENCE_START.includes(event.event)) {
+      open.set(key, { userEmail: event.userEmail, at })
+      if (event.event === "join") {
+        person.joins++
+        person.firstJoinedAt = person.firstJoinedAt || event.at
+      } else {
+        person.breakouts.add(event.breakoutName)
+      }
+    } else if (PRESENCE_END.includes(event.event)) {
+      const start = open.get(key)
+      if (start) person.intervals.push([start.at, at])
+      open.delete(key)
+      person.lastLeftAt = event.at
+    }
+  }
+
+  // Still here: count up to now for the live session, otherwise to the last thing we saw
+  const endOfOpen = isLive ? Date.now() : lastEventAt
+  const stillPresent = new Set()
+  for (const { userEmail, at } of open.values()) {
+    personFor(userEmail).intervals.push([at, endOfOpen])
+    if (isLive) stillPresent.add(userEmail)
+  }
+
+  const participants = Array.from(people.values()).map((person) => ({
+    userEmail: person.userEmail,
+    firstJoinedAt: person.firstJoinedAt,
+    lastLeftAt: stillPresent.has(person.userEmail) ? null : person.lastLeftAt,
+    totalSeconds: Math.round(mergedDurationMs(person.intervals) / 1000),
+    joins: person.joins,
+    reconnects: Math.max(person.joins - 1, 0),
+    breakouts: Array.from(person.breakouts),
+    isPresent: stillPresent.has(person.userEmail),
+  }))
+
+  return {
+    sessionId,
+    startedAt: events[0].at,
+    endedAt: isLive ? null : events[events.length - 1].at,
+    participants: participants.sort((a, b) => (a.firstJoinedAt || "").localeCompare(b.firstJoinedAt || "")),
+  }
+}
+
+// Utility functions
+export const attendanceUtils = {
+  // Raw join/leave log of a room, oldest first
+  getEvents(roomCode) {
+    return storage.get("attendance", roomCode) || []
+  },
+
+  exists(roomCode) {
+    return this.getEvents(roomCode).length > 0
+  },
+
+  // Hosts, co-hosts and the owner of the live room, or anyone who joined the meeting as one
+  canAccess(roomCode, userEmail) {
+    if (!userEmail) return false
+
+    const room = roomUtils.getRoom(roomCode)
+    if (room?.isModerator(userEmail) || room?.ownerEmail === userEmail) return true
+
+    return this.getEvents(roomCode).some(
+      (event) => event.userEmail === userEmail && (event.role === "host" || event.role === "cohost"),
+    )
+  },
+
+  // Sessions with each person's time in the meeting, plus totals across sessions
+  getReport(roomCode, { from = null, to = null } = {}) {
+    const room = roomUtils.getRoom(roomCode)
+    const sessions = new Map()
+
+    for (const event of this.getEvents(roomCode)) {
+      const at = new Date(event.at)
+      if ((from && at < from) || (to && at > to)) continue
+
+      const sessionId = event.sessionId || null
+      if (!sessions.has(sessionId)) sessions.set(sessionId, [])
+      sessions.get(sessionId).push(event)
+    }
+
+    const summaries = Array.from(sessions, ([sessionId, events]) =>
+      summarizeSession(sessionId, events, { isLive: !!room && !!sessionId && room.sessionId === sessionId }),
+    )
+
+    const totals = new Map()
+    for (const session of summaries) {
+      for (const person of session.participants) {
+        const total = totals.get(person.userEmail) || { userEmail: person.userEmail, totalSeconds: 0, sessions: 0, joins: 0 }
+        total.totalSeconds += person.totalSeconds
+        total.sessions++
+        total.joins += person.joins
+        totals.set(person.userEmail, total)
+      }
+    }
+
+    return {
+      roomCode,
+      generatedAt: new Date().toISOString(),
+      sessions: summaries,
+      participants: Array.from(totals.values()).sort((a, b) => b.totalSeconds - a.totalSeconds),
+    }
+  },
+}
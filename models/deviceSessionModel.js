@@ -0,0 +1,74 @@
+import crypto from "crypto"
+import { storage } from "../storage/index.js"
+
+// Resumable device sessions. Each device admitted to a room gets a secret resume token. When
+// its connection drops, the device keeps its place in the room for a grace period, and a new
+// connection that presents the token takes that place over - same socket id for peers, same
+// participant, raised hand and media state. Only a hash of the token is stored, and the token
+// changes every time it is used.
+
+export const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 30 * 1000
+
+const COLLECTION = "deviceSessions"
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+// Utility functions
+export const deviceSessionUtils = {
+  // Start a session for a device's place in a room (deviceId is the socket id it joined with)
+  createSession({ deviceId, socketId, userEmail, roomCode }) {
+    const token = crypto.randomBytes(32).toString("base64url")
+    const session = {
+      id: hashToken(token),
+      deviceId,
+      socketId,
+      userEmail,
+      roomCode,
+      createdAt: new Date().toISOString(),
+      disconnectedAt: null,
+      expiresAt: null,
+    }
+    storage.set(COLLECTION, session.id, session)
+    return { token, session }
+  },
+
+  getSession(id) {
+    return id ? storage.get(COLLECTION, id) : undefined
+  },
+
+  // Look a session up by the token a client presents
+  findByToken(token) {
+    return token ? storage.get(COLLECTION, hashToken(token)) : undefined
+  },
+
+  // The device's connection dropped - its place is kept until the grace period ends
+  holdSession(id) {
+    const session = this.getSession(id)
+    if (!session) return null
+
+    const now = Date.now()
+    return storage.set(COLLECTION, id, {
+      ...session,
+      disconnectedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + RECONNECT_GRACE_MS).toISOString(),
+    })
+  },
+
+  // Hand a session to a new connection, returning the new token (the old one stops working)
+  resumeSession(id, socketId) {
+    const session = this.getSession(id)
+    if (!session) return null
+
+    storage.delete(COLLECTION, id)
+    return this.createSession({ ...session, socketId })
+  },
+
+  deleteSession(id) {
+    return !!id && storage.delete(COLLECTION, id)
+  },
+
+  // Sessions in a room whose connection has dropped
+  listHeldSessions(roomCode) {
+    return storage.getAll(COLLECTION).filter((session) => session.roomCode === roomCode && session.disconnectedAt)
+  },
+}
@@ -0,0 +1,197 @@
+import crypto from "crypto"
+import { roomUtils, hashPasscode } from "./roomModel.js"
+import { settingsUtils } from "./settingsModel.js"
+import { storage } from "../storage/index.js"
+
+// Scheduled meetings - also persisted through the storage adapter
+export const meetings = new Map()
+
+// How early participants may join before the scheduled start
+export const EARLY_JOIN_MS = (parseInt(process.env.EARLY_JOIN_MINUTES) || 10) * 60 * 1000
+
+// Scheduled meeting model class
+export class ScheduledMeeting {
+  constructor({ title, description, startTime, endTime, timeZone, invitees, recurrence, ownerEmail, roomCode }) {
+    this.id = crypto.randomUUID()
+    this.title = title
+    this.description = description || ""
+    this.startTime = new Date(startTime)
+    this.endTime = new Date(endTime)
+    this.timeZone = timeZone || "UTC"
+    this.invitees = invitees || []
+    this.recurrence = recurrence || null
+    this.ownerEmail = ownerEmail
+    this.roomCode = roomCode
+    this.status = "scheduled"
+    this.sequence = 0
+    this.createdAt = new Date()
+    this.updatedAt = new Date()
+  }
+
+  // When the room opens for joining
+  getOpensAt() {
+    return new Date(this.startTime.getTime() - EARLY_JOIN_MS)
+  }
+
+  // Keep the room around until the last occurrence is over
+  getRetainUntil() {
+    if (!this.recurrence) return this.endTime
+
+    const until = this.recurrence.match(/UNTIL=(\d{8})(T\d{6}Z?)?/)
+    if (until) {
+      const [, day] = until
+      return new Date(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}T23:59:59Z`)
+    }
+
+    // Open-ended (or COUNT-based) series are kept until cancelled
+    return null
+  }
+
+  // Apply changes and bump the iCalendar sequence number
+  update(changes) {
+    const fields = ["title", "description", "startTime", "endTime", "timeZone", "invitees", "recurrence"]
+    for (const field of fields) {
+      if (changes[field] !== undefined) {
+        this[field] = field === "startTime" || field === "endTime" ? new Date(changes[field]) : changes[field]
+      }
+    }
+    this.sequence++
+    this.updatedAt = new Date()
+  }
+
+  // Cancel the meeting
+  cancel() {
+    this.status = "cancelled"
+    this.sequence++
+    this.updatedAt = new Date()
+  }
+
+  // Persist the meeting
+  save() {
+    storage.set("meetings", this.id, this.getInfo())
+  }
+
+  // Rebuild a meeting from a stored snapshot
+  static fromJSON(data) {
+    const meeting = new ScheduledMeeting(data)
+    meeting.id = data.id
+    meeting.status = data.status
+    meeting.sequence = data.sequence
+    meeting.createdAt = new Date(data.createdAt)
+    meeting.updatedAt = new Date(data.updatedAt)
+    return meeting
+  }
+
+  // Get meeting info
+  getInfo() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      timeZone: this.timeZone,
+      invitees: this.invitees,
+      recurrence: this.recurrence,
+      ownerEmail: this.ownerEmail,
+      roomCode: this.roomCode,
+      status: this.status,
+      sequence: this.sequence,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    }
+  }
+}
+
+// Push schedule changes onto the meeting's room
+const syncRoom = (meeting) => {
+  const room = roomUtils.getRoom(meeting.roomCode)
+  if (!room) return
+
+  room.setSchedule({
+    opensAt: meeting.getOpensAt(),
+    retainUntil: meeting.getRetainUntil(),
+    isRecurring: !!meeting.recurrence,
+    isCancelled: meeting.status === "cancelled",
+  })
+}
+
+// Utility functions
+export const meetingUtils = {
+  // Schedule a meeting and reserve its room
+  async createMeeting({ passcode, ...details }) {
+    const roomCode = roomUtils.generateCode()
+    roomUtils.createRoom(roomCode, {
+      ownerEmail: details.ownerEmail,
+      passcodeHash: passcode ? await hashPasscode(passcode) : null,
+      waitingRoomEnabled: settingsUtils.getSettings().waitingRoomEnabled,
+    })
+
+    const meeting = new ScheduledMeeting({ ...details, roomCode })
+    meetings.set(meeting.id, meeting)
+    meeting.save()
+    syncRoom(meeting)
+
+    console.log(`Meeting ${meeting.id} scheduled in room ${roomCode}`)
+    return meeting
+  },
+
+  // Load meetings saved by a previous run
+  loadMeetings() {
+    for (const data of storage.getAll("meetings")) {
+      meetings.set(data.id, ScheduledMeeting.fromJSON(data))
+    }
+    if (meetings.size > 0) {
+      console.log(`Restored ${meetings.size} scheduled meetings from storage`)
+    }
+  },
+
+  // Get meeting by id
+  getMeeting(id) {
+    return meetings.get(id)
+  },
+
+  // List meetings, optionally filtered
+  listMeetings({ ownerEmail, invitee, from, to, includeCancelled = false } = {}) {
+    return Array.from(meetings.values())
+      .filter((meeting) => includeCancelled || meeting.status !== "cancelled")
+      .filter((meeting) => !ownerEmail || meeting.ownerEmail === ownerEmail)
+      .filter((meeting) => !invitee || meeting.invitees.includes(invitee))
+      .filter((meeting) => !from || meeting.endTime >= from)
+      .filter((meeting) => !to || meeting.startTime <= to)
+      .sort((a, b) => a.startTime - b.startTime)
+  },
+
+  // Update a meeting
+  updateMeeting(id, changes) {
+    const meeting = meetings.get(id)
+    if (!meeting) return null
+
+    meeting.update(changes)
+    meeting.save()
+    syncRoom(meeting)
+    return meeting
+  },
+
+  // Cancel a meeting and close its room to new joins
+  cancelMeeting(id) {
+    const meeting = meetings.get(id)
+    if (!meeting) return null
+
+    meeting.cancel()
+    meeting.save()
+    syncRoom(meeting)
+    return meeting
+  },
+}
+
+// Keep local meetings in step with changes made by other instances
+storage.subscribe((collection, id, value) => {
+  if (collection !== "meetings") return
+
+  if (value) {
+    meetings.set(id, ScheduledMeeting.fromJSON(value))
+  } else {
+    meetings.delete(id)
+  }
+})
@@ -0,0 +1,134 @@
+import crypto from "crypto"
+import { storage } from "../storage/index.js"
+
+// In-meeting polls. Kept in the "polls" storage collection so results can be
+// read back after the room is gone.
+
+export const POLL_MAX_OPTIONS = 10
+const POLL_TEXT_MAX_LENGTH = 200
+
+// Utility functions
+export const pollUtils = {
+  // Create a poll as a draft - hosts open it when they are ready
+  createPoll(roomCode, createdBy, { question, options, multipleChoice = false, anonymous = false } = {}) {
+    const text = typeof question === "string" ? question.trim() : ""
+    if (!text || text.length > POLL_TEXT_MAX_LENGTH) {
+      throw new Error(`Poll question must be 1-${POLL_TEXT_MAX_LENGTH} characters`)
+    }
+
+    const choices = Array.isArray(options)
+      ? options.map((option) => (typeof option === "string" ? option.trim() : "")).filter(Boolean)
+      : []
+    if (choices.length < 2 || choices.length > POLL_MAX_OPTIONS) {
+      throw new Error(`A poll needs 2-${POLL_MAX_OPTIONS} options`)
+    }
+    if (choices.some((choice) => choice.length > POLL_TEXT_MAX_LENGTH)) {
+      throw new Error(`Poll options must be at most ${POLL_TEXT_MAX_LENGTH} characters`)
+    }
+
+    const poll = {
+      id: crypto.randomUUID(),
+      roomCode,
+      question: text,
+      options: choices.map((choice, index) => ({ id: String(index), text: choice })),
+      multipleChoice: !!multipleChoice,
+      anonymous: !!anonymous,
+      status: "draft",
+      createdBy,
+      createdAt: new Date().toISOString(),
+      openedAt: null,
+      closedAt: null,
+      votes: {},
+    }
+    storage.set("polls", poll.id, poll)
+    return poll
+  },
+
+  // Get a poll that belongs to a room
+  getPoll(roomCode, pollId) {
+    const poll = storage.get("polls", pollId)
+    if (!poll || poll.roomCode !== roomCode) {
+      throw new Error("Poll not found")
+    }
+    return poll
+  },
+
+  listPolls(roomCode) {
+    return storage
+      .getAll("polls")
+      .filter((poll) => poll.roomCode === roomCode)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  },
+
+  // Only the changed fields (and ballots) are written, so votes cast at the same moment are all kept
+  updatePoll(poll, changes) {
+    const updated = { ...poll, ...changes }
+    storage.merge("polls", poll.id, updated)
+    return updated
+  },
+
+  // Start accepting votes
+  openPoll(roomCode, pollId) {
+    const poll = this.getPoll(roomCode, pollId)
+    if (poll.status !== "draft") {
+      throw new Error(poll.status === "open" ? "Poll is already open" : "Closed polls cannot be reopened")
+    }
+    return this.updatePoll(poll, { status: "open", openedAt: new Date().toISOString() })
+  },
+
+  // Stop accepting votes
+  closePoll(roomCode, pollId) {
+    const poll = this.getPoll(roomCode, pollId)
+    if (poll.status !== "open") {
+      throw new Error("Poll is not open")
+    }
+    return this.updatePoll(poll, { status: "closed", closedAt: new Date().toISOString() })
+  },
+
+  // Record (or replace) a user's vote while the poll is open
+  vote(roomCode, pollId, userEmail, optionIds) {
+    const poll = this.getPoll(roomCode, pollId)
+    if (poll.status !== "open") {
+      throw new Error("Poll is not open for voting")
+    }
+
+    const chosen = [...new Set(Array.isArray(optionIds) ? optionIds.map(String) : [])]
+    const validIds = poll.options.map((option) => option.id)
+    if (chosen.length === 0 || chosen.some((id) => !validIds.includes(id))) {
+      throw new Error("Choose one of the poll's options")
+    }
+    if (!poll.multipleChoice && chosen.length > 1) {
+      throw new Error("This poll allows only one choice")
+    }
+
+    return this.updatePoll(poll, { votes: { ...poll.votes, [userEmail]: chosen } })
+  },
+
+  // Poll with tallies - named polls also list who picked each option
+  getResults(poll) {
+    const ballots = Object.entries(poll.votes)
+
+    return {
+      id: poll.id,
+      roomCode: poll.roomCode,
+      question: poll.question,
+      multipleChoice: poll.multipleChoice,
+      anonymous: poll.anonymous,
+      status: poll.status,
+      createdBy: poll.createdBy,
+      createdAt: poll.createdAt,
+      openedAt: poll.openedAt,
+      closedAt: poll.closedAt,
+      voterCount: ballots.length,
+      options: poll.options.map((option) => {
+        const voters = ballots.filter(([, chosen]) => chosen.includes(option.id)).map(([email]) => email)
+        return {
+          id: option.id,
+          text: option.text,
+          votes: voters.length,
+          ...(poll.anonymous ? {} : { voters }),
+        }
+      }),
+    }
+  },
+}
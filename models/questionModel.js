@@ -0,0 +1,127 @@
+import crypto from "crypto"
+import { storage } from "../storage/index.js"
+
+// Moderated Q&A. Questions are kept in the "questions" storage collection so
+// they can be read back after the room is gone.
+
+const QUESTION_MAX_LENGTH = 500
+
+// Upvotes are stored as { email: upvotedAt }, so upvotes given at the same moment through
+// different instances are all kept. Callers get them as a list of emails, oldest first
+const getUpvoteTimes = (question) =>
+  Array.isArray(question.upvotes)
+    ? Object.fromEntries(question.upvotes.map((email) => [email, question.createdAt]))
+    : question.upvotes
+
+const toQuestion = (question) => ({
+  ...question,
+  upvotes: Object.entries(getUpvoteTimes(question))
+    .sort(([, a], [, b]) => new Date(a) - new Date(b))
+    .map(([email]) => email),
+})
+
+// Utility functions
+export const questionUtils = {
+  // Submit a question
+  submitQuestion(roomCode, authorEmail, text) {
+    const body = typeof text === "string" ? text.trim() : ""
+    if (!body || body.length > QUESTION_MAX_LENGTH) {
+      throw new Error(`Questions must be 1-${QUESTION_MAX_LENGTH} characters`)
+    }
+
+    const question = {
+      id: crypto.randomUUID(),
+      roomCode,
+      text: body,
+      authorEmail,
+      createdAt: new Date().toISOString(),
+      upvotes: {},
+      isAnswered: false,
+      answer: null,
+      answeredBy: null,
+      answeredAt: null,
+      isHidden: false,
+      isPinned: false,
+    }
+    storage.set("questions", question.id, question)
+    return toQuestion(question)
+  },
+
+  // Get a question that belongs to a room, as stored
+  getQuestion(roomCode, questionId) {
+    const question = storage.get("questions", questionId)
+    if (!question || question.roomCode !== roomCode) {
+      throw new Error("Question not found")
+    }
+    return question
+  },
+
+  // Pinned first, then most upvoted, then oldest
+  listQuestions(roomCode, { includeHidden = false } = {}) {
+    return storage
+      .getAll("questions")
+      .filter((question) => question.roomCode === roomCode && (includeHidden || !question.isHidden))
+      .map(toQuestion)
+      .sort(
+        (a, b) =>
+          b.isPinned - a.isPinned ||
+          b.upvotes.length - a.upvotes.length ||
+          new Date(a.createdAt) - new Date(b.createdAt),
+      )
+  },
+
+  // Only the changed fields (and upvotes) are written
+  updateQuestion(question, changes) {
+    const updated = { ...question, ...changes }
+    storage.merge("questions", question.id, updated)
+    return toQuestion(updated)
+  },
+
+  // Add or remove a user's upvote
+  toggleUpvote(roomCode, questionId, userEmail) {
+    const question = this.getQuestion(roomCode, questionId)
+    if (question.isHidden) {
+      throw new Error("Question not found")
+    }
+    if (question.authorEmail === userEmail) {
+      throw new Error("You cannot upvote your own question")
+    }
+
+    const upvotes = { ...getUpvoteTimes(question) }
+    if (upvotes[userEmail]) {
+      delete upvotes[userEmail]
+    } else {
+      upvotes[userEmail] = new Date().toISOString()
+    }
+    return this.updateQuestion(question, { upvotes })
+  },
+
+  // Mark a question answered, optionally with a written answer
+  answerQuestion(roomCode, questionId, answeredBy, answer) {
+    const question = this.getQuestion(roomCode, questionId)
+    const text = typeof answer === "string" ? answer.trim() : ""
+    if (text.length > QUESTION_MAX_LENGTH) {
+      throw new Error(`Answers must be at most ${QUESTION_MAX_LENGTH} characters`)
+    }
+
+    return this.updateQuestion(question, {
+      isAnswered: true,
+      answer: text || null,
+      answeredBy,
+      answeredAt: new Date().toISOString(),
+    })
+  },
+
+  setHidden(roomCode, questionId, hidden) {
+    const question = this.getQuestion(roomCode, questionId)
+    return this.updateQuestion(question, { isHidden: !!hidden, isPinned: hidden ? false : question.isPinned })
+  },
+
+  setPinned(roomCode, questionId, pinned) {
+    const question = this.getQuestion(roomCode, questionId)
+    if (question.isHidden && pinned) {
+      throw new Error("Hidden questions cannot be pinned")
+    }
+    return this.updateQuestion(question, { isPinned: !!pinned })
+  },
+}
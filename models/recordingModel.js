@@ -0,0 +1,122 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { storage } from "../storage/index.js"
+import { roomUtils } from "./roomModel.js"
+
+// Recording metadata lives in the "recordings" storage collection, keyed by recording id
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Uploaded files are kept here and only served through the recordings API
+export const RECORDINGS_DIR = path.join(__dirname, "..", "uploads", "recordings")
+
+// Utility functions
+export const recordingUtils = {
+  // File name for a new recording, e.g. recording-2025-05-26T05-30-07-755Z-ABC123.webm
+  generateFilename(roomCode) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
+    const safeRoomCode = String(roomCode || "unknown").replace(/[^A-Za-z0-9]/g, "")
+    return `recording-${timestamp}-${safeRoomCode}.webm`
+  },
+
+  // Save metadata for an uploaded recording
+  saveRecording(metadata) {
+    const recording = { id: metadata.id || crypto.randomUUID(), ...metadata }
+    storage.set("recordings", recording.id, recording)
+    return recording
+  },
+
+  // Merge changes into a recording's metadata
+  updateRecording(id, changes) {
+    const recording = storage.get("recordings", id)
+    if (!recording) return null
+    return storage.set("recordings", id, { ...recording, ...changes })
+  },
+
+  // Get recording metadata by id
+  getRecording(id) {
+    return storage.get("recordings", id)
+  },
+
+  // Get recording metadata by stored filename
+  findByFilename(filename) {
+    return storage.getAll("recordings").find((recording) => recording.filename === filename) || null
+  },
+
+  // Get recording metadata, newest first, optionally filtered
+  listRecordings({ roomCode, userEmail, recordingType, from, to } = {}) {
+    return storage
+      .getAll("recordings")
+      .filter((recording) => !roomCode || recording.roomCode === roomCode)
+      .filter((recording) => !userEmail || recording.userEmail === userEmail)
+      .filter((recording) => !recordingType || recording.recordingType === recordingType)
+      .filter((recording) => !from || new Date(recording.uploadedAt) >= from)
+      .filter((recording) => !to || new Date(recording.uploadedAt) <= to)
+      .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt))
+  },
+
+  // Owner, host and co-hosts of a live room
+  getRoomHostEmails(roomCode) {
+    const room = roomCode ? roomUtils.getRoom(roomCode) : null
+    return room ? [room.ownerEmail, room.hostEmail, ...room.coHosts].filter(Boolean) : []
+  },
+
+  // Emails allowed to manage a room's recordings: the live room's hosts, or those captured at upload
+  getRoomHosts(recording) {
+    if (recording.roomCode && roomUtils.roomExists(recording.roomCode)) {
+      return this.getRoomHostEmails(recording.roomCode)
+    }
+    return recording.hostEmails || []
+  },
+
+  // Only the uploader and the room's hosts can see a recording
+  canAccess(recording, email) {
+    if (!email) return false
+    return recording.userEmail === email || this.getRoomHosts(recording).includes(email)
+  },
+
+  // Absolute path of the recording file (or one of its processed outputs) on disk
+  getFilePath(recording, filename = recording.filename) {
+    return path.join(RECORDINGS_DIR, path.basename(filename))
+  },
+
+  // Remove a recording's file and metadata
+  deleteRecording(id) {
+    const recording = storage.get("recordings", id)
+    if (!recording) return false
+
+    const outputs = recording.outputs || {}
+    for (const filename of [recording.filename, outputs.mp4, outputs.thumbnails?.filename]) {
+      if (filename) fs.rmSync(this.getFilePath(recording, filename), { force: true })
+    }
+    storage.delete("recordings", id)
+    return true
+  },
+
+  // Import metadata from the old "<file>.webm.json" sidecar files
+  importLegacyMetadata(dir) {
+    let imported = 0
+
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".webm.json")) continue
+
+      const filename = file.slice(0, -".json".length)
+      if (this.findByFilename(filename)) continue
+
+      try {
+        const metadata = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"))
+        delete metadata.path
+        this.saveRecording({ ...metadata, filename })
+        imported++
+      } catch (error) {
+        console.error(`❌ Could not import recording metadata ${file}:`, error.message)
+      }
+    }
+
+    if (imported > 0) {
+      console.log(`Imported metadata for ${imported} recordings`)
+    }
+  },
+}
@@ -1,91 +1,1010 @@
-// In-memory storage for rooms and participants
+import crypto from "crypto"
+import { promisify } from "util"
+import { storage } from "../storage/index.js"
+import { attachmentUtils } from "./attachmentModel.js"
+import { settingsUtils } from "./settingsModel.js"
+
+// Live rooms and participants - rooms are also persisted through the storage adapter
 export const rooms = new Map()
 export const participants = new Map()
 
+// Meeting codes avoid look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+const CODE_LENGTH = 10
+
+// Chat history kept per room, unless the room sets its own limit
+export const DEFAULT_MESSAGE_RETENTION = parseInt(process.env.CHAT_HISTORY_LIMIT) || 100
+export const MAX_MESSAGE_RETENTION = 1000
+
+// Senders can edit or delete their own messages for this long
+const MESSAGE_EDIT_WINDOW_MS = parseInt(process.env.CHAT_EDIT_WINDOW_MS) || 15 * 60 * 1000
+
+// Most breakout rooms a meeting can have at once
+export const MAX_BREAKOUT_ROOMS = 20
+
+// Empty rooms are kept this long so their links keep working
+const ROOM_IDLE_TTL_MS = parseInt(process.env.ROOM_IDLE_TTL_MS) || 24 * 60 * 60 * 1000
+
+// scrypt runs on the libuv thread pool, so hashing doesn't hold up other meetings
+const scrypt = promisify(crypto.scrypt)
+
+// Hash a passcode with a random salt, resolving to "salt:hash" (rooms take it as passcodeHash)
+export const hashPasscode = async (passcode) => {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = (await scrypt(String(passcode), salt, 32)).toString("hex")
+  return `${salt}:${hash}`
+}
+
+// Sets and maps are stored as objects keyed by email, so people added at the same moment
+// through different instances are all kept (older snapshots stored them as arrays)
+const toKeyedRecord = (set) => Object.fromEntries(Array.from(set, (item) => [item, true]))
+const fromKeyedRecord = (value) => (Array.isArray(value) ? value : Object.keys(value || {}))
+const fromEntriesRecord = (value) => (Array.isArray(value) ? value : Object.entries(value || {}))
+
 // Room model class
 export class Room {
-  constructor(code) {
+  constructor(code, options = {}) {
     this.id = code
     this.code = code.toUpperCase()
     this.participants = new Set()
     this.createdAt = new Date()
     this.messages = []
+    this.messageRetention = options.messageRetention ?? DEFAULT_MESSAGE_RETENTION
     this.isActive = true
-    this.maxParticipants = 50
+    this.emptiedAt = null
+    // Attendance session - starts when the first person joins, ends when the room empties
+    this.sessionId = null
+    this.maxParticipants = options.maxParticipants || settingsUtils.getSettings().maxParticipants
+    this.ownerEmail = options.ownerEmail || null
+    this.passcodeHash = options.passcodeHash || null
+
+    // Moderation state - roles are tracked by email so they survive reconnects
+    this.hostEmail = options.hostEmail || options.ownerEmail || null
+    this.coHosts = new Set()
+    this.isLocked = !!options.isLocked
+    this.isEnded = false
+    this.removedEmails = new Set()
+
+    // Emails people joined with: guest tokens carry an email someone typed in, verified ones
+    // an email an issuer vouched for. Guests never hold a role or take a verified email, and
+    // a guest email belongs to the guest (by guest id) who joined with it first
+    this.guestEmails = new Map()
+    this.verifiedEmails = new Set()
+
+    // Waiting room - joiners wait here until a host admits them
+    this.waitingRoomEnabled = !!options.waitingRoomEnabled
+    this.autoAdmitDomains = (options.autoAdmitDomains || []).map((domain) => domain.toLowerCase())
+    this.lobby = new Map()
+    this.admittedEmails = new Set()
+
+    // Raised hands by email, in the order they went up
+    this.raisedHands = new Map()
+
+    // Breakouts - parentCode and breakoutName are set on breakout rooms,
+    // breakout ({ rooms, assignments, status, ... }) on the room they belong to
+    this.parentCode = options.parentCode || null
+    this.breakoutName = options.breakoutName || null
+    this.breakout = null
+
+    // Schedule - set for rooms that belong to a scheduled meeting
+    this.opensAt = null
+    this.retainUntil = null
+    this.isRecurring = false
+    this.isCancelled = false
   }
 
-  // Add participant to room
-  addParticipant(socketId, userEmail) {
-    if (this.participants.size >= this.maxParticipants) {
+  // Attach scheduled meeting timing to the room
+  setSchedule({ opensAt, retainUntil, isRecurring, isCancelled }) {
+    this.opensAt = opensAt || null
+    this.retainUntil = retainUntil || null
+    this.isRecurring = !!isRecurring
+    this.isCancelled = !!isCancelled
+    this.save()
+  }
+
+  // Check if a scheduled room is not open for joining yet
+  hasNotStarted() {
+    return !!this.opensAt && Date.now() < this.opensAt.getTime()
+  }
+
+  // Check a passcode against the stored hash (resolves to true or false)
+  async verifyPasscode(passcode) {
+    if (!this.passcodeHash) return true
+    if (!passcode) return false
+
+    const [salt, hash] = this.passcodeHash.split(":")
+    const candidate = await scrypt(String(passcode), salt, 32)
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"))
+  }
+
+  // Throw if a user is not allowed into the room right now
+  assertCanJoin(userEmail, { isGuest = false, guestId = null } = {}) {
+    if (this.isCancelled) {
+      throw new Error("Meeting was cancelled")
+    }
+
+    if (this.hasNotStarted()) {
+      throw new Error("Meeting has not started")
+    }
+
+    if (this.isEnded) {
+      throw new Error("Meeting has ended")
+    }
+
+    if (this.removedEmails.has(userEmail)) {
+      throw new Error("You were removed from this meeting")
+    }
+
+    if (isGuest && this.isReservedEmail(userEmail)) {
+      throw new Error("This email belongs to a signed-in participant - use the link you were sent")
+    }
+
+    if (isGuest && this.isTakenByOtherGuest(userEmail, guestId)) {
+      throw new Error("Another guest is already using this email in this meeting")
+    }
+
+    if (this.parentCode) {
+      this.assertCanJoinBreakout(userEmail)
+    }
+
+    // People coming back from a breakout get in even if the room was locked meanwhile
+    const isReturning = !!this.breakout?.assignments[userEmail]
+    if (this.isLocked && !this.isModerator(userEmail) && !isReturning) {
+      throw new Error("Room is locked")
+    }
+
+    // Another device of someone already here doesn't take a place
+    if (!this.getEmails().includes(userEmail) && this.getParticipantCount() >= this.maxParticipants) {
       throw new Error("Room is full")
     }
+  }
+
+  // Add participant to room
+  addParticipant(socketId, userEmail, { isGuest = false, guestId = null } = {}) {
+    this.assertCanJoin(userEmail, { isGuest, guestId })
+
+    // The first verified person into a room without a host becomes the host
+    if (!this.hostEmail && !isGuest) {
+      this.hostEmail = userEmail
+    }
+    this.trackIdentity(userEmail, isGuest, guestId)
 
+    this.isActive = true
+    this.emptiedAt = null
+    if (!this.sessionId) {
+      this.sessionId = crypto.randomUUID()
+    }
     this.participants.add(socketId)
     participants.set(socketId, {
       userEmail,
+      participantId: this.getParticipantId(userEmail),
       roomCode: this.code,
       joinedAt: new Date(),
+      isGuest,
+      // Last microphone/camera state the device reported
+      media: {},
     })
+    storage.set("participants", socketId, { socketId, ...participants.get(socketId) })
 
+    this.recordAttendance(userEmail, "join", socketId)
+    this.save()
     return true
   }
 
   // Remove participant from room
   removeParticipant(socketId) {
+    const participant = participants.get(socketId)
     this.participants.delete(socketId)
     participants.delete(socketId)
+    storage.delete("participants", socketId)
+
+    if (participant) {
+      this.recordAttendance(participant.userEmail, "leave", socketId)
+
+      // Leaving for good takes you out of the speaking queue
+      if (!this.getEmails().includes(participant.userEmail)) {
+        this.raisedHands.delete(participant.userEmail)
+      }
+    }
 
     // Mark room as inactive if empty
     if (this.participants.size === 0) {
       this.isActive = false
+      this.emptiedAt = new Date()
+
+      // Everyone in breakout rooms is still in the meeting
+      if (this.breakout?.status !== "open") {
+        this.sessionId = null
+      }
+
+      // A recurring meeting reuses its room for the next occurrence
+      if (this.isEnded && this.isRecurring) {
+        this.isEnded = false
+      }
+    } else if (!this.parentCode && !this.hasModeratorPresent()) {
+      // Hand the room to the longest-present verified participant so it is never left unmoderated
+      const nextHost = this.getEmails().find((email) => email && !this.isGuest(email))
+      this.setHost(nextHost)
     }
 
+    this.save()
     return this.participants.size
   }
 
+  // Remember a device's microphone or camera state
+  setMediaState(socketId, type, enabled) {
+    const participant = participants.get(socketId)
+    if (!participant) return
+
+    participant.media = { ...participant.media, [type]: enabled }
+    storage.set("participants", socketId, { socketId, ...participant })
+  }
+
+  // Check if a joiner has to wait in the lobby
+  needsLobby(userEmail) {
+    if (!this.waitingRoomEnabled || !this.hostEmail) return false
+    if (this.isModerator(userEmail) || this.admittedEmails.has(userEmail)) return false
+
+    const domain = userEmail.split("@").pop().toLowerCase()
+    return !this.autoAdmitDomains.includes(domain)
+  }
+
+  // Put a joiner in the lobby
+  addToLobby(socketId, userEmail) {
+    const entry = {
+      socketId,
+      userEmail,
+      roomCode: this.code,
+      requestedAt: new Date(),
+    }
+    this.lobby.set(socketId, entry)
+    storage.set("lobby", socketId, entry)
+  }
+
+  // Take a joiner out of the lobby, returning their entry
+  removeFromLobby(socketId) {
+    const entry = this.lobby.get(socketId)
+    this.lobby.delete(socketId)
+    if (entry) storage.delete("lobby", socketId)
+    return entry
+  }
+
+  // Remember an admitted user so reconnects skip the lobby
+  markAdmitted(userEmail) {
+    this.admittedEmails.add(userEmail)
+    this.save()
+  }
+
+  // Get everyone waiting, oldest first
+  getLobbyList() {
+    return Array.from(this.lobby.values())
+  }
+
+  // Update waiting room settings
+  setWaitingRoom({ enabled, autoAdmitDomains } = {}) {
+    if (enabled !== undefined) {
+      this.waitingRoomEnabled = !!enabled
+    }
+    if (Array.isArray(autoAdmitDomains)) {
+      this.autoAdmitDomains = autoAdmitDomains.map((domain) => String(domain).trim().toLowerCase()).filter(Boolean)
+    }
+    this.save()
+  }
+
+  // Get the role of a user in this room
+  getRole(userEmail) {
+    if (this.isHost(userEmail)) return "host"
+    if (this.isModerator(userEmail)) return "cohost"
+    return "participant"
+  }
+
+  // Breakout rooms are moderated by the hosts of the room they belong to
+  getParentRoom() {
+    return this.parentCode ? roomUtils.getRoom(this.parentCode) || null : null
+  }
+
+  // Check if user is the host
+  isHost(userEmail) {
+    const parent = this.getParentRoom()
+    if (parent) return parent.isHost(userEmail)
+    return !!userEmail && userEmail === this.hostEmail && !this.isGuest(userEmail)
+  }
+
+  // Check if user is the host or a co-host
+  isModerator(userEmail) {
+    const parent = this.getParentRoom()
+    if (parent) return parent.isModerator(userEmail)
+    return this.isHost(userEmail) || (this.coHosts.has(userEmail) && !this.isGuest(userEmail))
+  }
+
+  // Check if the user's email came from a guest token rather than a verified one
+  isGuest(userEmail) {
+    const parent = this.getParentRoom()
+    if (parent) return parent.isGuest(userEmail)
+    return this.guestEmails.has(userEmail)
+  }
+
+  // Emails a guest can't join with: the owner, hosts, co-hosts and anyone who joined verified
+  isReservedEmail(userEmail) {
+    const parent = this.getParentRoom()
+    if (parent) return parent.isReservedEmail(userEmail)
+    return (
+      userEmail === this.ownerEmail ||
+      userEmail === this.hostEmail ||
+      this.coHosts.has(userEmail) ||
+      this.verifiedEmails.has(userEmail)
+    )
+  }
+
+  // Whether a guest email is held by a different guest than `guestId`
+  isTakenByOtherGuest(userEmail, guestId) {
+    const main = this.getParentRoom() || this
+    const holder = main.guestEmails.get(userEmail)
+    return !!holder && holder !== guestId
+  }
+
+  // Remember how someone's email was vouched for - joining verified clears an earlier guest use
+  trackIdentity(userEmail, isGuest, guestId = null) {
+    const main = this.getParentRoom() || this
+    if (isGuest) {
+      if (!main.guestEmails.get(userEmail)) main.guestEmails.set(userEmail, guestId)
+    } else {
+      main.verifiedEmails.add(userEmail)
+      main.guestEmails.delete(userEmail)
+    }
+    if (main !== this) main.save()
+  }
+
+  // Devices someone is on with a guest token, in this meeting or its breakout rooms
+  getGuestSocketIds(userEmail) {
+    const main = this.getParentRoom() || this
+    return [main, ...main.getBreakoutRooms()].flatMap((room) =>
+      Array.from(room.participants).filter((id) => {
+        const participant = participants.get(id)
+        return participant?.isGuest && participant.userEmail === userEmail
+      }),
+    )
+  }
+
+  // Check if any host or co-host is in the room, or visiting one of its breakouts
+  hasModeratorPresent() {
+    const emails = [...this.getEmails(), ...this.getBreakoutRooms().flatMap((room) => room.getEmails())]
+    return emails.some((email) => this.isModerator(email))
+  }
+
+  // Throw unless the user may enter this breakout room right now
+  assertCanJoinBreakout(userEmail) {
+    const parent = this.getParentRoom()
+    if (!parent || parent.breakout?.status !== "open") {
+      throw new Error("Breakout rooms are closed")
+    }
+    if (parent.removedEmails.has(userEmail)) {
+      throw new Error("You were removed from this meeting")
+    }
+    if (!parent.isModerator(userEmail) && parent.breakout.assignments[userEmail] !== this.code) {
+      throw new Error("You are not assigned to this breakout room")
+    }
+  }
+
+  // Live breakout rooms of this room
+  getBreakoutRooms() {
+    return (this.breakout?.rooms || []).map(({ code }) => roomUtils.getRoom(code)).filter(Boolean)
+  }
+
+  // Create a fresh set of breakout rooms (assignments start empty)
+  createBreakouts(count, names = []) {
+    if (this.parentCode) {
+      throw new Error("Breakout rooms cannot have their own breakouts")
+    }
+    if (this.breakout?.status === "open") {
+      throw new Error("Close the current breakout rooms first")
+    }
+
+    const total = parseInt(count)
+    if (!Number.isInteger(total) || total < 1 || total > MAX_BREAKOUT_ROOMS) {
+      throw new Error(`Choose between 1 and ${MAX_BREAKOUT_ROOMS} breakout rooms`)
+    }
+
+    // Rooms from an earlier round are finished
+    this.getBreakoutRooms().forEach((room) => room.end())
+
+    const breakoutRooms = Array.from({ length: total }, (_, index) => {
+      const name = typeof names[index] === "string" && names[index].trim() ? names[index].trim().slice(0, 50) : `Room ${index + 1}`
+      const room = roomUtils.createRoom(roomUtils.generateCode(), {
+        parentCode: this.code,
+        breakoutName: name,
+        ownerEmail: this.ownerEmail,
+        hostEmail: this.hostEmail,
+        maxParticipants: this.maxParticipants,
+        messageRetention: this.messageRetention,
+      })
+      return { code: room.code, name }
+    })
+
+    this.breakout = {
+      rooms: breakoutRooms,
+      assignments: {},
+      status: "pending",
+      roundId: null,
+      createdAt: new Date(),
+      openedAt: null,
+      endsAt: null,
+      closedAt: null,
+    }
+    this.save()
+    return this.breakout
+  }
+
+  // Throw unless there are breakout rooms to work with
+  assertHasBreakouts() {
+    if (!this.breakout || this.breakout.status === "closed") {
+      throw new Error("Create breakout rooms first")
+    }
+  }
+
+  // Put a user in a breakout room, or take them out with a null code
+  assignBreakout(userEmail, breakoutCode) {
+    this.assertHasBreakouts()
+    if (!userEmail) {
+      throw new Error("Participant not found in this meeting")
+    }
+
+    if (breakoutCode) {
+      const code = breakoutCode.toUpperCase()
+      if (!this.breakout.rooms.some((room) => room.code === code)) {
+        throw new Error("Breakout room not found")
+      }
+      this.breakout.assignments[userEmail] = code
+    } else {
+      delete this.breakout.assignments[userEmail]
+    }
+    this.save()
+    return this.breakout.assignments
+  }
+
+  // Spread users evenly over the breakout rooms in random order
+  assignBreakoutsRandomly(userEmails) {
+    this.assertHasBreakouts()
+
+    const shuffled = [...new Set(userEmails)]
+    for (let index = shuffled.length - 1; index > 0; index--) {
+      const swap = crypto.randomInt(index + 1)
+      ;[shuffled[index], shuffled[swap]] = [shuffled[swap], shuffled[index]]
+    }
+
+    shuffled.forEach((userEmail, index) => {
+      this.breakout.assignments[userEmail] = this.breakout.rooms[index % this.breakout.rooms.length].code
+    })
+    this.save()
+    return this.breakout.assignments
+  }
+
+  // Open the breakout rooms, optionally closing them automatically after durationMs
+  openBreakouts(durationMs = null) {
+    this.assertHasBreakouts()
+    if (this.breakout.status === "open") {
+      throw new Error("Breakout rooms are already open")
+    }
+
+    // Each opening is a new round, so a countdown from an earlier round can't close this one
+    this.breakout.status = "open"
+    this.breakout.roundId = crypto.randomUUID()
+    this.breakout.openedAt = new Date()
+    this.breakout.endsAt = durationMs ? new Date(Date.now() + durationMs) : null
+    this.save()
+    return this.breakout
+  }
+
+  // Close the breakout rooms - everyone is expected back in this room
+  closeBreakouts() {
+    if (this.breakout?.status !== "open") {
+      throw new Error("Breakout rooms are not open")
+    }
+
+    this.getBreakoutRooms().forEach((room) => room.end())
+    this.breakout.status = "closed"
+    this.breakout.closedAt = new Date()
+    this.save()
+    return this.breakout
+  }
+
+  // Breakout rooms with who is assigned to and currently in each one
+  getBreakoutSummary() {
+    if (!this.breakout) return null
+
+    const { rooms: breakoutRooms, assignments, status, openedAt, endsAt, closedAt } = this.breakout
+    return {
+      status,
+      openedAt,
+      endsAt,
+      closedAt,
+      rooms: breakoutRooms.map(({ code, name }) => ({
+        code,
+        name,
+        assigned: Object.keys(assignments).filter((email) => assignments[email] === code),
+        participants: roomUtils.getRoom(code)?.getEmails() || [],
+      })),
+    }
+  }
+
+  // Transfer the host role to another user
+  setHost(userEmail) {
+    if (!userEmail || this.isGuest(userEmail)) return false
+
+    this.coHosts.delete(userEmail)
+    this.hostEmail = userEmail
+    this.save()
+    return true
+  }
+
+  // Grant or revoke co-host for a user
+  setCoHost(userEmail, isCoHost) {
+    if (!userEmail || this.isHost(userEmail) || (isCoHost && this.isGuest(userEmail))) return false
+
+    if (isCoHost) {
+      this.coHosts.add(userEmail)
+    } else {
+      this.coHosts.delete(userEmail)
+    }
+    this.save()
+    return true
+  }
+
+  // Lock or unlock the room against new joins
+  setLocked(locked) {
+    this.isLocked = !!locked
+    this.save()
+    return this.isLocked
+  }
+
+  // Remove a user and prevent them from rejoining this meeting
+  banEmail(userEmail) {
+    this.removedEmails.add(userEmail)
+    this.coHosts.delete(userEmail)
+    this.save()
+  }
+
+  // End the meeting for everyone
+  end() {
+    this.isEnded = true
+    this.isActive = false
+    this.save()
+  }
+
+  // Raise a hand - raising it again keeps the original place in the queue
+  raiseHand(userEmail) {
+    if (!this.raisedHands.has(userEmail)) {
+      this.raisedHands.set(userEmail, new Date())
+      this.save()
+    }
+    return this.raisedHands.get(userEmail)
+  }
+
+  // Lower one hand, returning whether it was raised
+  lowerHand(userEmail) {
+    const wasRaised = this.raisedHands.delete(userEmail)
+    if (wasRaised) this.save()
+    return wasRaised
+  }
+
+  // Lower every hand
+  clearHands() {
+    this.raisedHands.clear()
+    this.save()
+  }
+
+  // Raised hands, earliest first
+  getSpeakingQueue() {
+    return Array.from(this.raisedHands, ([userEmail, raisedAt]) => ({ userEmail, raisedAt })).sort(
+      (a, b) => a.raisedAt - b.raisedAt,
+    )
+  }
+
+  // Stable ID for a person in a meeting: the same on each of their devices, on every
+  // instance and in the meeting's breakout rooms, without exposing a socket
+  getParticipantId(userEmail) {
+    return crypto
+      .createHash("sha256")
+      .update(`${this.parentCode || this.code}:${userEmail}`)
+      .digest("base64url")
+      .slice(0, 16)
+  }
+
+  // Get socket IDs belonging to a user in this room - one per device
+  getSocketIds(userEmail) {
+    return Array.from(this.participants).filter((id) => participants.get(id)?.userEmail === userEmail)
+  }
+
+  // Get emails of everyone in the room
+  getEmails() {
+    return Array.from(this.participants).map((id) => participants.get(id)?.userEmail)
+  }
+
+  // Number of people in the room, however many devices each has
+  getParticipantCount() {
+    return new Set(this.getEmails()).size
+  }
+
+  // Get participants with their roles - one entry per person, listing their devices
+  getParticipantList() {
+    const people = new Map()
+    for (const id of this.participants) {
+      const participant = participants.get(id)
+      const userEmail = participant?.userEmail || "Unknown"
+
+      if (!people.has(userEmail)) {
+        people.set(userEmail, {
+          participantId: this.getParticipantId(userEmail),
+          // Their first device, for actions that take a socket
+          socketId: id,
+          userEmail,
+          role: this.getRole(userEmail),
+          handRaisedAt: this.raisedHands.get(userEmail) || null,
+          devices: [],
+        })
+      }
+      people.get(userEmail).devices.push({
+        socketId: id,
+        joinedAt: participant?.joinedAt || null,
+        media: participant?.media || {},
+      })
+    }
+    return Array.from(people.values())
+  }
+
   // Add message to room
-  addMessage(message, senderEmail) {
-    const messageObj = {
-      id: Date.now() + Math.random(),
+  addMessage(message, senderEmail, { replyTo = null, attachment = null } = {}) {
+    return this.storeMessage({
+      id: crypto.randomUUID(),
+      message,
+      senderEmail,
+      timestamp: new Date().toISOString(),
+      type: "group",
+      replyTo: this.getReplyPreview(replyTo, senderEmail),
+      attachment,
+      reactions: {},
+    })
+  }
+
+  // Add a private message - only the sender and recipient can read it back
+  addPrivateMessage(message, senderEmail, recipientEmail, { replyTo = null, attachment = null } = {}) {
+    return this.storeMessage({
+      id: crypto.randomUUID(),
       message,
       senderEmail,
+      recipientEmail,
       timestamp: new Date().toISOString(),
+      type: "private",
+      replyTo: this.getReplyPreview(replyTo, senderEmail),
+      attachment,
+      reactions: {},
+      readAt: null,
+    })
+  }
+
+  // Find a stored message by id
+  findMessage(messageId) {
+    return this.messages.find((messageObj) => messageObj.id === messageId) || null
+  }
+
+  // Find a message a user is allowed to act on
+  getVisibleMessage(messageId, userEmail) {
+    const messageObj = this.findMessage(messageId)
+    if (!messageObj || !this.canSeeMessage(messageObj, userEmail)) {
+      throw new Error("Message not found")
     }
+    return messageObj
+  }
+
+  // Snippet of the message being replied to, so the reply still makes sense once it scrolls away
+  getReplyPreview(replyTo, userEmail) {
+    if (!replyTo) return null
+
+    const parent = this.getVisibleMessage(replyTo, userEmail)
+    return {
+      id: parent.id,
+      senderEmail: parent.senderEmail,
+      message: parent.deletedAt ? "" : parent.message.slice(0, 100) || (parent.attachment ? `📎 ${parent.attachment.name}` : ""),
+    }
+  }
+
+  // Add or remove a user's emoji reaction
+  toggleReaction(messageId, emoji, userEmail) {
+    const messageObj = this.getVisibleMessage(messageId, userEmail)
+    if (messageObj.deletedAt) throw new Error("Message was deleted")
+
+    const reactions = { ...messageObj.reactions }
+    const users = new Set(reactions[emoji] || [])
+    users.has(userEmail) ? users.delete(userEmail) : users.add(userEmail)
+
+    if (users.size > 0) {
+      reactions[emoji] = Array.from(users)
+    } else {
+      delete reactions[emoji]
+    }
+
+    return this.updateMessage(messageObj, { reactions })
+  }
+
+  // Senders can change their own message within the edit window
+  editMessage(messageId, newText, userEmail) {
+    const messageObj = this.getVisibleMessage(messageId, userEmail)
+    if (messageObj.deletedAt) throw new Error("Message was deleted")
+    if (messageObj.senderEmail !== userEmail) throw new Error("You can only edit your own messages")
+    if (Date.now() - new Date(messageObj.timestamp).getTime() > MESSAGE_EDIT_WINDOW_MS) {
+      throw new Error("This message can no longer be edited")
+    }
+
+    return this.updateMessage(messageObj, { message: newText, editedAt: new Date().toISOString() })
+  }
+
+  // Senders can delete their own message within the edit window; hosts can delete any group message
+  deleteMessage(messageId, userEmail) {
+    const messageObj = this.getVisibleMessage(messageId, userEmail)
+    if (messageObj.deletedAt) return messageObj
 
-    this.messages.push(messageObj)
+    const isOwn = messageObj.senderEmail === userEmail
+    const withinWindow = Date.now() - new Date(messageObj.timestamp).getTime() <= MESSAGE_EDIT_WINDOW_MS
+    const canModerate = this.isModerator(userEmail) && messageObj.type !== "private"
 
-    // Keep only last 100 messages
-    if (this.messages.length > 100) {
-      this.messages = this.messages.slice(-100)
+    if (!(isOwn && withinWindow) && !canModerate) {
+      throw new Error(isOwn ? "This message can no longer be deleted" : "You can only delete your own messages")
     }
 
+    if (messageObj.attachment) {
+      attachmentUtils.deleteAttachment(messageObj.attachment.id)
+    }
+
+    // Keep a tombstone so replies and history stay in order
+    return this.updateMessage(messageObj, {
+      message: "",
+      attachment: null,
+      reactions: {},
+      deletedAt: new Date().toISOString(),
+      deletedBy: userEmail,
+    })
+  }
+
+  // Recipient has seen a private message
+  markRead(messageId, userEmail) {
+    const messageObj = this.getVisibleMessage(messageId, userEmail)
+    if (messageObj.type !== "private" || messageObj.recipientEmail !== userEmail || messageObj.readAt) {
+      return null
+    }
+
+    return this.updateMessage(messageObj, { readAt: new Date().toISOString() })
+  }
+
+  // Apply changes to a stored message in both the history and the transcript
+  updateMessage(messageObj, changes) {
+    const updated = { ...messageObj, ...changes }
+    this.messages = this.messages.map((item) => (item.id === updated.id ? updated : item))
+    storage.updateItem("messages", this.code, updated)
+    storage.updateItem("transcripts", this.code, updated)
+    return updated
+  }
+
+  // Append to the history, keeping only the room's retention limit
+  storeMessage(messageObj) {
+    // A new array - the current one can be the list storage holds for this room
+    this.messages = [...this.messages, messageObj]
+
+    if (this.messages.length > this.messageRetention) {
+      this.messages = this.messageRetention > 0 ? this.messages.slice(-this.messageRetention) : []
+    }
+
+    // One item at a time, so messages sent through other instances at the same moment are kept
+    storage.append("messages", this.code, messageObj, { limit: this.messageRetention })
+
+    // The transcript keeps everything, outliving both retention and room cleanup
+    storage.append("transcripts", this.code, messageObj)
     return messageObj
   }
 
+  // Check if a user may read a stored message
+  canSeeMessage(messageObj, userEmail) {
+    if (messageObj.type !== "private") return true
+    return messageObj.senderEmail === userEmail || messageObj.recipientEmail === userEmail
+  }
+
+  // Page backwards through the history a user can see, oldest first within the page.
+  // Pass the previous page's nextCursor as `before` to get older messages.
+  getMessagesFor(userEmail, { before = null, limit = 50 } = {}) {
+    let end = this.messages.length
+    if (before) {
+      end = this.messages.findIndex((messageObj) => messageObj.id === before)
+      if (end === -1) return { messages: [], nextCursor: null }
+    }
+
+    const page = []
+    let index = end - 1
+    for (; index >= 0 && page.length < limit; index--) {
+      if (this.canSeeMessage(this.messages[index], userEmail)) {
+        page.unshift(this.messages[index])
+      }
+    }
+
+    const hasMore = this.messages.slice(0, index + 1).some((messageObj) => this.canSeeMessage(messageObj, userEmail))
+    return { messages: page, nextCursor: hasMore ? page[0].id : null }
+  }
+
+  // Messages a user can see that came after one they already have, oldest first
+  getMessagesAfter(userEmail, messageId, { limit = 50 } = {}) {
+    // A message that is no longer kept is older than everything still here
+    const index = this.messages.findIndex((messageObj) => messageObj.id === messageId)
+    return this.messages
+      .slice(index + 1)
+      .filter((messageObj) => this.canSeeMessage(messageObj, userEmail))
+      .slice(-limit)
+  }
+
+  // Append a join/leave event to the room's attendance log
+  recordAttendance(userEmail, event, socketId) {
+    const at = new Date().toISOString()
+    storage.append("attendance", this.code, {
+      userEmail,
+      event,
+      at,
+      socketId,
+      sessionId: this.sessionId,
+      // Roles at join time let hosts read the report after the room is gone
+      ...(event === "join" && { role: this.getRole(userEmail) }),
+    })
+
+    // Breakout moves also go in the parent's log, so it shows who was in which breakout
+    const parent = this.getParentRoom()
+    if (parent) {
+      storage.append("attendance", parent.code, {
+        userEmail,
+        event: `breakout-${event}`,
+        breakoutCode: this.code,
+        breakoutName: this.breakoutName,
+        at,
+        socketId,
+        sessionId: parent.sessionId,
+      })
+    }
+  }
+
+  // Persist room settings and moderation state - only what changed is written
+  save() {
+    storage.merge("rooms", this.code, this.toJSON())
+  }
+
+  // Serializable snapshot of everything except live sockets
+  toJSON() {
+    return {
+      code: this.code,
+      createdAt: this.createdAt,
+      isActive: this.isActive,
+      emptiedAt: this.emptiedAt,
+      sessionId: this.sessionId,
+      maxParticipants: this.maxParticipants,
+      messageRetention: this.messageRetention,
+      ownerEmail: this.ownerEmail,
+      passcodeHash: this.passcodeHash,
+      hostEmail: this.hostEmail,
+      coHosts: toKeyedRecord(this.coHosts),
+      isLocked: this.isLocked,
+      isEnded: this.isEnded,
+      removedEmails: toKeyedRecord(this.removedEmails),
+      guestEmails: Object.fromEntries(this.guestEmails),
+      verifiedEmails: toKeyedRecord(this.verifiedEmails),
+      waitingRoomEnabled: this.waitingRoomEnabled,
+      autoAdmitDomains: this.autoAdmitDomains,
+      admittedEmails: toKeyedRecord(this.admittedEmails),
+      raisedHands: Object.fromEntries(this.raisedHands),
+      parentCode: this.parentCode,
+      breakoutName: this.breakoutName,
+      breakout: this.breakout,
+      opensAt: this.opensAt,
+      retainUntil: this.retainUntil,
+      isRecurring: this.isRecurring,
+      isCancelled: this.isCancelled,
+    }
+  }
+
+  // Copy a stored snapshot onto this room (live sockets are tracked separately)
+  applySnapshot(data) {
+    const toDate = (value) => (value ? new Date(value) : null)
+    this.createdAt = new Date(data.createdAt)
+    this.isActive = data.isActive
+    this.emptiedAt = toDate(data.emptiedAt)
+    this.sessionId = data.sessionId || null
+    this.maxParticipants = data.maxParticipants
+    this.messageRetention = data.messageRetention ?? DEFAULT_MESSAGE_RETENTION
+    this.ownerEmail = data.ownerEmail
+    this.passcodeHash = data.passcodeHash
+    this.hostEmail = data.hostEmail
+    this.coHosts = new Set(fromKeyedRecord(data.coHosts))
+    this.isLocked = data.isLocked
+    this.isEnded = data.isEnded
+    this.removedEmails = new Set(fromKeyedRecord(data.removedEmails))
+    // Guest ids by email (snapshots from before guest ids hold true, or a list of emails)
+    this.guestEmails = new Map(
+      fromEntriesRecord(data.guestEmails).map((entry) =>
+        Array.isArray(entry) ? [entry[0], typeof entry[1] === "string" ? entry[1] : null] : [entry, null],
+      ),
+    )
+    this.verifiedEmails = new Set(fromKeyedRecord(data.verifiedEmails))
+    this.waitingRoomEnabled = data.waitingRoomEnabled
+    this.autoAdmitDomains = [...(data.autoAdmitDomains || [])]
+    this.admittedEmails = new Set(fromKeyedRecord(data.admittedEmails))
+    this.raisedHands = new Map(
+      fromEntriesRecord(data.raisedHands).map(([userEmail, raisedAt]) => [userEmail, new Date(raisedAt)]),
+    )
+    this.parentCode = data.parentCode || null
+    this.breakoutName = data.breakoutName || null
+    this.breakout = data.breakout
+      ? {
+          ...data.breakout,
+          // Copies, so changing them here doesn't change the stored record
+          rooms: [...data.breakout.rooms],
+          assignments: { ...data.breakout.assignments },
+          createdAt: toDate(data.breakout.createdAt),
+          openedAt: toDate(data.breakout.openedAt),
+          endsAt: toDate(data.breakout.endsAt),
+          closedAt: toDate(data.breakout.closedAt),
+        }
+      : null
+    this.opensAt = toDate(data.opensAt)
+    this.retainUntil = toDate(data.retainUntil)
+    this.isRecurring = data.isRecurring
+    this.isCancelled = data.isCancelled
+  }
+
+  // Rebuild a room from a stored snapshot
+  static fromJSON(data, messages = []) {
+    const room = new Room(data.code)
+    room.applySnapshot(data)
+    room.messages = messages
+    return room
+  }
+
   // Get room info
   getInfo() {
     return {
       code: this.code,
-      participantCount: this.participants.size,
+      participantCount: this.getParticipantCount(),
       createdAt: this.createdAt,
       isActive: this.isActive,
       maxParticipants: this.maxParticipants,
-      messageCount: this.messages.length,
+      messageCount: this.messages.filter((messageObj) => messageObj.type !== "private").length,
+      messageRetention: this.messageRetention,
+      hostEmail: this.hostEmail,
+      coHosts: toKeyedRecord(this.coHosts),
+      isLocked: this.isLocked,
+      waitingRoomEnabled: this.waitingRoomEnabled,
+      waitingCount: this.lobby.size,
+      hasPasscode: !!this.passcodeHash,
+      opensAt: this.opensAt,
+      parentCode: this.parentCode,
+      breakoutName: this.breakoutName,
     }
   }
 }
 
 // Utility functions
 export const roomUtils = {
+  // Generate an unguessable meeting code that is not in use
+  generateCode() {
+    let code
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("")
+    } while (rooms.has(code))
+    return code
+  },
+
   // Create a new room
-  createRoom(code) {
+  createRoom(code, options = {}) {
     const upperCode = code.toUpperCase()
     if (rooms.has(upperCode)) {
       return rooms.get(upperCode)
     }
 
-    const room = new Room(upperCode)
+    const room = new Room(upperCode, options)
     rooms.set(upperCode, room)
+    room.save()
     console.log(`Room ${upperCode} created`)
     return room
   },
@@ -103,13 +1022,40 @@ export const roomUtils = {
   // Clean up empty rooms
   cleanupEmptyRooms() {
     for (const [code, room] of rooms.entries()) {
-      if (room.participants.size === 0 && !room.isActive) {
+      const idleExpired = room.emptiedAt && Date.now() - room.emptiedAt.getTime() > ROOM_IDLE_TTL_MS
+      const isScheduled = room.opensAt && !room.isCancelled && (!room.retainUntil || Date.now() < room.retainUntil.getTime())
+      if (room.participants.size === 0 && !room.isActive && !isScheduled && (room.isEnded || idleExpired)) {
         rooms.delete(code)
+        storage.delete("rooms", code)
+        storage.delete("messages", code)
+        attachmentUtils.deleteRoomAttachments(code)
         console.log(`Cleaned up empty room: ${code}`)
       }
     }
   },
 
+  // Load rooms saved by a previous run, plus anyone connected to other instances
+  loadRooms() {
+    for (const data of storage.getAll("rooms")) {
+      const room = Room.fromJSON(data, storage.get("messages", data.code) || [])
+      room.isActive = false
+      room.emptiedAt = room.emptiedAt || new Date()
+      rooms.set(data.code, room)
+    }
+
+    for (const participant of storage.getAll("participants")) {
+      applyRemoteParticipant(participant.socketId, participant)
+    }
+
+    for (const entry of storage.getAll("lobby")) {
+      rooms.get(entry.roomCode)?.lobby.set(entry.socketId, entry)
+    }
+
+    if (rooms.size > 0) {
+      console.log(`Restored ${rooms.size} rooms from storage`)
+    }
+  },
+
   // Get all active rooms
   getActiveRooms() {
     return Array.from(rooms.entries())
@@ -118,6 +1064,57 @@ export const roomUtils = {
   },
 }
 
+// Track a participant connected to another instance (value is undefined when they leave)
+const applyRemoteParticipant = (socketId, value) => {
+  if (value) {
+    participants.set(socketId, {
+      userEmail: value.userEmail,
+      participantId: value.participantId,
+      roomCode: value.roomCode,
+      joinedAt: new Date(value.joinedAt),
+      isGuest: !!value.isGuest,
+      media: value.media || {},
+    })
+    const room = rooms.get(value.roomCode)
+    if (room) {
+      room.participants.add(socketId)
+      room.isActive = true
+    }
+  } else {
+    const roomCode = participants.get(socketId)?.roomCode
+    participants.delete(socketId)
+    rooms.get(roomCode)?.participants.delete(socketId)
+  }
+}
+
+// Keep local rooms in step with changes made by other instances
+storage.subscribe((collection, id, value) => {
+  switch (collection) {
+    case "rooms":
+      if (!value) {
+        rooms.delete(id)
+      } else if (rooms.has(id)) {
+        rooms.get(id).applySnapshot(value)
+      } else {
+        rooms.set(id, Room.fromJSON(value, storage.get("messages", id) || []))
+      }
+      break
+    case "messages":
+      if (rooms.has(id)) rooms.get(id).messages = value || []
+      break
+    case "participants":
+      applyRemoteParticipant(id, value)
+      break
+    case "lobby": {
+      const roomCode = value?.roomCode || Array.from(rooms.values()).find((room) => room.lobby.has(id))?.code
+      const room = rooms.get(roomCode)
+      if (room && value) room.lobby.set(id, value)
+      if (room && !value) room.lobby.delete(id)
+      break
+    }
+  }
+})
+
 // Auto cleanup empty rooms every 5 minutes
 setInterval(
   () => {
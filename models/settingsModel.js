@@ -0,0 +1,59 @@
+import { storage } from "../storage/index.js"
+
+// Server-wide defaults that operators change through the admin API. They are kept in storage,
+// so every cluster worker sees the same values and the file driver keeps them across restarts.
+// Changes apply to rooms created afterwards.
+
+const COLLECTION = "settings"
+const SETTINGS_ID = "server"
+
+// Largest participant cap an operator can set - every device connects to every other one
+export const MAX_PARTICIPANTS_LIMIT = 500
+
+export const SETTINGS_DEFAULTS = {
+  // Default participant cap for new rooms, and the highest cap a room can ask for
+  maxParticipants: parseInt(process.env.MAX_PARTICIPANTS) || 50,
+  // Whether new rooms and scheduled meetings start with the waiting room on
+  waitingRoomEnabled: process.env.WAITING_ROOM_DEFAULT === "true",
+}
+
+// Validate settings fields, returning an error message or null
+export const validateSettings = (fields) => {
+  const { maxParticipants, waitingRoomEnabled } = fields
+  const unknown = Object.keys(fields).filter((name) => !(name in SETTINGS_DEFAULTS))
+  if (unknown.length > 0) {
+    return `Unknown settings: ${unknown.join(", ")}`
+  }
+
+  if (
+    maxParticipants !== undefined &&
+    (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > MAX_PARTICIPANTS_LIMIT)
+  ) {
+    return `maxParticipants must be a whole number between 2 and ${MAX_PARTICIPANTS_LIMIT}`
+  }
+
+  if (waitingRoomEnabled !== undefined && typeof waitingRoomEnabled !== "boolean") {
+    return "waitingRoomEnabled must be true or false"
+  }
+
+  return null
+}
+
+// Utility functions
+export const settingsUtils = {
+  // Current settings, with defaults for anything never changed
+  getSettings() {
+    const { updatedAt = null, ...saved } = storage.get(COLLECTION, SETTINGS_ID) || {}
+    return { ...SETTINGS_DEFAULTS, ...saved, updatedAt }
+  },
+
+  // Change some settings (validate them first)
+  updateSettings(changes) {
+    const { updatedAt, ...current } = this.getSettings()
+    return storage.set(COLLECTION, SETTINGS_ID, {
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    })
+  },
+}
@@ -0,0 +1,55 @@
+import { storage } from "../storage/index.js"
+import { roomUtils } from "./roomModel.js"
+
+// Meeting transcripts: every chat message ("transcripts" collection) merged with
+// join/leave events ("attendance" collection). Both outlive the room itself.
+
+// Utility functions
+export const transcriptUtils = {
+  // Check if a room ever had a transcript or attendance
+  exists(roomCode) {
+    return !!(storage.get("transcripts", roomCode) || storage.get("attendance", roomCode))
+  },
+
+  // People who attended, plus the live room's hosts, can export the transcript
+  canAccess(roomCode, userEmail) {
+    if (!userEmail) return false
+
+    const room = roomUtils.getRoom(roomCode)
+    if (room?.isModerator(userEmail) || room?.ownerEmail === userEmail) return true
+
+    const attendance = storage.get("attendance", roomCode) || []
+    return attendance.some((entry) => entry.userEmail === userEmail)
+  },
+
+  // Group chat, the user's own private messages and join/leave events, in time order
+  getEntries(roomCode, userEmail, { from = null, to = null } = {}) {
+    const messages = (storage.get("transcripts", roomCode) || [])
+      .filter((message) => message.type !== "private" || message.senderEmail === userEmail || message.recipientEmail === userEmail)
+      .map((message) => ({
+        type: message.type === "private" ? "private" : "message",
+        timestamp: message.timestamp,
+        senderEmail: message.senderEmail,
+        recipientEmail: message.recipientEmail || null,
+        message: message.deletedAt
+          ? "(message deleted)"
+          : [message.message, message.attachment && `[file: ${message.attachment.name}]`].filter(Boolean).join(" "),
+        editedAt: message.deletedAt ? null : message.editedAt || null,
+        replyTo: message.replyTo?.id || null,
+      }))
+
+    const events = (storage.get("attendance", roomCode) || []).map((entry) => ({
+      type: entry.event,
+      timestamp: entry.at,
+      senderEmail: entry.userEmail,
+      recipientEmail: null,
+      message: null,
+      ...(entry.breakoutCode && { breakoutCode: entry.breakoutCode, breakoutName: entry.breakoutName }),
+    }))
+
+    return [...messages, ...events]
+      .filter((entry) => !from || new Date(entry.timestamp) >= from)
+      .filter((entry) => !to || new Date(entry.timestamp) <= to)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  },
+}
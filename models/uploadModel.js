@@ -0,0 +1,172 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { pipeline } from "stream/promises"
+import { RECORDINGS_DIR } from "./recordingModel.js"
+
+// Chunked recording uploads. Each session is a directory holding session.json and one
+// file per chunk, so any instance can accept the next chunk and sessions survive restarts.
+// session.json keeps a running total of the bytes stored, and a "completing" file marks a
+// session whose chunks are being joined, so only one request can finish it.
+
+export const UPLOAD_SESSIONS_DIR = path.join(RECORDINGS_DIR, "..", "sessions")
+
+// Unfinished sessions with no new chunks for this long are discarded
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 60 * 60 * 1000
+
+// Caps on one recording: 10 000 chunks is over a day of the meeting page's 10 second chunks
+export const MAX_UPLOAD_CHUNKS = 10000
+export const MAX_UPLOAD_BYTES = parseInt(process.env.RECORDING_UPLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024
+
+const uploadIdRegex = /^[0-9a-f-]{36}$/
+
+const getSessionDir = (uploadId) => path.join(UPLOAD_SESSIONS_DIR, uploadId)
+const getSessionPath = (uploadId) => path.join(getSessionDir(uploadId), "session.json")
+const getChunkPath = (uploadId, index) => path.join(getSessionDir(uploadId), `${index}.part`)
+const getCompletingPath = (uploadId) => path.join(getSessionDir(uploadId), "completing")
+
+// Utility functions
+export const uploadUtils = {
+  // Open a new upload session, owned by the uploader's email (and guest status)
+  createSession({ roomCode, userEmail, isGuest = false, recordingType, participantCount }) {
+    const session = {
+      id: crypto.randomUUID(),
+      roomCode,
+      userEmail,
+      isGuest,
+      recordingType: recordingType || "single",
+      participantCount: parseInt(participantCount) || 1,
+      receivedBytes: 0,
+      createdAt: new Date().toISOString(),
+    }
+
+    fs.mkdirSync(getSessionDir(session.id), { recursive: true })
+    fs.writeFileSync(getSessionPath(session.id), JSON.stringify(session))
+    return session
+  },
+
+  // Get a session with the chunk indexes received so far, and whether it is being completed
+  getSession(uploadId) {
+    if (!uploadIdRegex.test(uploadId)) return null
+
+    try {
+      const session = JSON.parse(fs.readFileSync(getSessionPath(uploadId), "utf8"))
+      return {
+        ...session,
+        receivedChunks: this.listChunks(uploadId),
+        isCompleting: fs.existsSync(getCompletingPath(uploadId)),
+      }
+    } catch {
+      return null
+    }
+  },
+
+  // Sorted indexes of stored chunks
+  listChunks(uploadId) {
+    return fs
+      .readdirSync(getSessionDir(uploadId))
+      .filter((file) => file.endsWith(".part"))
+      .map((file) => parseInt(file))
+      .sort((a, b) => a - b)
+  },
+
+  // Size of one stored chunk (0 when it hasn't arrived)
+  getChunkSize(uploadId, index) {
+    try {
+      return fs.statSync(getChunkPath(uploadId, index)).size
+    } catch {
+      return 0
+    }
+  },
+
+  // Store one chunk; re-sending an index overwrites it, which makes retries safe
+  writeChunk(uploadId, index, data) {
+    const chunkPath = getChunkPath(uploadId, index)
+    const previousSize = this.getChunkSize(uploadId, index)
+    const tempPath = `${chunkPath}.tmp`
+    fs.writeFileSync(tempPath, data)
+    fs.renameSync(tempPath, chunkPath)
+
+    // Update the running total - rewriting session.json also shows cleanup the session is active
+    const session = JSON.parse(fs.readFileSync(getSessionPath(uploadId), "utf8"))
+    session.receivedBytes = (session.receivedBytes || 0) - previousSize + data.length
+    fs.writeFileSync(getSessionPath(uploadId), JSON.stringify(session))
+  },
+
+  // Join chunks 0..totalChunks-1 into a single recording file. Returns { size } when done,
+  // { missing } with the indexes not received yet, or { isCompleting } when another request
+  // is already joining them.
+  async assemble(uploadId, totalChunks, filename) {
+    // Creating the marker fails if it exists, so only one request gets past this point
+    try {
+      fs.writeFileSync(getCompletingPath(uploadId), new Date().toISOString(), { flag: "wx" })
+    } catch (error) {
+      if (error.code === "EEXIST") return { isCompleting: true }
+      throw error
+    }
+
+    // Each attempt writes its own file, so nothing is shared with another attempt
+    const tempPath = path.join(getSessionDir(uploadId), `assembled-${crypto.randomUUID()}.tmp`)
+    try {
+      const received = new Set(this.listChunks(uploadId))
+      const missing = []
+      for (let index = 0; index < totalChunks; index++) {
+        if (!received.has(index)) missing.push(index)
+      }
+      if (missing.length > 0) {
+        fs.rmSync(getCompletingPath(uploadId), { force: true })
+        return { missing }
+      }
+
+      const targetPath = path.join(RECORDINGS_DIR, filename)
+      const output = fs.createWriteStream(tempPath)
+
+      for (let index = 0; index < totalChunks; index++) {
+        await pipeline(fs.createReadStream(getChunkPath(uploadId, index)), output, { end: false })
+      }
+      await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())))
+
+      fs.renameSync(tempPath, targetPath)
+      const { size } = fs.statSync(targetPath)
+      this.removeSession(uploadId)
+      return { size }
+    } catch (error) {
+      // Let the client try again
+      fs.rmSync(tempPath, { force: true })
+      fs.rmSync(getCompletingPath(uploadId), { force: true })
+      throw error
+    }
+  },
+
+  // Delete a session and its chunks
+  removeSession(uploadId) {
+    if (!uploadIdRegex.test(uploadId)) return
+    fs.rmSync(getSessionDir(uploadId), { recursive: true, force: true })
+  },
+
+  // Discard sessions that stopped receiving chunks
+  cleanupStaleSessions() {
+    if (!fs.existsSync(UPLOAD_SESSIONS_DIR)) return
+
+    const now = Date.now()
+    for (const uploadId of fs.readdirSync(UPLOAD_SESSIONS_DIR)) {
+      try {
+        const { mtimeMs } = fs.statSync(getSessionPath(uploadId))
+        if (now - mtimeMs < UPLOAD_SESSION_TTL_MS) continue
+      } catch {
+        // No session.json: a half-created session, remove it
+      }
+
+      fs.rmSync(getSessionDir(uploadId), { recursive: true, force: true })
+      console.log(`Discarded unfinished recording upload ${uploadId}`)
+    }
+  },
+}
+
+// Clean up abandoned uploads every 5 minutes
+setInterval(
+  () => {
+    uploadUtils.cleanupStaleSessions()
+  },
+  5 * 60 * 1000,
+)
@@ -0,0 +1,108 @@
+import crypto from "crypto"
+import { storage } from "../storage/index.js"
+
+// Webhook subscriptions live in the "webhooks" storage collection and each delivery
+// attempt log in "webhookDeliveries", both keyed by id
+
+export const WEBHOOK_EVENTS = [
+  "meeting.started",
+  "meeting.ended",
+  "participant.joined",
+  "participant.left",
+  "recording.uploaded",
+]
+
+// Deliveries kept per subscription - older ones are dropped
+const DELIVERY_LOG_LIMIT = 200
+
+// Utility functions
+export const webhookUtils = {
+  // Subscribe a URL to some events - a secret is generated when none is given
+  createWebhook({ url, events, secret, description = null, createdBy = null }) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      events: [...new Set(events)],
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      description,
+      isActive: true,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    }
+    storage.set("webhooks", webhook.id, webhook)
+    return webhook
+  },
+
+  getWebhook(id) {
+    return storage.get("webhooks", id)
+  },
+
+  listWebhooks() {
+    return storage.getAll("webhooks").sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  },
+
+  // Active subscriptions for an event type
+  getSubscribers(event) {
+    return this.listWebhooks().filter((webhook) => webhook.isActive && webhook.events.includes(event))
+  },
+
+  updateWebhook(id, changes) {
+    const webhook = this.getWebhook(id)
+    if (!webhook) return null
+    return storage.set("webhooks", id, { ...webhook, ...changes, updatedAt: new Date().toISOString() })
+  },
+
+  // Remove a subscription and its delivery log
+  deleteWebhook(id) {
+    for (const delivery of this.listDeliveries(id)) {
+      storage.delete("webhookDeliveries", delivery.id)
+    }
+    return storage.delete("webhooks", id)
+  },
+
+  // Start a delivery log entry for a payload
+  createDelivery(webhook, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event: payload.type,
+      payload,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    }
+    storage.set("webhookDeliveries", delivery.id, delivery)
+
+    for (const old of this.listDeliveries(webhook.id).slice(DELIVERY_LOG_LIMIT)) {
+      storage.delete("webhookDeliveries", old.id)
+    }
+    return delivery
+  },
+
+  getDelivery(id) {
+    return storage.get("webhookDeliveries", id)
+  },
+
+  updateDelivery(id, changes) {
+    const delivery = this.getDelivery(id)
+    if (!delivery) return null
+    return storage.set("webhookDeliveries", id, { ...delivery, ...changes })
+  },
+
+  // A subscription's deliveries, newest first
+  listDeliveries(webhookId, { status } = {}) {
+    return storage
+      .getAll("webhookDeliveries")
+      .filter((delivery) => delivery.webhookId === webhookId)
+      .filter((delivery) => !status || delivery.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  },
+
+  // Deliveries still waiting for an attempt, across all subscriptions
+  listPendingDeliveries() {
+    return storage.getAll("webhookDeliveries").filter((delivery) => delivery.status === "pending")
+  },
+}
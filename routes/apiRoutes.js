@@ -1,14 +1,80 @@
 import express from "express"
 import { RoomController } from "../controllers/roomController.js"
+import { MeetingController } from "../controllers/meetingController.js"
+import { RecordingController } from "../controllers/recordingController.js"
+import { WebhookController } from "../controllers/webhookController.js"
+import { AuthController } from "../controllers/authController.js"
+import { IceController } from "../controllers/iceController.js"
+import { AdminController } from "../controllers/adminController.js"
+import { requireAdmin } from "../middleware/adminAuth.js"
 
 const router = express.Router()
 
+// Signed join tokens
+router.post("/join-tokens", AuthController.issueJoinToken)
+router.post("/join-tokens/refresh", AuthController.refreshJoinToken)
+
+// WebRTC ICE servers with TURN credentials
+router.get("/ice-config", IceController.getIceConfig)
+
+// Room creation
+router.post("/rooms", RoomController.createRoom)
+
 // Room joining routes
 router.get("/join/:email/:code", RoomController.joinRoom)
 router.get("/room/:code", RoomController.getRoomInfo)
-router.get("/rooms", RoomController.getActiveRooms)
+router.get("/room/:code/messages", RoomController.getMessages)
+router.get("/room/:code/transcript", RoomController.exportTranscript)
+router.get("/room/:code/attendance", RoomController.getAttendance)
+router.get("/room/:code/attachments/:id", RoomController.downloadAttachment)
+router.get("/room/:code/polls", RoomController.getPolls)
+router.get("/room/:code/questions", RoomController.getQuestions)
+// Meeting codes are how people get in, so only operators see them
+router.get("/rooms", requireAdmin, RoomController.getActiveRooms)
 router.get("/stats", RoomController.getStats)
 
+// Scheduled meetings
+router.post("/meetings", MeetingController.createMeeting)
+router.get("/meetings", MeetingController.listMeetings)
+router.get("/meetings/:id", MeetingController.getMeeting)
+router.patch("/meetings/:id", MeetingController.updateMeeting)
+router.delete("/meetings/:id", MeetingController.cancelMeeting)
+router.get("/meetings/:id/invite.ics", MeetingController.downloadInvite)
+
+// Chunked recording uploads
+router.post("/recordings/uploads", RecordingController.createUpload)
+router.get("/recordings/uploads/:uploadId", RecordingController.getUpload)
+router.put(
+  "/recordings/uploads/:uploadId/chunks/:index",
+  express.raw({ type: "*/*", limit: "50mb" }),
+  RecordingController.uploadChunk,
+)
+router.post("/recordings/uploads/:uploadId/complete", RecordingController.completeUpload)
+router.delete("/recordings/uploads/:uploadId", RecordingController.abortUpload)
+
+// Recording library (uploader and room hosts only)
+router.get("/recordings", RecordingController.listRecordings)
+router.get("/recordings/:id", RecordingController.getRecording)
+router.get("/recordings/:id/stream", RecordingController.streamRecording)
+router.get("/recordings/:id/thumbnails", RecordingController.getThumbnails)
+router.post("/recordings/:id/process", RecordingController.processRecording)
+router.delete("/recordings/:id", RecordingController.deleteRecording)
+
+// Webhook subscriptions (admin token required)
+router.post("/webhooks", requireAdmin, WebhookController.createWebhook)
+router.get("/webhooks", requireAdmin, WebhookController.listWebhooks)
+router.get("/webhooks/:id", requireAdmin, WebhookController.getWebhook)
+router.patch("/webhooks/:id", requireAdmin, WebhookController.updateWebhook)
+router.delete("/webhooks/:id", requireAdmin, WebhookController.deleteWebhook)
+router.get("/webhooks/:id/deliveries", requireAdmin, WebhookController.listDeliveries)
+router.post("/webhooks/:id/test", requireAdmin, WebhookController.testWebhook)
+
+// Operator views and settings (admin token required) - room actions are in server.js
+router.get("/admin/rooms", requireAdmin, AdminController.listRooms)
+router.get("/admin/rooms/:code", requireAdmin, AdminController.getRoom)
+router.get("/admin/settings", requireAdmin, AdminController.getSettings)
+router.patch("/admin/settings", requireAdmin, AdminController.updateSettings)
+
 // Health check
 router.get("/health", (req, res) => {
   res.json({
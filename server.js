@@ -1,19 +1,57 @@
 import express from "express"
+import cluster from "cluster"
 import { createServer } from "http"
 import { Server } from "socket.io"
+import { createAdapter } from "@socket.io/cluster-adapter"
+import { setupWorker } from "@socket.io/sticky"
 import path from "path"
 import { fileURLToPath } from "url"
 import multer from "multer"
 import fs from "fs"
 import apiRoutes from "./routes/apiRoutes.js"
-import { errorHandler, validateJoinRequest, rateLimiter } from "./middleware/errorHandler.js"
+import { errorHandler, validateJoinRequest } from "./middleware/errorHandler.js"
+import { rateLimiter } from "./middleware/rateLimiter.js"
+import { requireAdmin } from "./middleware/adminAuth.js"
 import { participants, roomUtils } from "./models/roomModel.js"
+import { meetingUtils } from "./models/meetingModel.js"
+import { pollUtils } from "./models/pollModel.js"
+import { questionUtils } from "./models/questionModel.js"
+import { recordingUtils, RECORDINGS_DIR } from "./models/recordingModel.js"
+import { deviceSessionUtils, RECONNECT_GRACE_MS } from "./models/deviceSessionModel.js"
+import { storage } from "./storage/index.js"
+import { recordingProcessor } from "./utils/recordingProcessor.js"
+import { getRequesterEmail } from "./utils/requester.js"
+import { webhookDispatcher } from "./utils/webhookDispatcher.js"
+import { tokenAllowsRoom, verifyJoinToken } from "./utils/joinToken.js"
+import {
+  EVENT_SCHEMAS,
+  SOCKET_DEFAULT_RATE_LIMIT,
+  SOCKET_MAX_PAYLOAD_BYTES,
+  SocketEventError,
+  validateEventPayload,
+} from "./utils/socketEvents.js"
+import { createRateLimiter, resolvePolicy } from "./utils/rateLimit.js"
+import {
+  attachmentUtils,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_ROOM_QUOTA_BYTES,
+  ATTACHMENT_TYPES,
+} from "./models/attachmentModel.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 const app = express()
 const server = createServer(app)
+
+// Behind a reverse proxy, TRUST_PROXY says which hops' X-Forwarded-For to believe, so rate
+// limits count the real client IP: true, a hop count, or addresses/subnets such as "loopback"
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "") return false
+  if (value === "true" || value === "false") return value === "true"
+  return /^\d+$/.test(value) ? parseInt(value) : value
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY))
 const io = new Server(server, {
   cors: {
     origin: "*",
@@ -23,39 +61,94 @@ const io = new Server(server, {
   transports: ["websocket", "polling"],
   pingTimeout: 60000,
   pingInterval: 25000,
+  // A larger message makes Socket.IO close that client's connection before any handler runs;
+  // smaller oversized fields are refused with a PAYLOAD_TOO_LARGE ack by the event schemas
+  maxHttpBufferSize: SOCKET_MAX_PAYLOAD_BYTES,
+})
+
+// When started by cluster.js, broadcasts and socket lookups span every worker
+if (cluster.isWorker) {
+  io.adapter(createAdapter())
+}
+
+// Every connection needs a join token; the socket acts as the token's email from then on
+// (a guest's token carries an email nobody verified, so it never comes with a role)
+io.use((socket, next) => {
+  try {
+    const claims = verifyJoinToken(socket.handshake.auth?.token)
+    socket.data.userEmail = claims.sub
+    socket.data.isGuest = claims.guest
+    socket.data.guestId = claims.guestId
+    socket.data.joinClaims = claims
+    next()
+  } catch (error) {
+    const authError = new Error(error.message)
+    authError.data = { code: "UNAUTHORIZED" }
+    next(authError)
+  }
 })
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, "uploads", "recordings")
+const uploadsDir = RECORDINGS_DIR
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true })
 }
 
+// Restore state saved by a previous run (and, in a cluster, shared by other workers)
+await storage.ready()
+roomUtils.loadRooms()
+meetingUtils.loadMeetings()
+// In a cluster the primary has already done this once, before starting the workers
+if (!cluster.isWorker) recordingUtils.importLegacyMetadata(uploadsDir)
+recordingProcessor.resumePending()
+webhookDispatcher.resumePending()
+
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const recordingStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir)
   },
   filename: (req, file, cb) => {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
-    const filename = `recording-${timestamp}-${req.body.roomCode || "unknown"}.webm`
-    cb(null, filename)
+    cb(null, recordingUtils.generateFilename(req.body.roomCode))
   },
 })
 
 const upload = multer({
-  storage: storage,
+  storage: recordingStorage,
   limits: {
     fileSize: 100 * 1024 * 1024, // 100MB limit
   },
 })
 
-// Middleware
+// Configure multer for chat attachments
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = attachmentUtils.getRoomDir(req.params.code)
+      fs.mkdirSync(dir, { recursive: true })
+      cb(null, dir)
+    },
+    filename: (req, file, cb) => {
+      cb(null, attachmentUtils.generateStoredName(file.originalname))
+    },
+  }),
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentUtils.isAllowedType(file.mimetype, file.originalname)) {
+      return cb(new Error("UNSUPPORTED_TYPE"))
+    }
+    cb(null, true)
+  },
+})
+
+// Middleware - rate limits are checked before any body is parsed
+app.use(rateLimiter)
 app.use(express.json({ limit: "50mb" }))
 app.use(express.urlencoded({ extended: true, limit: "50mb" }))
 app.use(express.static("public"))
-app.use("/uploads", express.static(path.join(__dirname, "uploads")))
-app.use(rateLimiter)
 
 // API Routes
 app.use("/api", apiRoutes)
@@ -67,9 +160,19 @@ app.post("/api/upload-recording", upload.single("recording"), (req, res) => {
       return res.status(400).json({ success: false, error: "No file uploaded" })
     }
 
-    const { roomCode, userEmail, duration, recordingType, participantCount } = req.body
+    const { roomCode, duration, recordingType, participantCount } = req.body
+
+    // Guests can record the meeting they are in; the uploader is whoever the token names
+    const room = roomCode ? roomUtils.getRoom(roomCode) : null
+    const userEmail = getRequesterEmail(req, { room, allowGuest: true })
+    if (!userEmail) {
+      fs.rmSync(req.file.path, { force: true })
+      return res.status(401).json({ success: false, error: "A valid join token is required" })
+    }
+
+    // Capture the room's hosts so they keep access after the room is cleaned up
+    const hostEmails = recordingUtils.getRoomHostEmails(roomCode)
 
-    // Create metadata file
     const metadata = {
       filename: req.file.filename,
       roomCode: roomCode,
@@ -79,24 +182,27 @@ app.post("/api/upload-recording", upload.single("recording"), (req, res) => {
       duration: duration || "unknown",
       fileSize: req.file.size,
       uploadedAt: new Date().toISOString(),
-      path: `/uploads/recordings/${req.file.filename}`
+      hostEmails,
     }
 
     // Save metadata
-    const metadataPath = path.join(uploadsDir, `${req.file.filename}.json`)
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2))
+    const recording = recordingUtils.saveRecording(metadata)
+
+    recordingProcessor.enqueue(recording.id)
+    webhookDispatcher.emitRecordingUploaded(recording)
 
     console.log(`📹 ${recordingType || 'single'} recording uploaded: ${req.file.filename} by ${userEmail} in room ${roomCode} (${participantCount} participants)`)
 
     res.json({
       success: true,
+      id: recording.id,
       filename: req.file.filename,
-      path: `/uploads/recordings/${req.file.filename}`,
+      path: `/api/recordings/${recording.id}/stream`,
       size: req.file.size,
       duration: duration || "unknown",
       recordingType: recordingType || 'single',
       participantCount: participantCount || 1,
-      metadata: metadata
+      metadata: recording
     })
   } catch (error) {
     console.error("❌ Error uploading recording:", error)
@@ -104,289 +210,1658 @@ app.post("/api/upload-recording", upload.single("recording"), (req, res) => {
   }
 })
 
+// Chat attachment upload - the file becomes a chat message in the room
+app.post("/api/room/:code/attachments", (req, res) => {
+  const room = roomUtils.getRoom(req.params.code)
+  if (!room) {
+    return res.status(404).json({ success: false, error: "Meeting room not found" })
+  }
+
+  // Identity comes from the join token: multipart fields are not parsed yet
+  const userEmail = getRequesterEmail(req, { room, allowGuest: true })
+  if (!userEmail || !room.getEmails().includes(userEmail)) {
+    return res.status(403).json({ success: false, error: "Only people in the meeting can share files" })
+  }
+
+  // Refuse early when the request alone would exceed the room's quota
+  const usage = attachmentUtils.getRoomUsage(room.code)
+  if (usage + (parseInt(req.get("content-length")) || 0) > ATTACHMENT_ROOM_QUOTA_BYTES + 64 * 1024) {
+    return res.status(413).json({ success: false, error: "This meeting has run out of space for shared files" })
+  }
+
+  attachmentUpload.single("file")(req, res, (error) => {
+    if (error) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          success: false,
+          error: `Files can be at most ${Math.round(ATTACHMENT_MAX_BYTES / 1024 / 1024)}MB`,
+        })
+      }
+      if (error.message === "UNSUPPORTED_TYPE") {
+        return res.status(415).json({
+          success: false,
+          error: "This file type cannot be shared",
+          allowedTypes: Object.values(ATTACHMENT_TYPES).flat(),
+        })
+      }
+      console.error("❌ Error uploading attachment:", error)
+      return res.status(500).json({ success: false, error: "Upload failed" })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "No file uploaded" })
+    }
+
+    const discard = (status, message) => {
+      fs.rmSync(req.file.path, { force: true })
+      res.status(status).json({ success: false, error: message })
+    }
+
+    if (attachmentUtils.getRoomUsage(room.code) + req.file.size > ATTACHMENT_ROOM_QUOTA_BYTES) {
+      return discard(413, "This meeting has run out of space for shared files")
+    }
+
+    const message = String(req.body.message || "").trim()
+    const { recipientEmail } = req.body
+    if (recipientEmail && !room.getEmails().includes(recipientEmail)) {
+      return discard(404, "Recipient not found")
+    }
+
+    const attachment = attachmentUtils.saveAttachment({
+      roomCode: room.code,
+      file: req.file,
+      uploaderEmail: userEmail,
+      recipientEmail: recipientEmail || null,
+    })
+    const reference = attachmentUtils.toMessageAttachment(attachment)
+
+    let messageObj
+    if (recipientEmail) {
+      messageObj = room.addPrivateMessage(message, userEmail, recipientEmail, { attachment: reference })
+      io.to([...room.getSocketIds(userEmail), ...room.getSocketIds(recipientEmail)]).emit("private-message", messageObj)
+    } else {
+      messageObj = room.addMessage(message, userEmail, { attachment: reference })
+      io.to(room.code).emit("chat-message", messageObj)
+    }
+
+    console.log(`📎 ${userEmail} shared ${attachment.name} (${attachment.size} bytes) in room ${room.code}`)
+
+    res.status(201).json({ success: true, data: { attachment: reference, message: messageObj } })
+  })
+})
+
+// How admin actions are shown to people in the meeting ("removed by an administrator")
+const ADMIN_ACTOR = "an administrator"
+const ANNOUNCEMENT_MAX_LENGTH = 1000
+
+// Admin: close a meeting and its breakout rooms for everyone in them
+app.post("/api/admin/rooms/:code/close", requireAdmin, (req, res) => {
+  try {
+    const found = roomUtils.getRoom(req.params.code)
+    if (!found) {
+      return res.status(404).json({ success: false, error: "Meeting room not found" })
+    }
+
+    const room = found.getParentRoom() || found
+    const participantCount = room.getParticipantCount()
+    endMeeting(room, ADMIN_ACTOR)
+
+    console.log(`🛑 An administrator closed meeting ${room.code}`)
+
+    res.json({ success: true, data: { roomCode: room.code, participantCount }, message: "Meeting closed" })
+  } catch (error) {
+    console.error("❌ Error closing room:", error)
+    res.status(500).json({ success: false, error: "Internal server error" })
+  }
+})
+
+// Admin: remove a person from a room, on every device, and keep them out
+app.delete("/api/admin/rooms/:code/participants/:participantId", requireAdmin, (req, res) => {
+  try {
+    const room = roomUtils.getRoom(req.params.code)
+    if (!room) {
+      return res.status(404).json({ success: false, error: "Meeting room not found" })
+    }
+
+    const person = room.getParticipantList().find(({ participantId }) => participantId === req.params.participantId)
+    if (!person) {
+      return res.status(404).json({ success: false, error: "Participant not found in this meeting" })
+    }
+
+    removePerson(room, person.userEmail, ADMIN_ACTOR)
+
+    console.log(`🚫 An administrator removed ${person.userEmail} from room ${room.code}`)
+
+    res.json({
+      success: true,
+      data: { roomCode: room.code, participantId: person.participantId, userEmail: person.userEmail },
+      message: "Participant removed",
+    })
+  } catch (error) {
+    console.error("❌ Error removing participant:", error)
+    res.status(500).json({ success: false, error: "Internal server error" })
+  }
+})
+
+// Admin: show a system announcement in one meeting (and its breakout rooms) or in all of them
+app.post("/api/admin/announcements", requireAdmin, (req, res) => {
+  try {
+    const { message, roomCode } = req.body || {}
+    const text = typeof message === "string" ? message.trim() : ""
+    if (!text || text.length > ANNOUNCEMENT_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `message is required and must be at most ${ANNOUNCEMENT_MAX_LENGTH} characters`,
+      })
+    }
+
+    const announcement = { message: text, at: new Date().toISOString() }
+
+    if (roomCode) {
+      const room = typeof roomCode === "string" ? roomUtils.getRoom(roomCode) : null
+      if (!room) {
+        return res.status(404).json({ success: false, error: "Meeting room not found" })
+      }
+
+      const codes = [room.code, ...room.getBreakoutRooms().map((breakoutRoom) => breakoutRoom.code)]
+      io.to(codes).emit("system-announcement", announcement)
+      console.log(`📢 Announcement sent to room ${room.code}: ${text}`)
+      return res.json({ success: true, data: { ...announcement, roomCodes: codes } })
+    }
+
+    io.emit("system-announcement", announcement)
+    console.log(`📢 Announcement sent to every meeting: ${text}`)
+    res.json({ success: true, data: { ...announcement, roomCodes: null } })
+  } catch (error) {
+    console.error("❌ Error sending announcement:", error)
+    res.status(500).json({ success: false, error: "Internal server error" })
+  }
+})
+
 // Serve the landing page
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"))
 })
 
+// Serve the admin console (its API calls need the admin token)
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "admin.html"))
+})
+
 // Join room route (renders meeting page)
 app.get("/join/:email/:code", validateJoinRequest, (req, res) => {
   const { email, code } = req.params
   const upperCode = code.toUpperCase()
 
-  // Check if room exists, if not create it automatically
-  let room = roomUtils.getRoom(upperCode)
-  if (!room) {
-    room = roomUtils.createRoom(upperCode)
+  // Rooms must be created through POST /api/rooms first
+  if (!roomUtils.getRoom(upperCode)) {
+    return res.status(404).json({
+      success: false,
+      error: "Meeting room not found. Please check the meeting code.",
+    })
   }
 
   // Render the meeting page
   res.sendFile(path.join(__dirname, "public", "meeting.html"))
 })
 
-// Store socket to user mapping
+// Store socket to user mapping for sockets connected to this instance
 const socketToUser = new Map()
-const userToSocket = new Map()
 
-// Socket.io connection handling
-io.on("connection", (socket) => {
-  console.log("🔌 User connected:", socket.id)
+// Send the participant list, roles and lock state to everyone in a room
+const emitParticipantsUpdate = (roomCode, room) => {
+  const parent = room.getParentRoom()
 
-  // Handle joining room
-  socket.on("join-room", ({ roomCode, userEmail }) => {
-    try {
-      console.log(`👤 ${userEmail} attempting to join room ${roomCode}`)
+  io.to(roomCode).emit("participants-update", {
+    count: room.getParticipantCount(),
+    participants: room.getParticipantList(),
+    hostEmail: room.hostEmail,
+    coHosts: Array.from(room.coHosts),
+    isLocked: room.isLocked,
+    speakingQueue: room.getSpeakingQueue(),
+    breakouts: room.getBreakoutSummary(),
+    // Set when this is a breakout room
+    breakout: parent
+      ? { parentCode: parent.code, name: room.breakoutName, endsAt: parent.breakout?.endsAt || null }
+      : null,
+  })
+
+  // The main room shows who is in which breakout
+  if (parent) {
+    emitParticipantsUpdate(parent.code, parent)
+  }
+}
 
-      socket.join(roomCode)
+// Take a device's place out of its room and tell everyone (deviceId is the socket id it joined with)
+const removeDevice = ({ deviceId, roomCode, userEmail }) => {
+  const room = roomUtils.getRoom(roomCode)
 
-      // Store user mapping
-      socketToUser.set(socket.id, { userEmail, roomCode })
-      userToSocket.set(userEmail, socket.id)
+  if (room?.participants.has(deviceId)) {
+    const { sessionId, isEnded } = room
+    const participantId = room.getParticipantId(userEmail)
+    room.removeParticipant(deviceId)
 
-      // Get or create room
-      let room = roomUtils.getRoom(roomCode)
-      if (!room) {
-        room = roomUtils.createRoom(roomCode)
-      }
+    // Devices they are still here on
+    const deviceCount = room.getSocketIds(userEmail).length
 
-      // Add participant to room
-      room.addParticipant(socket.id, userEmail)
-
-      // Get all participants in the room except the current user
-      const roomParticipants = Array.from(room.participants)
-        .filter((participantId) => participantId !== socket.id)
-        .map((participantId) => {
-          const participant = participants.get(participantId)
-          return {
-            socketId: participantId,
-            userEmail: participant?.userEmail || "Unknown",
-          }
+    // Breakout moves stay inside the meeting, so only the main room reports them, and a
+    // person only leaves with their last device
+    if (!room.parentCode) {
+      if (deviceCount === 0) {
+        webhookDispatcher.emit("participant.left", { roomCode, sessionId, userEmail, participantId, socketId: deviceId })
+      }
+      if (!room.sessionId) {
+        webhookDispatcher.emit("meeting.ended", {
+          roomCode,
+          sessionId,
+          reason: isEnded ? "ended_by_host" : "everyone_left",
         })
+      }
+    }
 
-      // Send current participants to the new user AFTER a delay
-      setTimeout(() => {
-        socket.emit("room-participants", roomParticipants)
-      }, 1000)
+    // Notify others in the room
+    io.to(roomCode).except(deviceId).emit("user-left", {
+      socketId: deviceId,
+      participantId,
+      userEmail,
+      deviceCount,
+    })
 
-      // Notify others in the room about the new user AFTER a delay
-      setTimeout(() => {
-        socket.to(roomCode).emit("user-joined", {
-          socketId: socket.id,
-          userEmail,
-        })
-      }, 1500)
-
-      // Send participants count update to everyone
-      io.to(roomCode).emit("participants-update", {
-        count: room.participants.size,
-        participants: Array.from(room.participants).map((id) => {
-          const participant = participants.get(id)
-          return {
-            socketId: id,
-            userEmail: participant?.userEmail || "Unknown",
-          }
-        }),
-      })
+    // Send participants count update
+    emitParticipantsUpdate(roomCode, room)
+    emitLobbyUpdate(room)
 
-      console.log(`✅ ${userEmail} successfully joined room ${roomCode}`)
-    } catch (error) {
-      console.error("❌ Error joining room:", error)
-      socket.emit("error", { message: error.message })
-    }
-  })
+    console.log(`👋 ${userEmail} left room ${roomCode}`)
+  }
+}
 
-  // Handle WebRTC offer
-  socket.on("offer", ({ offer, to }) => {
-    const sender = socketToUser.get(socket.id)
-    console.log(`📤 Offer from ${sender?.userEmail} to ${to}`)
+// Take a socket out of the room it is in (when it leaves, or moves to another room)
+const leaveCurrentRoom = (socket) => {
+  const user = socketToUser.get(socket.id)
+  if (!user) return
 
-    socket.to(to).emit("offer", {
-      offer,
-      from: socket.id,
-      fromUser: sender?.userEmail,
-    })
-  })
+  socketToUser.delete(socket.id)
+  socket.leave(user.roomCode)
+  // A resumed connection also answers to its device's first socket id; its own id stays joined,
+  // or nothing addressed to it would arrive after a move
+  if (user.deviceId !== socket.id) {
+    socket.leave(user.deviceId)
+  }
 
-  // Handle WebRTC answer
-  socket.on("answer", ({ answer, to }) => {
-    const sender = socketToUser.get(socket.id)
-    console.log(`📥 Answer from ${sender?.userEmail} to ${to}`)
+  // A newer connection that resumed this device's session owns the place now
+  const session = deviceSessionUtils.getSession(user.sessionId)
+  if (session && session.socketId !== socket.id) return
 
-    socket.to(to).emit("answer", {
-      answer,
-      from: socket.id,
-      fromUser: sender?.userEmail,
-    })
-  })
+  deviceSessionUtils.deleteSession(user.sessionId)
+  removeDevice(user)
+}
 
-  // Handle ICE candidates
-  socket.on("ice-candidate", ({ candidate, to }) => {
-    const sender = socketToUser.get(socket.id)
-    console.log(`🧊 ICE candidate from ${sender?.userEmail} to ${to}`)
+// Grace timers of devices on this instance whose connection dropped, by session id
+const heldDevices = new Map()
 
-    socket.to(to).emit("ice-candidate", {
-      candidate,
-      from: socket.id,
-      fromUser: sender?.userEmail,
-    })
-  })
+// Disconnect reasons that mean the device left on purpose rather than lost its connection
+const DELIBERATE_DISCONNECTS = ["client namespace disconnect", "server namespace disconnect"]
 
-  // Handle group chat messages
-  socket.on("chat-message", ({ message, senderEmail, roomCode }) => {
-    const room = roomUtils.getRoom(roomCode)
-    if (room) {
-      const messageObj = room.addMessage(message, senderEmail)
+// Keep a dropped device's place for the grace period, so a quick reconnect goes unnoticed
+const holdDevice = (socket) => {
+  const user = socketToUser.get(socket.id)
+  const session = deviceSessionUtils.getSession(user?.sessionId)
+  if (!session || session.socketId !== socket.id) return leaveCurrentRoom(socket)
 
-      // Broadcast to all participants in the room
-      io.to(roomCode).emit("chat-message", messageObj)
+  socketToUser.delete(socket.id)
+  deviceSessionUtils.holdSession(session.id)
+  heldDevices.set(session.id, setTimeout(() => releaseHeldDevice(session.id), RECONNECT_GRACE_MS))
 
-      console.log(`💬 Group chat message from ${senderEmail} in room ${roomCode}`)
-    }
-  })
+  console.log(`⏸️ ${user.userEmail} lost connection to room ${user.roomCode}, holding their place`)
+}
 
-  // Handle private chat messages
-  socket.on("private-message", ({ message, senderEmail, recipientEmail, roomCode }) => {
-    const recipientSocketId = userToSocket.get(recipientEmail)
-    const senderSocketId = socket.id
-
-    if (recipientSocketId) {
-      const messageObj = {
-        id: Date.now() + Math.random(),
-        message,
-        senderEmail,
-        recipientEmail,
-        timestamp: new Date().toISOString(),
-        type: "private",
-      }
+// Give up on a held device: it leaves the room like any other
+const releaseHeldDevice = (sessionId) => {
+  clearTimeout(heldDevices.get(sessionId))
+  heldDevices.delete(sessionId)
 
-      // Send to recipient
-      socket.to(recipientSocketId).emit("private-message", messageObj)
+  // Resuming replaces the session, so a missing or reconnected one has nothing to release
+  const session = deviceSessionUtils.getSession(sessionId)
+  if (!session?.disconnectedAt) return
 
-      // Send back to sender for confirmation
-      socket.emit("private-message", messageObj)
+  deviceSessionUtils.deleteSession(sessionId)
+  removeDevice(session)
+}
 
-      console.log(`🔒 Private message from ${senderEmail} to ${recipientEmail}`)
-    } else {
-      socket.emit("error", { message: "Recipient not found" })
-    }
-  })
+// Release every held device in a room (or just one person's), e.g. when the meeting ends
+const releaseHeldDevices = (room, userEmail = null) => {
+  for (const session of deviceSessionUtils.listHeldSessions(room.code)) {
+    if (!userEmail || session.userEmail === userEmail) releaseHeldDevice(session.id)
+  }
+}
 
-  // Handle media state changes
-  socket.on("media-state-change", ({ type, enabled, roomCode }) => {
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      socket.to(roomCode).emit("user-media-state-changed", {
-        socketId: socket.id,
-        userEmail: user.userEmail,
-        type, // 'audio' or 'video'
-        enabled,
-      })
-    }
-  })
+// Acknowledgement callbacks of the events being handled, by socket id
+const pendingAcks = new Map()
 
-  // Handle screen sharing
-  socket.on("screen-share-start", ({ roomCode }) => {
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      socket.to(roomCode).emit("user-screen-share-started", {
-        socketId: socket.id,
-        userEmail: user.userEmail,
-      })
-    }
-  })
+// Refuse a client's event: through its acknowledgement when it asked for one, otherwise
+// as an "error" event. details adds fields such as a scheduled meeting's opensAt.
+const emitError = (socket, message, code = "REJECTED", details = {}) =>
+  refuseEvent(socket, pendingAcks.get(socket.id), message, code, details)
 
-  socket.on("screen-share-stop", ({ roomCode }) => {
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      socket.to(roomCode).emit("user-screen-share-stopped", {
-        socketId: socket.id,
-        userEmail: user.userEmail,
-      })
-    }
-  })
+// Refuse one event being handled (pending is its entry in pendingAcks)
+const refuseEvent = (socket, pending, message, code = "REJECTED", details = {}) => {
+  if (pending && !pending.settled) {
+    pending.settled = true
+    pending.ack({ ok: false, error: { code, message, ...details } })
+    return
+  }
+  socket.emit("error", { code, message, ...details, event: pending?.event })
+}
 
-  // Handle recording events
-  socket.on("recording-started", ({ roomCode, type = 'single' }) => {
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      socket.to(roomCode).emit("user-recording-started", {
-        socketId: socket.id,
-        userEmail: user.userEmail,
-        recordingType: type,
-      })
-      
-      console.log(`📹 ${user.userEmail} started ${type} recording in room ${roomCode}`)
-    }
-  })
+// Check the sender is in a meeting, that any roomCode they sent is that meeting, and that a
+// socket they address (for signaling) is in it too
+const assertEventAllowed = (socket, schema, payload) => {
+  const user = socketToUser.get(socket.id)
+  const room = user ? roomUtils.getRoom(user.roomCode) : null
+  if (!room) {
+    throw new SocketEventError("NOT_IN_ROOM", "You are not in a meeting")
+  }
+  if (payload.roomCode && payload.roomCode.toUpperCase() !== room.code) {
+    throw new SocketEventError("NOT_IN_ROOM", "You are not in that meeting")
+  }
+  if (schema.target && !room.participants.has(payload[schema.target])) {
+    throw new SocketEventError("TARGET_NOT_IN_ROOM", "That participant is not in your meeting")
+  }
+}
 
-  socket.on("recording-stopped", ({ roomCode, filename, recordingType = 'single' }) => {
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      socket.to(roomCode).emit("user-recording-stopped", {
-        socketId: socket.id,
-        userEmail: user.userEmail,
-        filename,
-        recordingType,
-      })
-      
-      console.log(`📹 ${user.userEmail} stopped ${recordingType} recording: ${filename}`)
-    }
-  })
+// Each socket's event counts stay on this instance - sticky sessions keep a socket on one worker
+const socketRateLimiter = createRateLimiter()
+const socketRateLimits = Object.fromEntries(
+  Object.entries(EVENT_SCHEMAS).map(([event, schema]) => [
+    event,
+    resolvePolicy(`socket:${event}`, schema.rateLimit || SOCKET_DEFAULT_RATE_LIMIT),
+  ]),
+)
 
-  // Handle disconnection
-  socket.on("disconnect", (reason) => {
-    console.log("🔌 User disconnected:", socket.id, "Reason:", reason)
+// Spend one of the socket's tokens for an event, refusing it when there are none left
+const assertWithinRateLimit = (socket, event) => {
+  const policy = socketRateLimits[event]
+  if (!policy) return
 
-    const user = socketToUser.get(socket.id)
-    if (user) {
-      const { roomCode, userEmail } = user
-      const room = roomUtils.getRoom(roomCode)
+  const result = socketRateLimiter.take(`${socket.id}:${event}`, policy)
+  if (!result.allowed) {
+    const wait = result.retryAfterSeconds
+    throw new SocketEventError(
+      "RATE_LIMITED",
+      `You are sending ${event} too often - try again in ${wait} second${wait === 1 ? "" : "s"}`,
+    )
+  }
+}
 
-      if (room) {
-        const remainingCount = room.removeParticipant(socket.id)
+// Register a handler for a client event declared in EVENT_SCHEMAS. The handler only runs with
+// a valid payload from an allowed sender within its rate limit; clients that pass an
+// acknowledgement callback get { ok: true, data } (data is whatever the handler returned) or
+// { ok: false, error: { code, message } } back. A handler that has to wait returns a promise;
+// after its first await it must throw SocketEventError rather than call emitError.
+const onEvent = (socket, event, handler) => {
+  const schema = EVENT_SCHEMAS[event]
 
-        // Notify others in the room
-        socket.to(roomCode).emit("user-left", {
-          socketId: socket.id,
-          userEmail,
-        })
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null
+    const pending = { event, ack, settled: !ack }
+    pendingAcks.set(socket.id, pending)
 
-        // Send participants count update
-        io.to(roomCode).emit("participants-update", {
-          count: remainingCount,
-          participants: Array.from(room.participants).map((id) => {
-            const participant = participants.get(id)
-            return {
-              socketId: id,
-              userEmail: participant?.userEmail || "Unknown",
-            }
-          }),
-        })
+    try {
+      // Counted before validation, so malformed floods are limited too
+      assertWithinRateLimit(socket, event)
+      const payload = validateEventPayload(event, args[0])
+      if (schema.member !== false) {
+        assertEventAllowed(socket, schema, payload)
+      }
 
-        console.log(`👋 ${userEmail} left room ${roomCode}`)
+      let data = handler(payload)
+      if (data instanceof Promise) {
+        // Other events from this socket can be handled while this one waits
+        pendingAcks.delete(socket.id)
+        data = await data
       }
 
-      // Clean up mappings
-      socketToUser.delete(socket.id)
-      userToSocket.delete(userEmail)
+      if (!pending.settled) {
+        pending.settled = true
+        ack(data === undefined ? { ok: true } : { ok: true, data })
+      }
+    } catch (error) {
+      if (error instanceof SocketEventError) {
+        // A flood would flood the log too
+        if (error.code !== "RATE_LIMITED") {
+          console.log(`🚫 ${event} from ${socket.id} refused: ${error.message}`)
+        }
+        refuseEvent(socket, pending, error.message, error.code, error.details)
+      } else {
+        console.error(`❌ Error handling ${event}:`, error)
+        refuseEvent(socket, pending, "Something went wrong", "INTERNAL")
+      }
+    } finally {
+      if (pendingAcks.get(socket.id) === pending) pendingAcks.delete(socket.id)
     }
   })
+}
 
-  // Handle connection errors
-  socket.on("connect_error", (error) => {
-    console.error("❌ Socket connection error:", error)
-  })
-})
+// Resolve the caller's room and check they are allowed to moderate it
+const getModeratedRoom = (socket, { hostOnly = false } = {}) => {
+  const user = socketToUser.get(socket.id)
+  const room = user ? roomUtils.getRoom(user.roomCode) : null
 
-// Error handling middleware
-app.use(errorHandler)
+  if (!room) {
+    emitError(socket, "You are not in a meeting", "NOT_IN_ROOM")
+    return null
+  }
 
-const PORT = process.env.PORT || 5055
-server.listen(PORT, () => {
-  console.log(`🚀 Google Meet Clone server running on port ${PORT}`)
-  console.log(`📱 Access the app at: http://localhost:${PORT}`)
-  console.log(`🔗 Join meetings at: http://localhost:${PORT}/join/user@example.com/ROOM123`)
-  console.log(`📁 Recordings saved to: ${uploadsDir}`)
-})
+  const allowed = hostOnly ? room.isHost(user.userEmail) : room.isModerator(user.userEmail)
+  if (!allowed) {
+    emitError(socket, hostOnly ? "Only the host can do that" : "Only the host or a co-host can do that", "FORBIDDEN")
+    return null
+  }
+
+  return { user, room }
+}
+
+// Find the room a socket is in, or tell the client it isn't in one
+const getCurrentRoom = (socket) => {
+  const user = socketToUser.get(socket.id)
+  const room = user ? roomUtils.getRoom(user.roomCode) : null
+
+  if (!room) {
+    emitError(socket, "You are not in a meeting", "NOT_IN_ROOM")
+    return null
+  }
+
+  return { user, room }
+}
+
+// Send a changed chat message to everyone who can see it
+const emitMessageUpdate = (room, messageObj) => {
+  if (messageObj.type === "private") {
+    const socketIds = [...room.getSocketIds(messageObj.senderEmail), ...room.getSocketIds(messageObj.recipientEmail)]
+    if (socketIds.length > 0) io.to(socketIds).emit("message-updated", messageObj)
+  } else {
+    io.to(room.code).emit("message-updated", messageObj)
+  }
+}
+
+// Emoji reactions that can be sent to the whole meeting
+const MEETING_REACTIONS = ["👍", "👏", "😂", "❤️", "🎉", "😮", "🤔", "👋"]
+
+// Auto-close timers for open breakout rooms started on this instance
+const breakoutTimers = new Map()
+
+// Close a breakout round when its countdown runs out. A host can close the round or open a new
+// one through another instance, so the timer checks the stored round and deadline before acting
+const scheduleBreakoutClose = (code, { roundId, endsAt }) => {
+  clearTimeout(breakoutTimers.get(code))
+  breakoutTimers.set(
+    code,
+    setTimeout(() => {
+      breakoutTimers.delete(code)
+      const room = roomUtils.getRoom(code)
+      const breakout = room?.breakout
+      if (breakout?.status !== "open" || breakout.roundId !== roundId) return
+
+      if (breakout.endsAt > Date.now()) {
+        scheduleBreakoutClose(code, breakout)
+      } else {
+        closeBreakouts(room)
+      }
+    }, endsAt.getTime() - Date.now()),
+  )
+}
+
+// Resolve the main room a host is managing breakouts for, from the main room or a breakout
+const getBreakoutParent = (socket) => {
+  const moderated = getModeratedRoom(socket)
+  if (!moderated) return null
+
+  const parent = moderated.room.getParentRoom() || moderated.room
+  return { user: moderated.user, room: parent }
+}
+
+// Send everyone back to the main room and end the breakout rooms
+const closeBreakouts = (parent) => {
+  clearTimeout(breakoutTimers.get(parent.code))
+  breakoutTimers.delete(parent.code)
+
+  for (const breakoutRoom of parent.getBreakoutRooms()) {
+    io.to(breakoutRoom.code).emit("breakout-move", { roomCode: parent.code, name: null })
+  }
+  parent.closeBreakouts()
+  emitParticipantsUpdate(parent.code, parent)
+  console.log(`🔙 Breakout rooms of ${parent.code} closed`)
+}
+
+// End a meeting for everyone - breakout rooms end with their meeting
+const endMeeting = (room, by) => {
+  const codes = [room.code, ...room.getBreakoutRooms().map((breakoutRoom) => breakoutRoom.code)]
+  if (room.breakout?.status === "open") {
+    clearTimeout(breakoutTimers.get(room.code))
+    breakoutTimers.delete(room.code)
+    room.closeBreakouts()
+  }
+  room.end()
+  io.to(codes).emit("meeting-ended", { by })
+  io.in(codes).disconnectSockets(true)
+
+  // Devices waiting to reconnect have nothing to come back to
+  for (const code of codes) {
+    const endedRoom = roomUtils.getRoom(code)
+    if (endedRoom) releaseHeldDevices(endedRoom)
+  }
+}
+
+// Send a person out of a room on every device and keep them out
+const removePerson = (room, userEmail, by) => {
+  room.banEmail(userEmail)
+  for (const id of room.getSocketIds(userEmail)) {
+    io.to(id).emit("removed-from-room", { by })
+    io.in(id).disconnectSockets(true)
+  }
+  releaseHeldDevices(room, userEmail)
+}
+
+// Split a room's sockets into hosts/co-hosts and everyone else
+const getSocketIdsByRole = (room) => {
+  const moderatorIds = []
+  const otherIds = []
+  for (const id of room.participants) {
+    if (room.isModerator(participants.get(id)?.userEmail)) {
+      moderatorIds.push(id)
+    } else {
+      otherIds.push(id)
+    }
+  }
+  return { moderatorIds, otherIds }
+}
+
+// Send a user the room's polls (drafts only to hosts), their own votes and the Q&A
+const sendPollsAndQuestions = (room, userEmail) => {
+  const isModerator = room.isModerator(userEmail)
+  const polls = pollUtils.listPolls(room.code).filter((poll) => isModerator || poll.status !== "draft")
+  const myVotes = Object.fromEntries(polls.filter((poll) => poll.votes[userEmail]).map((poll) => [poll.id, poll.votes[userEmail]]))
+  const socketIds = room.getSocketIds(userEmail)
+  if (socketIds.length === 0) return
+
+  io.to(socketIds).emit("polls-state", { polls: polls.map((poll) => pollUtils.getResults(poll)), myVotes })
+  io.to(socketIds).emit("questions-state", {
+    questions: questionUtils.listQuestions(room.code, { includeHidden: isModerator }),
+  })
+}
+
+// Send live poll results - drafts only go to hosts and co-hosts
+const emitPollUpdate = (room, poll) => {
+  const results = pollUtils.getResults(poll)
+  if (poll.status !== "draft") {
+    return io.to(room.code).emit("poll-updated", results)
+  }
+
+  const { moderatorIds } = getSocketIdsByRole(room)
+  if (moderatorIds.length > 0) io.to(moderatorIds).emit("poll-updated", results)
+}
+
+// Send a changed question - hidden questions are withdrawn from everyone but hosts and co-hosts
+const emitQuestionUpdate = (room, question) => {
+  if (!question.isHidden) {
+    return io.to(room.code).emit("question-updated", question)
+  }
+
+  const { moderatorIds, otherIds } = getSocketIdsByRole(room)
+  if (moderatorIds.length > 0) io.to(moderatorIds).emit("question-updated", question)
+  if (otherIds.length > 0) io.to(otherIds).emit("question-updated", { id: question.id, isHidden: true })
+}
+
+// Check that a moderation target is in the moderator's room
+const getTargetParticipant = (socket, room, targetSocketId) => {
+  if (!targetSocketId || !room.participants.has(targetSocketId)) {
+    emitError(socket, "Participant not found in this meeting")
+    return null
+  }
+  return participants.get(targetSocketId)
+}
+
+// Lobby timers for sockets on this instance waiting to be admitted
+const lobbySockets = new Map()
+const LOBBY_TIMEOUT_MS = parseInt(process.env.LOBBY_TIMEOUT_MS) || 10 * 60 * 1000
+
+// Put a socket into the room and run the normal join flow
+// How many recent chat messages a joining user is sent
+const CHAT_HISTORY_ON_JOIN = 50
+
+// Every other device in the room (including the user's other devices) for one to connect to
+const listOtherDevices = (room, deviceId) =>
+  Array.from(room.participants)
+    .filter((id) => id !== deviceId)
+    .map((id) => {
+      const participant = participants.get(id)
+      return {
+        socketId: id,
+        participantId: participant?.participantId || null,
+        userEmail: participant?.userEmail || "Unknown",
+      }
+    })
+
+// Returns what the joiner needs, as the join-room acknowledgement: who to connect to and the
+// token for resuming this device's place
+const admitParticipant = (socket, room, roomCode, userEmail) => {
+  const isStarting = !room.sessionId
+
+  // Add participant to room (throws if locked, full or ended)
+  try {
+    room.addParticipant(socket.id, userEmail, { isGuest: socket.data.isGuest, guestId: socket.data.guestId })
+  } catch (error) {
+    console.log(`🚫 ${userEmail} rejected from room ${roomCode}: ${error.message}`)
+    throw new SocketEventError("JOIN_REJECTED", error.message)
+  }
+
+  // Someone joining verified takes their email back from guests who typed it in
+  if (!socket.data.isGuest) {
+    for (const id of room.getGuestSocketIds(userEmail)) {
+      io.to(id).emit("removed-from-room", { by: "a signed-in participant using your email" })
+      io.in(id).disconnectSockets(true)
+    }
+  }
+
+  socket.join(roomCode)
+
+  // Store user mapping - a device keeps the socket id it joined with, even after resuming
+  const { token: resumeToken, session } = deviceSessionUtils.createSession({
+    deviceId: socket.id,
+    socketId: socket.id,
+    userEmail,
+    roomCode: room.code,
+  })
+  socketToUser.set(socket.id, { userEmail, roomCode, deviceId: socket.id, sessionId: session.id })
+
+  const participantId = room.getParticipantId(userEmail)
+  // Devices they are now here on, counting this one
+  const deviceCount = room.getSocketIds(userEmail).length
+
+  if (!room.parentCode) {
+    if (isStarting) {
+      webhookDispatcher.emit("meeting.started", { roomCode: room.code, sessionId: room.sessionId, startedBy: userEmail })
+    }
+    // Another device of someone already here isn't a new participant
+    if (deviceCount === 1) {
+      webhookDispatcher.emit("participant.joined", {
+        roomCode: room.code,
+        sessionId: room.sessionId,
+        userEmail,
+        participantId,
+        socketId: socket.id,
+        role: room.getRole(userEmail),
+      })
+    }
+  }
+
+  const roomParticipants = listOtherDevices(room, socket.id)
+
+  // Others hear about the joiner before its acknowledgement goes out, so they know who is
+  // calling when its offers arrive - the joiner makes every offer
+  socket.to(roomCode).emit("user-joined", {
+    socketId: socket.id,
+    participantId,
+    userEmail,
+    deviceCount,
+  })
+
+  // Send participants count update to everyone
+  emitParticipantsUpdate(roomCode, room)
+
+  // Late joiners and reconnecting users catch up on the chat, including their own DMs
+  socket.emit("chat-history", room.getMessagesFor(userEmail, { limit: CHAT_HISTORY_ON_JOIN }))
+
+  sendPollsAndQuestions(room, userEmail)
+
+  // Hosts need the current waiting list as soon as they arrive
+  if (room.isModerator(userEmail)) {
+    emitLobbyUpdate(room)
+  }
+
+  console.log(`✅ ${userEmail} successfully joined room ${roomCode}`)
+  return {
+    status: "joined",
+    roomCode: room.code,
+    socketId: socket.id,
+    participantId,
+    resumeToken,
+    participants: roomParticipants,
+  }
+}
+
+// The socket's place in a room, if it has joined that room
+const getCurrentPlace = (socket, room) => {
+  const current = socketToUser.get(socket.id)
+  return current?.roomCode.toUpperCase() === room.code && room.participants.has(current.deviceId) ? current : null
+}
+
+// join-room for the room a socket is already in: nothing changes, and the answer describes the
+// place it already has (with the next resume token - each one works once)
+const rejoinCurrentRoom = (socket, room, current) => {
+  const { token, session } = deviceSessionUtils.resumeSession(current.sessionId, socket.id) || {}
+  if (session) {
+    socketToUser.set(socket.id, { ...current, sessionId: session.id })
+  }
+
+  return {
+    status: "joined",
+    roomCode: room.code,
+    socketId: current.deviceId,
+    participantId: room.getParticipantId(current.userEmail),
+    resumeToken: token || null,
+    participants: listOtherDevices(room, current.deviceId),
+  }
+}
+
+// Hand a dropped device's place to a new connection presenting its resume token. Others keep
+// their peer connections: messages to the device's socket id reach the new connection. Returns
+// the join-room acknowledgement, or null when the place is gone and the client must join afresh.
+const resumeDevice = (socket, room, { resumeToken, lastMessageId }) => {
+  const { userEmail } = socket.data
+  const previous = deviceSessionUtils.findByToken(resumeToken)
+  if (
+    !previous ||
+    previous.roomCode !== room.code ||
+    previous.userEmail !== userEmail ||
+    !room.participants.has(previous.deviceId) ||
+    !!participants.get(previous.deviceId)?.isGuest !== socket.data.isGuest ||
+    (socket.data.isGuest && room.isReservedEmail(userEmail)) ||
+    (socket.data.isGuest && room.isTakenByOtherGuest(userEmail, socket.data.guestId)) ||
+    room.isEnded ||
+    room.removedEmails.has(userEmail)
+  ) {
+    return null
+  }
+
+  clearTimeout(heldDevices.get(previous.id))
+  heldDevices.delete(previous.id)
+
+  const { token, session } = deviceSessionUtils.resumeSession(previous.id, socket.id)
+  const { deviceId } = session
+
+  // The old connection may not have noticed it is gone yet
+  socketToUser.delete(previous.socketId)
+  io.in(deviceId).except(socket.id).disconnectSockets(true)
+
+  socket.join(room.code)
+  socket.join(deviceId)
+  socketToUser.set(socket.id, { userEmail, roomCode: room.code, deviceId, sessionId: session.id })
+
+  sendPollsAndQuestions(room, userEmail)
+  if (room.isModerator(userEmail)) {
+    emitLobbyUpdate(room)
+  }
+
+  console.log(`🔄 ${userEmail} resumed their place in room ${room.code}`)
+  return {
+    status: "resumed",
+    roomCode: room.code,
+    socketId: deviceId,
+    participantId: room.getParticipantId(userEmail),
+    resumeToken: token,
+    media: participants.get(deviceId)?.media || {},
+    handRaised: room.raisedHands.has(userEmail),
+    missedMessages: room.getMessagesAfter(userEmail, lastMessageId, { limit: CHAT_HISTORY_ON_JOIN }),
+  }
+}
+
+// Send the waiting list to the hosts and co-hosts of a room
+const emitLobbyUpdate = (room) => {
+  const waiting = room.getLobbyList().map(({ socketId, userEmail, requestedAt }) => ({ socketId, userEmail, requestedAt }))
+
+  room.getParticipantList()
+    .filter((participant) => participant.role !== "participant")
+    .forEach((participant) => {
+      io.to(participant.devices.map((device) => device.socketId)).emit("lobby-update", {
+        waiting,
+        waitingRoomEnabled: room.waitingRoomEnabled,
+        autoAdmitDomains: room.autoAdmitDomains,
+      })
+    })
+}
+
+// Clear a local lobby timer, if this instance holds one for the socket
+const clearLobbyTimer = (socketId) => {
+  const pending = lobbySockets.get(socketId)
+  if (pending) {
+    clearTimeout(pending.timer)
+    lobbySockets.delete(socketId)
+  }
+  return pending
+}
+
+// Take a socket out of the lobby and clear its timer
+const leaveLobby = (room, socketId) => {
+  const pending = clearLobbyTimer(socketId)
+  return room?.removeFromLobby(socketId) || pending
+}
+
+// Admit a waiting socket - the client then repeats join-room and skips the lobby
+const admitFromLobby = (room, socketId) => {
+  const entry = leaveLobby(room, socketId)
+  if (!entry) return false
+
+  room.markAdmitted(entry.userEmail)
+  io.to(socketId).emit("lobby-admitted", { roomCode: room.code })
+  console.log(`🚪 ${entry.userEmail} was admitted to room ${room.code}`)
+  return true
+}
+
+// Drop a lobby request that nobody answered in time
+const expireLobbyRequest = (socketId) => {
+  const pending = clearLobbyTimer(socketId)
+  if (!pending) return
+
+  // A host on another instance may already have admitted or denied them
+  const room = roomUtils.getRoom(pending.roomCode)
+  if (!room?.lobby.has(socketId)) return
+
+  room.removeFromLobby(socketId)
+  io.to(socketId).emit("lobby-timeout", { message: "No host admitted you in time" })
+  if (room) emitLobbyUpdate(room)
+
+  console.log(`⌛ Lobby request from ${pending.userEmail} timed out`)
+}
+
+// Socket.io connection handling
+io.on("connection", (socket) => {
+  console.log("🔌 User connected:", socket.id)
+
+  // Handle joining room
+  // Answers with an acknowledgement: { status: "joined" | "resumed" | "waiting", ... }, or an
+  // error code when the join is refused
+  onEvent(socket, "join-room", async ({ roomCode, passcode, resumeToken, lastMessageId }) => {
+    const { userEmail } = socket.data
+    console.log(`👤 ${userEmail} attempting to join room ${roomCode}`)
+    clearLobbyTimer(socket.id)
+
+    // Only rooms created through the API can be joined
+    const room = roomCode ? roomUtils.getRoom(roomCode) : null
+    if (!room) {
+      throw new SocketEventError("ROOM_NOT_FOUND", "Meeting room not found")
+    }
+
+    if (!tokenAllowsRoom(socket.data.joinClaims, room)) {
+      throw new SocketEventError("WRONG_MEETING", "Your join link is for a different meeting")
+    }
+
+    // Asking again for the room this socket is already in changes nothing
+    const current = getCurrentPlace(socket, room)
+    if (current) {
+      return rejoinCurrentRoom(socket, room, current)
+    }
+
+    // A device coming back within its grace period skips the passcode, lock and lobby
+    if (resumeToken) {
+      const resumed = resumeDevice(socket, room, { resumeToken, lastMessageId })
+      if (resumed) return resumed
+    }
+
+    if (!(await room.verifyPasscode(passcode))) {
+      throw new SocketEventError(
+        passcode ? "INVALID_PASSCODE" : "PASSCODE_REQUIRED",
+        passcode ? "Incorrect meeting passcode" : "This meeting requires a passcode",
+      )
+    }
+
+    // The socket may have left, or another join-room from it got in, while the passcode was checked
+    if (socket.disconnected) {
+      throw new SocketEventError("DISCONNECTED", "The connection closed while joining")
+    }
+    const joinedMeanwhile = getCurrentPlace(socket, room)
+    if (joinedMeanwhile) {
+      return rejoinCurrentRoom(socket, room, joinedMeanwhile)
+    }
+
+    // Scheduled meetings can't be joined before their start window
+    if (room.hasNotStarted()) {
+      throw new SocketEventError("NOT_STARTED", "This meeting hasn't started yet", { opensAt: room.opensAt })
+    }
+
+    // Reject early if the room is locked, full or ended
+    try {
+      room.assertCanJoin(userEmail, { isGuest: socket.data.isGuest, guestId: socket.data.guestId })
+    } catch (error) {
+      console.log(`🚫 ${userEmail} rejected from room ${roomCode}: ${error.message}`)
+      throw new SocketEventError("JOIN_REJECTED", error.message)
+    }
+
+    // Moving between a meeting and its breakout rooms: leave the current one first
+    if (socketToUser.get(socket.id)?.roomCode !== room.code) {
+      leaveCurrentRoom(socket)
+    }
+
+    // Hold the joiner in the lobby until a host admits them
+    if (room.needsLobby(userEmail)) {
+      room.addToLobby(socket.id, userEmail)
+      lobbySockets.set(socket.id, {
+        roomCode,
+        userEmail,
+        timer: setTimeout(() => expireLobbyRequest(socket.id), LOBBY_TIMEOUT_MS),
+      })
+
+      socket.emit("waiting-for-host", { roomCode, timeoutMs: LOBBY_TIMEOUT_MS })
+      emitLobbyUpdate(room)
+
+      console.log(`⏳ ${userEmail} is waiting in the lobby of room ${roomCode}`)
+      return { status: "waiting", roomCode: room.code }
+    }
+
+    return admitParticipant(socket, room, roomCode, userEmail)
+  })
+
+  // Handle WebRTC offer
+  onEvent(socket, "offer", ({ offer, to }) => {
+    const sender = socketToUser.get(socket.id)
+    console.log(`📤 Offer from ${sender.userEmail} to ${to}`)
+
+    socket.to(to).emit("offer", {
+      offer,
+      from: sender.deviceId,
+      fromUser: sender.userEmail,
+    })
+  })
+
+  // Handle WebRTC answer
+  onEvent(socket, "answer", ({ answer, to }) => {
+    const sender = socketToUser.get(socket.id)
+    console.log(`📥 Answer from ${sender.userEmail} to ${to}`)
+
+    socket.to(to).emit("answer", {
+      answer,
+      from: sender.deviceId,
+      fromUser: sender.userEmail,
+    })
+  })
+
+  // Handle ICE candidates
+  onEvent(socket, "ice-candidate", ({ candidate, to }) => {
+    const sender = socketToUser.get(socket.id)
+    console.log(`🧊 ICE candidate from ${sender.userEmail} to ${to}`)
+
+    socket.to(to).emit("ice-candidate", {
+      candidate,
+      from: sender.deviceId,
+      fromUser: sender.userEmail,
+    })
+  })
+
+  // Handle group chat messages
+  onEvent(socket, "chat-message", ({ message, replyTo }) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    const { room, user } = current
+    let messageObj
+    try {
+      messageObj = room.addMessage(message, user.userEmail, { replyTo })
+    } catch (error) {
+      return emitError(socket, error.message)
+    }
+
+    // Broadcast to all participants in the room
+    io.to(room.code).emit("chat-message", messageObj)
+
+    console.log(`💬 Group chat message from ${user.userEmail} in room ${room.code}`)
+  })
+
+  // Handle private chat messages
+  onEvent(socket, "private-message", ({ message, recipientEmail, replyTo }) => {
+    // Only the recipient's devices in the sender's room get it, whichever instance they are on
+    const sender = socketToUser.get(socket.id)
+    const senderEmail = sender?.userEmail
+    const room = sender ? roomUtils.getRoom(sender.roomCode) : null
+    const recipientSocketIds = room?.getSocketIds(recipientEmail) || []
+
+    if (recipientSocketIds.length === 0) {
+      return emitError(socket, "Recipient not found")
+    }
+
+    let messageObj
+    try {
+      messageObj = room.addPrivateMessage(message, senderEmail, recipientEmail, { replyTo })
+    } catch (error) {
+      return emitError(socket, error.message)
+    }
+
+    // The sender's own devices get it too, which confirms it to the one that sent it
+    io.to([...recipientSocketIds, ...room.getSocketIds(senderEmail)]).emit("private-message", messageObj)
+
+    console.log(`🔒 Private message from ${senderEmail} to ${recipientEmail}`)
+  })
+
+  // Toggle an emoji reaction on a message
+  onEvent(socket, "react-message", ({ messageId, emoji }) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    if (typeof emoji !== "string" || emoji.length === 0 || emoji.length > 16 || /\s/.test(emoji)) {
+      return emitError(socket, "Invalid reaction")
+    }
+
+    try {
+      emitMessageUpdate(current.room, current.room.toggleReaction(messageId, emoji, current.user.userEmail))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Edit one of your own messages
+  onEvent(socket, "edit-message", ({ messageId, message }) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    if (typeof message !== "string" || !message.trim()) {
+      return emitError(socket, "Message cannot be empty")
+    }
+
+    try {
+      emitMessageUpdate(current.room, current.room.editMessage(messageId, message.trim(), current.user.userEmail))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Delete your own message, or any group message as a host
+  onEvent(socket, "delete-message", ({ messageId }) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    try {
+      const messageObj = current.room.deleteMessage(messageId, current.user.userEmail)
+      emitMessageUpdate(current.room, messageObj)
+      console.log(`🗑️ ${current.user.userEmail} deleted a message in room ${current.room.code}`)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Typing indicator - to the room, or just to the other side of a private chat
+  onEvent(socket, "typing", ({ isTyping, recipientEmail }) => {
+    const user = socketToUser.get(socket.id)
+    const room = user ? roomUtils.getRoom(user.roomCode) : null
+    if (!room) return
+
+    const payload = { userEmail: user.userEmail, isTyping: !!isTyping, isPrivate: !!recipientEmail }
+    if (recipientEmail) {
+      const socketIds = room.getSocketIds(recipientEmail)
+      if (socketIds.length > 0) socket.to(socketIds).emit("user-typing", payload)
+    } else {
+      socket.to(room.code).emit("user-typing", payload)
+    }
+  })
+
+  // Read receipt for a private message
+  onEvent(socket, "mark-read", ({ messageId }) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    try {
+      const messageObj = current.room.markRead(messageId, current.user.userEmail)
+      if (messageObj) emitMessageUpdate(current.room, messageObj)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Raise your hand to join the speaking queue
+  onEvent(socket, "raise-hand", () => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    const { user, room } = current
+    room.raiseHand(user.userEmail)
+    emitParticipantsUpdate(room.code, room)
+
+    console.log(`✋ ${user.userEmail} raised their hand in room ${room.code}`)
+  })
+
+  // Lower your own hand, or (host/co-host) someone else's
+  onEvent(socket, "lower-hand", ({ targetEmail } = {}) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    const { user, room } = current
+    const email = targetEmail || user.userEmail
+    if (email !== user.userEmail && !room.isModerator(user.userEmail)) {
+      return emitError(socket, "Only the host or a co-host can do that")
+    }
+
+    if (room.lowerHand(email)) {
+      emitParticipantsUpdate(room.code, room)
+    }
+  })
+
+  // Host: lower every hand
+  onEvent(socket, "clear-hands", () => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { user, room } = moderated
+    room.clearHands()
+    emitParticipantsUpdate(user.roomCode, room)
+
+    console.log(`✋ ${user.userEmail} lowered all hands in room ${room.code}`)
+  })
+
+  // Short-lived emoji reaction shown to everyone (not stored)
+  onEvent(socket, "send-reaction", ({ emoji } = {}) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    if (!MEETING_REACTIONS.includes(emoji)) {
+      return emitError(socket, "Invalid reaction")
+    }
+
+    io.to(current.room.code).emit("meeting-reaction", {
+      socketId: current.user.deviceId,
+      userEmail: current.user.userEmail,
+      emoji,
+      at: new Date().toISOString(),
+    })
+  })
+
+  // Host: create breakout rooms (replaces an earlier, closed set)
+  onEvent(socket, "create-breakouts", ({ count, names } = {}) => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    const { user, room } = managed
+    try {
+      room.createBreakouts(count, Array.isArray(names) ? names : [])
+      emitParticipantsUpdate(room.code, room)
+      console.log(`🚪 ${user.userEmail} created ${room.breakout.rooms.length} breakout rooms in ${room.code}`)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: assign one participant to a breakout room (null breakoutCode unassigns)
+  onEvent(socket, "assign-breakout", ({ userEmail, breakoutCode } = {}) => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    const { room } = managed
+    try {
+      room.assignBreakout(userEmail, breakoutCode)
+      emitParticipantsUpdate(room.code, room)
+
+      // Someone assigned while the rooms are open goes straight there
+      const target = room.breakout.rooms.find((breakoutRoom) => breakoutRoom.code === room.breakout.assignments[userEmail])
+      if (room.breakout.status === "open" && target) {
+        const socketIds = room.getSocketIds(userEmail)
+        if (socketIds.length > 0) io.to(socketIds).emit("breakout-move", { roomCode: target.code, name: target.name })
+      }
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: spread everyone except hosts and co-hosts over the breakout rooms at random
+  onEvent(socket, "assign-breakouts-randomly", () => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    const { room } = managed
+    try {
+      room.assignBreakoutsRandomly(room.getEmails().filter((email) => !room.isModerator(email)))
+      emitParticipantsUpdate(room.code, room)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: open the breakout rooms and move everyone assigned, with an optional countdown
+  onEvent(socket, "open-breakouts", ({ durationMinutes } = {}) => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    const { user, room } = managed
+    const minutes = durationMinutes ? parseFloat(durationMinutes) : null
+    if (minutes !== null && !(minutes > 0 && minutes <= 24 * 60)) {
+      return emitError(socket, "Breakout duration must be between 1 minute and 24 hours")
+    }
+
+    try {
+      const breakout = room.openBreakouts(minutes ? minutes * 60 * 1000 : null)
+
+      for (const { code, name } of breakout.rooms) {
+        const emails = Object.keys(breakout.assignments).filter((email) => breakout.assignments[email] === code)
+        const socketIds = emails.flatMap((email) => room.getSocketIds(email))
+        if (socketIds.length > 0) io.to(socketIds).emit("breakout-move", { roomCode: code, name })
+      }
+
+      if (breakout.endsAt) {
+        scheduleBreakoutClose(room.code, breakout)
+      }
+
+      emitParticipantsUpdate(room.code, room)
+      console.log(`🚪 ${user.userEmail} opened breakout rooms in ${room.code}${minutes ? ` for ${minutes} minutes` : ""}`)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: send one message to the main room and every breakout room
+  onEvent(socket, "broadcast-breakouts", ({ message } = {}) => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    const { user, room } = managed
+    const text = typeof message === "string" ? message.trim() : ""
+    if (!text || text.length > 500) {
+      return emitError(socket, "Broadcast must be 1-500 characters")
+    }
+
+    const payload = { message: text, from: user.userEmail, at: new Date().toISOString() }
+    io.to([room.code, ...room.getBreakoutRooms().map((breakoutRoom) => breakoutRoom.code)]).emit("breakout-broadcast", payload)
+  })
+
+  // Host: bring everyone back to the main room
+  onEvent(socket, "close-breakouts", () => {
+    const managed = getBreakoutParent(socket)
+    if (!managed) return
+
+    if (managed.room.breakout?.status !== "open") {
+      return emitError(socket, "Breakout rooms are not open")
+    }
+    closeBreakouts(managed.room)
+  })
+
+  // Host: create a poll (it starts as a draft)
+  onEvent(socket, "create-poll", ({ question, options, multipleChoice, anonymous } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { user, room } = moderated
+    try {
+      const poll = pollUtils.createPoll(room.code, user.userEmail, { question, options, multipleChoice, anonymous })
+      emitPollUpdate(room, poll)
+      console.log(`📊 ${user.userEmail} created a poll in room ${room.code}`)
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: open a draft poll for voting
+  onEvent(socket, "open-poll", ({ pollId } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    try {
+      emitPollUpdate(moderated.room, pollUtils.openPoll(moderated.room.code, pollId))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: stop voting on a poll
+  onEvent(socket, "close-poll", ({ pollId } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    try {
+      emitPollUpdate(moderated.room, pollUtils.closePoll(moderated.room.code, pollId))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Vote on an open poll - voting again replaces the earlier choice
+  onEvent(socket, "vote-poll", ({ pollId, optionIds } = {}) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    const { user, room } = current
+    try {
+      const poll = pollUtils.vote(room.code, pollId, user.userEmail, optionIds)
+      emitPollUpdate(room, poll)
+      io.to(room.getSocketIds(user.userEmail)).emit("poll-voted", { pollId, optionIds: poll.votes[user.userEmail] })
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Ask a question in the Q&A
+  onEvent(socket, "submit-question", ({ text } = {}) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    try {
+      emitQuestionUpdate(current.room, questionUtils.submitQuestion(current.room.code, current.user.userEmail, text))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Add or remove your upvote on someone else's question
+  onEvent(socket, "upvote-question", ({ questionId } = {}) => {
+    const current = getCurrentRoom(socket)
+    if (!current) return
+
+    try {
+      emitQuestionUpdate(current.room, questionUtils.toggleUpvote(current.room.code, questionId, current.user.userEmail))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: mark a question answered, optionally with a written answer
+  onEvent(socket, "answer-question", ({ questionId, answer } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { user, room } = moderated
+    try {
+      emitQuestionUpdate(room, questionUtils.answerQuestion(room.code, questionId, user.userEmail, answer))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: hide or unhide a question
+  onEvent(socket, "hide-question", ({ questionId, hidden = true } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    try {
+      emitQuestionUpdate(moderated.room, questionUtils.setHidden(moderated.room.code, questionId, hidden))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Host: pin or unpin a question to the top
+  onEvent(socket, "pin-question", ({ questionId, pinned = true } = {}) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    try {
+      emitQuestionUpdate(moderated.room, questionUtils.setPinned(moderated.room.code, questionId, pinned))
+    } catch (error) {
+      emitError(socket, error.message)
+    }
+  })
+
+  // Handle media state changes
+  onEvent(socket, "media-state-change", ({ type, enabled }) => {
+    const user = socketToUser.get(socket.id)
+    if (user) {
+      // Kept so a device resuming its place, and anyone joining later, can tell
+      roomUtils.getRoom(user.roomCode)?.setMediaState(user.deviceId, type, enabled)
+
+      socket.to(user.roomCode).emit("user-media-state-changed", {
+        socketId: user.deviceId,
+        userEmail: user.userEmail,
+        type, // 'audio' or 'video'
+        enabled,
+      })
+    }
+  })
+
+  // Handle screen sharing
+  onEvent(socket, "screen-share-start", () => {
+    const user = socketToUser.get(socket.id)
+    if (user) {
+      socket.to(user.roomCode).emit("user-screen-share-started", {
+        socketId: user.deviceId,
+        userEmail: user.userEmail,
+      })
+    }
+  })
+
+  onEvent(socket, "screen-share-stop", () => {
+    const user = socketToUser.get(socket.id)
+    if (user) {
+      socket.to(user.roomCode).emit("user-screen-share-stopped", {
+        socketId: user.deviceId,
+        userEmail: user.userEmail,
+      })
+    }
+  })
+
+  // Handle recording events
+  onEvent(socket, "recording-started", ({ type = 'single' }) => {
+    const user = socketToUser.get(socket.id)
+    if (user) {
+      socket.to(user.roomCode).emit("user-recording-started", {
+        socketId: user.deviceId,
+        userEmail: user.userEmail,
+        recordingType: type,
+      })
+      
+      console.log(`📹 ${user.userEmail} started ${type} recording in room ${user.roomCode}`)
+    }
+  })
+
+  onEvent(socket, "recording-stopped", ({ filename, recordingType = 'single' }) => {
+    const user = socketToUser.get(socket.id)
+    if (user) {
+      socket.to(user.roomCode).emit("user-recording-stopped", {
+        socketId: user.deviceId,
+        userEmail: user.userEmail,
+        filename,
+        recordingType,
+      })
+      
+      console.log(`📹 ${user.userEmail} stopped ${recordingType} recording: ${filename}`)
+    }
+  })
+
+  // Host: mute a participant's audio or video
+  onEvent(socket, "mute-participant", ({ targetSocketId, type = "audio" }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const target = getTargetParticipant(socket, moderated.room, targetSocketId)
+    if (!target) return
+
+    if (type !== "audio" && type !== "video") {
+      return emitError(socket, "Mute type must be audio or video")
+    }
+
+    // Muting a person mutes every device they are in the meeting on
+    io.to(moderated.room.getSocketIds(target.userEmail)).emit("force-mute", { type, by: moderated.user.userEmail })
+    console.log(`🔇 ${moderated.user.userEmail} muted ${type} of ${target.userEmail}`)
+  })
+
+  // Host: remove a participant from the meeting
+  onEvent(socket, "remove-participant", ({ targetSocketId }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { user, room } = moderated
+    const target = getTargetParticipant(socket, room, targetSocketId)
+    if (!target) return
+
+    if (room.isHost(target.userEmail)) {
+      return emitError(socket, "The host cannot be removed")
+    }
+
+    removePerson(room, target.userEmail, user.userEmail)
+
+    console.log(`🚫 ${user.userEmail} removed ${target.userEmail} from room ${room.code}`)
+  })
+
+  // Host: lock or unlock the room against new joins
+  onEvent(socket, "lock-room", ({ locked }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { user, room } = moderated
+    room.setLocked(locked)
+    emitParticipantsUpdate(user.roomCode, room)
+
+    console.log(`🔒 ${user.userEmail} ${room.isLocked ? "locked" : "unlocked"} room ${room.code}`)
+  })
+
+  // Host: hand the host role to another participant
+  onEvent(socket, "transfer-host", ({ targetEmail }) => {
+    const moderated = getModeratedRoom(socket, { hostOnly: true })
+    if (!moderated) return
+
+    const { user, room } = moderated
+    if (!room.getEmails().includes(targetEmail)) {
+      return emitError(socket, "Participant not found in this meeting")
+    }
+
+    if (room.isGuest(targetEmail)) {
+      return emitError(socket, "Guests can't be made host - they joined without a verified email")
+    }
+
+    room.setHost(targetEmail)
+    emitParticipantsUpdate(user.roomCode, room)
+    emitLobbyUpdate(room)
+
+    // Draft polls and hidden questions follow the host role
+    sendPollsAndQuestions(room, targetEmail)
+    sendPollsAndQuestions(room, user.userEmail)
+
+    console.log(`👑 ${user.userEmail} made ${targetEmail} host of room ${room.code}`)
+  })
+
+  // Host: grant or revoke co-host
+  onEvent(socket, "set-cohost", ({ targetEmail, isCoHost }) => {
+    const moderated = getModeratedRoom(socket, { hostOnly: true })
+    if (!moderated) return
+
+    const { user, room } = moderated
+    if (!room.getEmails().includes(targetEmail)) {
+      return emitError(socket, "Participant not found in this meeting")
+    }
+
+    if (isCoHost && room.isGuest(targetEmail)) {
+      return emitError(socket, "Guests can't be made co-host - they joined without a verified email")
+    }
+
+    room.setCoHost(targetEmail, isCoHost)
+    emitParticipantsUpdate(user.roomCode, room)
+    emitLobbyUpdate(room)
+    sendPollsAndQuestions(room, targetEmail)
+
+    console.log(`🛡️ ${user.userEmail} ${isCoHost ? "granted" : "revoked"} co-host for ${targetEmail}`)
+  })
+
+  // Host: end the meeting for everyone
+  onEvent(socket, "end-meeting", () => {
+    const moderated = getModeratedRoom(socket, { hostOnly: true })
+    if (!moderated) return
+
+    const { user } = moderated
+    const room = moderated.room.getParentRoom() || moderated.room
+    endMeeting(room, user.userEmail)
+
+    console.log(`🛑 ${user.userEmail} ended meeting ${room.code}`)
+  })
+
+  // Host: admit one person from the lobby
+  onEvent(socket, "admit-user", ({ socketId }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    if (!moderated.room.lobby.has(socketId)) {
+      return emitError(socket, "That person is no longer waiting")
+    }
+
+    admitFromLobby(moderated.room, socketId)
+    emitLobbyUpdate(moderated.room)
+  })
+
+  // Host: admit everyone in the lobby
+  onEvent(socket, "admit-all", () => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    for (const { socketId } of moderated.room.getLobbyList()) {
+      admitFromLobby(moderated.room, socketId)
+    }
+    emitLobbyUpdate(moderated.room)
+  })
+
+  // Host: turn someone away from the lobby
+  onEvent(socket, "deny-user", ({ socketId }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const pending = leaveLobby(moderated.room, socketId)
+    if (!pending) {
+      return emitError(socket, "That person is no longer waiting")
+    }
+
+    io.to(socketId).emit("lobby-denied", { message: "The host did not let you in" })
+    emitLobbyUpdate(moderated.room)
+
+    console.log(`🚪 ${moderated.user.userEmail} denied ${pending.userEmail} entry to room ${moderated.room.code}`)
+  })
+
+  // Host: turn the waiting room on/off and set auto-admit domains
+  onEvent(socket, "update-waiting-room", ({ enabled, autoAdmitDomains }) => {
+    const moderated = getModeratedRoom(socket)
+    if (!moderated) return
+
+    const { room } = moderated
+    room.setWaitingRoom({ enabled, autoAdmitDomains })
+
+    // Turning the lobby off lets everyone waiting straight in
+    if (!room.waitingRoomEnabled) {
+      for (const { socketId } of room.getLobbyList()) {
+        admitFromLobby(room, socketId)
+      }
+    }
+    emitLobbyUpdate(room)
+  })
+
+  // Handle disconnection
+  socket.on("disconnect", (reason) => {
+    console.log("🔌 User disconnected:", socket.id, "Reason:", reason)
+
+    // Drop any pending lobby request
+    const pending = lobbySockets.get(socket.id)
+    if (pending) {
+      const room = roomUtils.getRoom(pending.roomCode)
+      leaveLobby(room, socket.id)
+      if (room) emitLobbyUpdate(room)
+    }
+
+    // A lost connection may come back; leaving or being removed is final
+    if (DELIBERATE_DISCONNECTS.includes(reason)) {
+      leaveCurrentRoom(socket)
+    } else {
+      holdDevice(socket)
+    }
+  })
+
+  // Handle connection errors
+  socket.on("connect_error", (error) => {
+    console.error("❌ Socket connection error:", error)
+  })
+})
+
+// Error handling middleware
+app.use(errorHandler)
+
+// Write pending storage changes before exiting
+const shutdown = (signal) => {
+  console.log(`🛑 Received ${signal}, saving state...`)
+  storage.flush()
+  process.exit(0)
+}
+process.on("SIGINT", shutdown)
+process.on("SIGTERM", shutdown)
+
+const PORT = process.env.PORT || 5055
+if (cluster.isWorker) {
+  // The primary owns the port and hands connections over with sticky sessions
+  setupWorker(io)
+  console.log(`👷 Worker ${process.pid} ready`)
+} else {
+  server.listen(PORT, () => {
+    console.log(`🚀 Google Meet Clone server running on port ${PORT}`)
+    console.log(`📱 Access the app at: http://localhost:${PORT}`)
+    console.log(`🔗 Create meetings with: POST http://localhost:${PORT}/api/rooms`)
+    console.log(`📁 Recordings saved to: ${uploadsDir}`)
+  })
+}
 
 export default app
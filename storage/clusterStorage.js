@@ -0,0 +1,204 @@
+import cluster from "cluster"
+import { MemoryStorage, appendToList, applyChanges, replaceInList } from "./memoryStorage.js"
+
+// Storage shared between Node cluster workers
+//
+// The primary process holds the authoritative copy (in its own memory or
+// file adapter) and decides the order of all writes: each one is applied
+// there and relayed to every worker, the sender included. A worker keeps a
+// replica of what the primary confirmed so reads stay synchronous, and shows
+// its own writes on top of it until they come back, so it reads what it just
+// wrote. Every worker ends up with the same data, in the primary's order.
+//
+// Writes only carry what changed: set and delete replace or remove a whole
+// record, merge sends the changed fields and keys, and list changes send the
+// one item. Changes to different parts of a record made at the same moment
+// through different workers are all kept.
+
+const MESSAGE_TYPE = "fitsemeet:storage"
+
+// Worker side replica
+export class ClusterStorage extends MemoryStorage {
+  constructor() {
+    super()
+
+    // Records as the primary confirmed them; this.collections adds our unconfirmed writes
+    this.confirmed = new Map()
+    // Our writes the primary has not relayed back yet, oldest first
+    this.pending = []
+    this.nextSeq = 1
+
+    this.synced = new Promise((resolve) => {
+      process.on("message", (message) => {
+        if (message?.type !== MESSAGE_TYPE) return
+
+        if (message.op === "snapshot") {
+          for (const [name, records] of Object.entries(message.collections)) {
+            this.confirmed.set(name, new Map(Object.entries(records)))
+            this.collections.set(name, new Map(Object.entries(records)))
+          }
+          for (const { name, id } of this.pending) this.refresh(name, id)
+          resolve()
+        } else {
+          this.applyRemote(message)
+        }
+      })
+    })
+
+    process.send({ type: MESSAGE_TYPE, op: "sync" })
+  }
+
+  // Resolves once the primary has sent the current data
+  ready() {
+    return this.synced
+  }
+
+  // Get (or create) the Map of confirmed records in a collection
+  confirmedCollection(name) {
+    if (!this.confirmed.has(name)) {
+      this.confirmed.set(name, new Map())
+    }
+    return this.confirmed.get(name)
+  }
+
+  // Rebuild what this worker reads for a record: the confirmed copy plus our pending writes
+  refresh(name, id) {
+    const changes = this.pending.filter((write) => write.name === name && write.id === id).flatMap((write) => write.changes)
+    const confirmed = this.confirmedCollection(name).get(id)
+    const value = changes.length > 0 ? applyChanges(confirmed, changes) : confirmed
+
+    if (value === undefined) {
+      this.collection(name).delete(id)
+    } else {
+      this.collection(name).set(id, value)
+    }
+    return value
+  }
+
+  // Apply a write relayed by the primary - our own or another worker's
+  applyRemote({ op, name, id, changes, item, limit, workerId, seq }) {
+    const records = this.confirmedCollection(name)
+
+    if (op === "patch") {
+      const value = applyChanges(records.get(id), changes)
+      if (value === undefined) {
+        records.delete(id)
+      } else {
+        records.set(id, value)
+      }
+    } else if (op === "append") {
+      records.set(id, appendToList(records.get(id), item, limit))
+    } else if (op === "updateItem") {
+      const list = records.get(id)
+      if (!list) return
+      records.set(id, replaceInList(list, item))
+    }
+
+    // Our own write coming back: listeners already saw it, unless other writes landed first
+    const isOwn = op === "patch" && workerId === cluster.worker.id
+    const before = isOwn ? this.get(name, id) : undefined
+    if (isOwn) {
+      this.pending = this.pending.filter((write) => write.seq !== seq)
+    }
+
+    const value = this.refresh(name, id)
+    if (isOwn && JSON.stringify(before) === JSON.stringify(value)) return
+    this.notify(name, id, value)
+  }
+
+  // Apply a write to what this worker reads now, and send it to the primary to be ordered
+  write(name, id, changes) {
+    const seq = this.nextSeq++
+    this.pending.push({ seq, name, id, changes })
+    this.refresh(name, id)
+    process.send({ type: MESSAGE_TYPE, op: "patch", name, id, changes, seq })
+  }
+
+  set(name, id, value) {
+    this.write(name, id, [{ path: [], value }])
+    return value
+  }
+
+  delete(name, id) {
+    const existed = this.collection(name).has(id)
+    if (existed) this.write(name, id, [{ path: [], value: undefined }])
+    return existed
+  }
+
+  patch(name, id, changes) {
+    this.write(name, id, changes)
+    return this.get(name, id)
+  }
+
+  // Lists change on the primary; this replica sees the item once the primary relays it back
+  append(name, id, item, { limit } = {}) {
+    process.send({ type: MESSAGE_TYPE, op: "append", name, id, item, limit })
+    return item
+  }
+
+  updateItem(name, id, item) {
+    process.send({ type: MESSAGE_TYPE, op: "updateItem", name, id, item })
+    return item
+  }
+}
+
+// Primary side: keep the authoritative copy, order writes and relay them to every worker
+export const setupStorageHub = (backingStorage, { ephemeral = [] } = {}) => {
+  const ephemeralCollections = new Set(ephemeral)
+
+  // Which worker wrote each ephemeral record, so a crashed worker's sockets can be cleared
+  const owners = new Map()
+
+  const broadcast = (message) => {
+    for (const worker of Object.values(cluster.workers)) {
+      if (worker && worker.isConnected()) {
+        worker.send(message)
+      }
+    }
+  }
+
+  cluster.on("message", (worker, message) => {
+    if (message?.type !== MESSAGE_TYPE) return
+
+    if (message.op === "sync") {
+      const collections = {}
+      for (const [name, records] of backingStorage.collections) {
+        collections[name] = Object.fromEntries(records)
+      }
+      worker.send({ type: MESSAGE_TYPE, op: "snapshot", collections })
+      return
+    }
+
+    const { op, name, id } = message
+    if (op === "patch") {
+      const value = backingStorage.patch(name, id, message.changes)
+      const ownerKey = `${name}:${id}`
+      if (value === undefined) {
+        owners.delete(ownerKey)
+      } else if (ephemeralCollections.has(name)) {
+        owners.set(ownerKey, worker.id)
+      }
+    } else if (op === "append") {
+      backingStorage.append(name, id, message.item, { limit: message.limit })
+    } else if (op === "updateItem") {
+      backingStorage.updateItem(name, id, message.item)
+    } else {
+      return
+    }
+
+    // The sender gets its write back too, so its replica ends up in the primary's order
+    broadcast({ ...message, workerId: worker.id })
+  })
+
+  cluster.on("exit", (worker) => {
+    for (const [ownerKey, workerId] of owners) {
+      if (workerId !== worker.id) continue
+
+      const [name, ...rest] = ownerKey.split(":")
+      const id = rest.join(":")
+      owners.delete(ownerKey)
+      backingStorage.delete(name, id)
+      broadcast({ type: MESSAGE_TYPE, op: "patch", name, id, changes: [{ path: [], value: undefined }] })
+    }
+  })
+}
@@ -0,0 +1,72 @@
+import fs from "fs"
+import path from "path"
+import { MemoryStorage } from "./memoryStorage.js"
+
+// File-backed storage adapter - one JSON file per collection
+//
+// Collections are loaded into memory on startup and written back shortly
+// after each change, so reads stay synchronous and writes are batched.
+export class FileStorage extends MemoryStorage {
+  constructor({ dir, writeDelayMs = 200, ephemeral = [] }) {
+    super()
+    this.dir = dir
+    this.writeDelayMs = writeDelayMs
+    this.ephemeral = new Set(ephemeral)
+    this.pendingWrites = new Map()
+
+    fs.mkdirSync(this.dir, { recursive: true })
+    this.load()
+  }
+
+  // Path of a collection's file
+  filePath(name) {
+    return path.join(this.dir, `${name}.json`)
+  }
+
+  // Read every collection file into memory
+  load() {
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith(".json")) continue
+
+      const name = file.slice(0, -".json".length)
+      try {
+        const records = JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf8"))
+        this.collections.set(name, new Map(Object.entries(records)))
+      } catch (error) {
+        console.error(`❌ Could not load storage collection ${name}:`, error.message)
+      }
+    }
+  }
+
+  // Schedule a write of a changed collection
+  changed(name) {
+    if (this.ephemeral.has(name) || this.pendingWrites.has(name)) return
+
+    this.pendingWrites.set(
+      name,
+      setTimeout(() => this.write(name), this.writeDelayMs),
+    )
+  }
+
+  // Write a collection atomically (temp file + rename)
+  write(name) {
+    clearTimeout(this.pendingWrites.get(name))
+    this.pendingWrites.delete(name)
+
+    const target = this.filePath(name)
+    const temp = `${target}.${process.pid}.tmp`
+    try {
+      fs.writeFileSync(temp, JSON.stringify(Object.fromEntries(this.collection(name))))
+      fs.renameSync(temp, target)
+    } catch (error) {
+      console.error(`❌ Could not write storage collection ${name}:`, error.message)
+    }
+  }
+
+  // Write all pending collections now (used on shutdown)
+  flush() {
+    for (const name of Array.from(this.pendingWrites.keys())) {
+      this.write(name)
+    }
+  }
+}
@@ -0,0 +1,28 @@
+import cluster from "cluster"
+import path from "path"
+import { MemoryStorage } from "./memoryStorage.js"
+import { FileStorage } from "./fileStorage.js"
+import { ClusterStorage } from "./clusterStorage.js"
+
+// Live connection state and rate limit buckets - shared between instances but never written to disk
+export const EPHEMERAL_COLLECTIONS = ["participants", "lobby", "deviceSessions"]
+
+// Build the adapter named by STORAGE_DRIVER (memory | file)
+export const createStorage = () => {
+  const driver = (process.env.STORAGE_DRIVER || "memory").toLowerCase()
+
+  switch (driver) {
+    case "memory":
+      return new MemoryStorage()
+    case "file":
+      return new FileStorage({
+        dir: path.resolve(process.env.STORAGE_DIR || "data"),
+        ephemeral: EPHEMERAL_COLLECTIONS,
+      })
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "memory" or "file".`)
+  }
+}
+
+// Cluster workers share the primary's storage; a single process owns its own
+export const storage = cluster.isWorker ? new ClusterStorage() : createStorage()
@@ -0,0 +1,177 @@
+// In-memory storage adapter - data is lost when the process exits
+//
+// Every adapter exposes the same synchronous collection API so models can
+// read without awaiting. Writes land in memory immediately; durable adapters
+// persist them in the background and shared adapters replicate them.
+// List records (chat history, transcripts, attendance) are changed one item at
+// a time through append and updateItem, never by writing the whole list back.
+// Records several instances change at once (rooms, polls, questions) are
+// written with merge, which only sends the fields and object keys that differ,
+// so changes to different fields or keys made at the same moment are all kept.
+
+// A list with an item added, keeping only the last `limit` items when given
+export const appendToList = (list = [], item, limit) => {
+  const appended = [...list, item]
+  if (limit === undefined || appended.length <= limit) return appended
+  return limit > 0 ? appended.slice(-limit) : []
+}
+
+// A list with the item that has the same id replaced
+export const replaceInList = (list, item) => list.map((entry) => (entry.id === item.id ? item : entry))
+
+// Objects that are merged key by key; arrays, dates and other values are replaced whole
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+
+// Compare leaf values as they would be stored (a Date equals its ISO string)
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Changes that turn `current` into `next`: a list of { path, value } where path is a list
+// of keys (empty for the whole record) and an undefined value removes the key
+export const diffRecord = (current, next, path = []) => {
+  if (!isPlainObject(current) || !isPlainObject(next)) {
+    return isSameValue(current, next) ? [] : [{ path, value: next }]
+  }
+
+  const changes = []
+  for (const key of new Set([...Object.keys(current), ...Object.keys(next)])) {
+    if (next[key] === undefined) {
+      if (current[key] !== undefined) changes.push({ path: [...path, key], value: undefined })
+    } else {
+      changes.push(...diffRecord(current[key], next[key], [...path, key]))
+    }
+  }
+  return changes
+}
+
+// A copy of a record with changes from diffRecord applied (undefined once the record is removed).
+// A change under a key that no longer holds an object is dropped - someone replaced it meanwhile
+export const applyChanges = (record, changes) => {
+  let result = record
+  let copied = false
+
+  for (const { path, value } of changes) {
+    if (path.length === 0) {
+      result = value === undefined ? undefined : structuredClone(value)
+      copied = true
+      continue
+    }
+    if (!isPlainObject(result)) continue
+
+    if (!copied) {
+      result = structuredClone(result)
+      copied = true
+    }
+
+    let target = result
+    for (const key of path.slice(0, -1)) {
+      target = isPlainObject(target[key]) ? target[key] : null
+      if (!target) break
+    }
+    if (!target) continue
+
+    const key = path[path.length - 1]
+    if (value === undefined) {
+      delete target[key]
+    } else {
+      target[key] = structuredClone(value)
+    }
+  }
+
+  return result
+}
+
+export class MemoryStorage {
+  constructor() {
+    this.collections = new Map()
+    this.listeners = []
+  }
+
+  // Resolves once the adapter has its initial data
+  ready() {
+    return Promise.resolve()
+  }
+
+  // Listen for changes made by other server instances
+  subscribe(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Tell listeners about a change from another instance (value is undefined on delete)
+  notify(name, id, value) {
+    for (const listener of this.listeners) {
+      try {
+        listener(name, id, value)
+      } catch (error) {
+        console.error(`❌ Storage listener failed for ${name}/${id}:`, error)
+      }
+    }
+  }
+
+  // Get (or create) the Map backing a collection
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map())
+    }
+    return this.collections.get(name)
+  }
+
+  // Get one record
+  get(name, id) {
+    return this.collection(name).get(id)
+  }
+
+  // Get all records in a collection
+  getAll(name) {
+    return Array.from(this.collection(name).values())
+  }
+
+  // Insert or replace a record
+  set(name, id, value) {
+    this.collection(name).set(id, value)
+    this.changed(name, id, value)
+    return value
+  }
+
+  // Append an item to a list record (limit keeps only the newest items)
+  append(name, id, item, { limit } = {}) {
+    return this.set(name, id, appendToList(this.get(name, id), item, limit))
+  }
+
+  // Replace the item with the same id in a list record
+  updateItem(name, id, item) {
+    const list = this.get(name, id)
+    return list ? this.set(name, id, replaceInList(list, item)) : undefined
+  }
+
+  // Write a record by changing only what differs from the stored copy
+  merge(name, id, value) {
+    const changes = diffRecord(this.get(name, id), value)
+    if (changes.length > 0) this.patch(name, id, changes)
+    return value
+  }
+
+  // Apply changes from diffRecord to a record
+  patch(name, id, changes) {
+    const next = applyChanges(this.get(name, id), changes)
+    if (next === undefined) {
+      this.delete(name, id)
+    } else {
+      this.set(name, id, next)
+    }
+    return next
+  }
+
+  // Remove a record
+  delete(name, id) {
+    const existed = this.collection(name).delete(id)
+    if (existed) this.changed(name, id, undefined)
+    return existed
+  }
+
+  // Hook for adapters that persist or replicate changes
+  changed(name, id, value) {}
+
+  // Write anything pending - nothing to do in memory
+  flush() {}
+}
@@ -0,0 +1,94 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { ADMIN_TOKEN, request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+const admin = (route, options = {}) => server.api(route, { token: ADMIN_TOKEN, ...options })
+
+const createRoom = async () =>
+  (await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })).body.data
+
+// A meeting with its host and the given people in it
+const startMeeting = async (t, emails) => {
+  const { roomCode, token } = await createRoom()
+
+  const sockets = [await server.connect(token)]
+  for (const email of emails) {
+    sockets.push(await server.connect(await server.issueToken(email, roomCode)))
+  }
+  t.after(() => sockets.forEach((socket) => socket.disconnect()))
+
+  for (const socket of sockets) {
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+  }
+  return { roomCode, sockets }
+}
+
+test("the admin API needs the admin token", async () => {
+  const { token: hostToken } = await createRoom()
+
+  for (const token of [undefined, "wrong-token", hostToken]) {
+    assert.equal((await server.api("/api/admin/rooms", { token })).status, 401)
+    const body = { message: "hi" }
+    assert.equal((await server.api("/api/admin/announcements", { method: "POST", token, body })).status, 401)
+  }
+})
+
+test("operators list rooms, remove people and close meetings", async (t) => {
+  const { roomCode, sockets } = await startMeeting(t, ["ann@example.com"])
+  const [host, ann] = sockets
+
+  const { body: list } = await admin("/api/admin/rooms?active=true")
+  const listed = list.data.find((room) => room.code === roomCode)
+  assert.equal(listed.participantCount, 2)
+  assert.ok(list.totals.connectedDevices >= 2)
+  const annInfo = listed.participants.find((person) => person.userEmail === "ann@example.com")
+
+  // Removing someone takes them off every device and keeps them out
+  const removed = waitFor(ann, "removed-from-room")
+  const participantRoute = `/api/admin/rooms/${roomCode}/participants/${annInfo.participantId}`
+  assert.equal((await admin(participantRoute, { method: "DELETE" })).status, 200)
+  assert.equal((await removed).by, "an administrator")
+  assert.deepEqual((await admin(`/api/admin/rooms/${roomCode}`)).body.data.removedEmails, ["ann@example.com"])
+  const annAgain = await server.connect(await server.issueToken("ann@example.com", roomCode))
+  t.after(() => annAgain.disconnect())
+  assert.equal((await request(annAgain, "join-room", { roomCode })).error.code, "JOIN_REJECTED")
+  assert.equal((await admin(participantRoute, { method: "DELETE" })).status, 404)
+
+  const announced = waitFor(host, "system-announcement")
+  const sent = await admin("/api/admin/announcements", { method: "POST", body: { message: "  Restart at 5pm " } })
+  assert.equal(sent.status, 200)
+  assert.equal((await announced).message, "Restart at 5pm")
+  assert.equal((await admin("/api/admin/announcements", { method: "POST", body: { message: " " } })).status, 400)
+  const nowhere = { message: "hi", roomCode: "NOSUCHROOM" }
+  assert.equal((await admin("/api/admin/announcements", { method: "POST", body: nowhere })).status, 404)
+
+  const ended = waitFor(host, "meeting-ended")
+  const closed = await admin(`/api/admin/rooms/${roomCode}/close`, { method: "POST" })
+  assert.equal(closed.status, 200)
+  assert.equal(closed.body.data.participantCount, 1)
+  assert.equal((await ended).by, "an administrator")
+  assert.equal((await admin("/api/admin/rooms/NOSUCHROOM/close", { method: "POST" })).status, 404)
+})
+
+test("server-wide settings are validated and apply to rooms created afterwards", async (t) => {
+  t.after(() => admin("/api/admin/settings", { method: "PATCH", body: { waitingRoomEnabled: false } }))
+
+  for (const body of [{ maxParticipants: 1 }, { waitingRoomEnabled: "yes" }, { theme: "dark" }]) {
+    assert.equal((await admin("/api/admin/settings", { method: "PATCH", body })).status, 400)
+  }
+
+  const { status, body } = await admin("/api/admin/settings", { method: "PATCH", body: { waitingRoomEnabled: true } })
+  assert.equal(status, 200)
+  assert.equal(body.data.waitingRoomEnabled, true)
+  assert.ok(body.data.updatedAt)
+  assert.equal((await admin("/api/admin/settings")).body.data.waitingRoomEnabled, true)
+
+  const { roomCode } = await createRoom()
+  assert.equal((await admin(`/api/admin/rooms/${roomCode}`)).body.data.waitingRoomEnabled, true)
+})
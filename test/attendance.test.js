@@ -0,0 +1,61 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+test("attendance counts each person's joins and reconnects, for hosts only, as JSON or CSV", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+  const route = `/api/room/${roomCode}/attendance`
+
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  await request(host, "join-room", { roomCode })
+
+  // Ann drops out once and comes back on a new connection
+  const annToken = await server.issueToken("ann@example.com", roomCode)
+  const firstTry = await server.connect(annToken)
+  await request(firstTry, "join-room", { roomCode })
+  const left = waitFor(host, "user-left")
+  firstTry.disconnect()
+  await left
+  const ann = await server.connect(annToken)
+  t.after(() => ann.disconnect())
+  await request(ann, "join-room", { roomCode })
+
+  const { status, body: report } = await server.api(route, { token })
+  assert.equal(status, 200)
+  const [session] = report.data.sessions
+  assert.equal(report.data.sessions.length, 1)
+  assert.equal(session.endedAt, null)
+  const annInSession = session.participants.find((person) => person.userEmail === "ann@example.com")
+  assert.equal(annInSession.joins, 2)
+  assert.equal(annInSession.reconnects, 1)
+  assert.equal(annInSession.isPresent, true)
+  assert.equal(annInSession.lastLeftAt, null)
+  assert.deepEqual(
+    report.data.participants.map((person) => person.userEmail).sort(),
+    ["ann@example.com", "host@example.com"],
+  )
+
+  const csv = await server.api(`${route}?format=csv&download=true`, { token })
+  assert.equal(csv.status, 200)
+  const [header, ...rows] = csv.body.trim().split("\r\n")
+  assert.equal(header, "session_id,session_started_at,email,first_joined_at,last_left_at,total_minutes,joins,reconnects,breakouts")
+  const annRow = rows.find((row) => row.includes(",ann@example.com,"))
+  assert.match(annRow, /,\(still in meeting\),[\d.]+,2,1,$/)
+
+  // Nothing happened before the meeting, and only hosts see who came
+  const earlier = await server.api(`${route}?to=2000-01-01T00:00:00Z`, { token })
+  assert.deepEqual(earlier.body.data.sessions, [])
+  assert.equal((await server.api(`${route}?format=xml`, { token })).status, 400)
+  assert.equal((await server.api(`${route}?from=yesterday`, { token })).status, 400)
+  assert.equal((await server.api(route, { token: annToken })).status, 403)
+  assert.equal((await server.api(route)).status, 401)
+  assert.equal((await server.api("/api/room/NOSUCHROOM/attendance", { token })).status, 404)
+})
@@ -0,0 +1,81 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// Join a room and return the acknowledgement's data
+const join = async (socket, roomCode) => {
+  const ack = await request(socket, "join-room", { roomCode })
+  assert.equal(ack.ok, true, JSON.stringify(ack.error))
+  return ack.data
+}
+
+const offer = { type: "offer", sdp: "v=0" }
+
+test("people moved into a breakout and back still get offers and private messages", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token: hostToken } = body.data
+
+  const host = await server.connect(hostToken)
+  const ann = await server.connect(await server.issueToken("ann@example.com", roomCode))
+  const bob = await server.connect(await server.issueToken("bob@example.com", roomCode))
+  t.after(() => [host, ann, bob].forEach((socket) => socket.disconnect()))
+
+  await join(host, roomCode)
+  await join(ann, roomCode)
+  await join(bob, roomCode)
+
+  const created = waitFor(host, "participants-update", (update) => update.breakouts?.rooms.length > 0)
+  await request(host, "create-breakouts", { count: 1 })
+  const breakoutCode = (await created).breakouts.rooms[0].code
+  await request(host, "assign-breakout", { userEmail: "ann@example.com", breakoutCode })
+  await request(host, "assign-breakout", { userEmail: "bob@example.com", breakoutCode })
+
+  const annMove = waitFor(ann, "breakout-move")
+  const bobMove = waitFor(bob, "breakout-move")
+  await request(host, "open-breakouts", { durationMinutes: null })
+  assert.equal((await annMove).roomCode, breakoutCode)
+  assert.equal((await bobMove).roomCode, breakoutCode)
+
+  // Ann arrives first; Bob is told about her when he joins
+  await join(ann, breakoutCode)
+  const inBreakout = await join(bob, breakoutCode)
+  const annId = inBreakout.participants.find((participant) => participant.userEmail === "ann@example.com").socketId
+
+  const offerToAnn = waitFor(ann, "offer")
+  bob.emit("offer", { offer, to: annId })
+  assert.equal((await offerToAnn).fromUser, "bob@example.com")
+
+  const messageToAnn = waitFor(ann, "private-message")
+  bob.emit("private-message", { message: "hi from the breakout", recipientEmail: "ann@example.com" })
+  assert.equal((await messageToAnn).message, "hi from the breakout")
+
+  // Closing the breakouts sends everyone back to the main room
+  const annBack = waitFor(ann, "breakout-move")
+  const bobBack = waitFor(bob, "breakout-move")
+  await request(host, "close-breakouts")
+  assert.equal((await annBack).roomCode, roomCode)
+  assert.equal((await bobBack).roomCode, roomCode)
+
+  await join(ann, roomCode)
+  const backInMain = await join(bob, roomCode)
+  const hostId = backInMain.participants.find((participant) => participant.userEmail === "host@example.com").socketId
+  const annMainId = backInMain.participants.find((participant) => participant.userEmail === "ann@example.com").socketId
+
+  const offerToHost = waitFor(host, "offer")
+  bob.emit("offer", { offer, to: hostId })
+  assert.equal((await offerToHost).fromUser, "bob@example.com")
+
+  const offerBackToAnn = waitFor(ann, "offer")
+  host.emit("offer", { offer, to: annMainId })
+  assert.equal((await offerBackToAnn).fromUser, "host@example.com")
+
+  const messageToBob = waitFor(bob, "private-message")
+  ann.emit("private-message", { message: "welcome back", recipientEmail: "bob@example.com" })
+  assert.equal((await messageToBob).message, "welcome back")
+})
@@ -0,0 +1,217 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// A meeting with everyone in emails joined, returning their tokens and sockets by email
+const startMeeting = async (t, emails, settings = {}) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: emails[0], settings } })
+  const { roomCode } = body.data
+
+  const people = {}
+  for (const [index, email] of emails.entries()) {
+    const token = index === 0 ? body.data.token : await server.issueToken(email, roomCode)
+    const socket = await server.connect(token)
+    t.after(() => socket.disconnect())
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+    people[email] = { token, socket }
+  }
+  return { roomCode, people }
+}
+
+const ATTACHMENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads", "attachments")
+
+const texts = (messages) => messages.map((message) => message.message)
+
+test("late joiners get the recent chat, and the message API pages through what each person may read", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com", "bob@example.com"], {
+    messageRetention: 4,
+  })
+  const host = people["host@example.com"].socket
+
+  for (const text of ["m1", "m2", "m3", "m4", "m5"]) {
+    assert.equal((await request(host, "chat-message", { message: text })).ok, true)
+  }
+  const ann = people["ann@example.com"].socket
+  assert.equal((await request(ann, "private-message", { message: "secret", recipientEmail: "bob@example.com" })).ok, true)
+
+  // Only the last four messages are kept, and the private one only for its sender and recipient
+  const carolToken = await server.issueToken("carol@example.com", roomCode)
+  const carol = await server.connect(carolToken)
+  t.after(() => carol.disconnect())
+  const history = waitFor(carol, "chat-history")
+  await request(carol, "join-room", { roomCode })
+  assert.deepEqual(texts((await history).messages), ["m3", "m4", "m5"])
+
+  const route = `/api/room/${roomCode}/messages`
+  const firstPage = await server.api(`${route}?limit=2`, { token: carolToken })
+  assert.deepEqual(texts(firstPage.body.data), ["m4", "m5"])
+  assert.ok(firstPage.body.nextCursor)
+  const secondPage = await server.api(`${route}?limit=2&before=${firstPage.body.nextCursor}`, { token: carolToken })
+  assert.deepEqual(texts(secondPage.body.data), ["m3"])
+  assert.equal(secondPage.body.nextCursor, null)
+
+  const forBob = await server.api(route, { token: people["bob@example.com"].token })
+  assert.deepEqual(texts(forBob.body.data), ["m3", "m4", "m5", "secret"])
+
+  assert.equal((await server.api(route)).status, 401)
+})
+
+test("transcripts are exported with formulas neutralised in CSV and markup escaped in HTML", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com"])
+  const { token, socket: host } = people["host@example.com"]
+
+  await request(host, "chat-message", { message: '=HYPERLINK("http://evil.example","click")' })
+  await request(host, "chat-message", { message: "<script>alert(1)</script>" })
+  await request(people["ann@example.com"].socket, "private-message", {
+    message: "just for you",
+    recipientEmail: "host@example.com",
+  })
+
+  const route = `/api/room/${roomCode}/transcript`
+  const csv = await server.api(`${route}?format=csv&timeZone=Asia/Tokyo`, { token })
+  assert.equal(csv.status, 200)
+  const rows = csv.body.trim().split("\r\n")
+  assert.equal(rows[0], "timestamp,local_time (Asia/Tokyo),type,sender,recipient,message")
+  assert.ok(rows.some((row) => row.endsWith(`"'=HYPERLINK(""http://evil.example"",""click"")"`)))
+  assert.ok(rows.some((row) => row.includes(",private,ann@example.com,host@example.com,just for you")))
+  assert.ok(rows.some((row) => row.includes(",join,host@example.com,")))
+
+  const html = await server.api(`${route}?format=html`, { token })
+  assert.equal(html.status, 200)
+  assert.ok(html.body.includes("&lt;script&gt;alert(1)&lt;/script&gt;"))
+  assert.ok(!html.body.includes("<script>"))
+
+  // Private threads are only in their sender's and recipient's exports, and only attendees get one
+  const forAnn = await server.api(`${route}?format=json`, { token: people["ann@example.com"].token })
+  assert.ok(forAnn.body.entries.some((entry) => entry.message === "just for you"))
+  const carolToken = await server.issueToken("carol@example.com", roomCode)
+  assert.equal((await server.api(route, { token: carolToken })).status, 403)
+  const carol = await server.connect(carolToken)
+  t.after(() => carol.disconnect())
+  await request(carol, "join-room", { roomCode })
+  const forCarol = await server.api(`${route}?format=json`, { token: carolToken })
+  assert.equal(forCarol.status, 200)
+  assert.ok(!forCarol.body.entries.some((entry) => entry.message === "just for you"))
+
+  assert.equal((await server.api(`${route}?format=pdf`, { token })).status, 400)
+  assert.equal((await server.api(`${route}?timeZone=Mars/Olympus`, { token })).status, 400)
+})
+
+test("messages take replies, reactions, edits and deletes, and private ones get read receipts", async (t) => {
+  const { people } = await startMeeting(t, ["host@example.com", "ann@example.com", "bob@example.com"])
+  const host = people["host@example.com"].socket
+  const ann = people["ann@example.com"].socket
+  const bob = people["bob@example.com"].socket
+
+  // Send a message and wait for it to come back to the sender
+  const send = async (socket, event, payload) => {
+    const received = waitFor(socket, event, (messageObj) => messageObj.message === payload.message)
+    assert.equal((await request(socket, event, payload)).ok, true)
+    return received
+  }
+  const updated = (socket, matches) => waitFor(socket, "message-updated", matches)
+
+  const question = await send(ann, "chat-message", { message: "Who has the slides?" })
+  const reply = await send(bob, "chat-message", { message: "I do", replyTo: question.id })
+  assert.deepEqual(reply.replyTo, { id: question.id, senderEmail: "ann@example.com", message: "Who has the slides?" })
+
+  const reacted = updated(ann, (messageObj) => messageObj.reactions["👍"]?.length === 2)
+  await request(host, "react-message", { messageId: reply.id, emoji: "👍" })
+  await request(ann, "react-message", { messageId: reply.id, emoji: "👍" })
+  assert.deepEqual((await reacted).reactions["👍"], ["host@example.com", "ann@example.com"])
+  const unreacted = updated(ann, (messageObj) => messageObj.id === reply.id && !messageObj.reactions["👍"]?.includes("ann@example.com"))
+  await request(ann, "react-message", { messageId: reply.id, emoji: "👍" })
+  assert.deepEqual((await unreacted).reactions, { "👍": ["host@example.com"] })
+  assert.match((await request(ann, "react-message", { messageId: reply.id, emoji: "no way" })).error.message, /Invalid reaction/)
+
+  const edited = updated(host, (messageObj) => messageObj.editedAt)
+  assert.equal((await request(bob, "edit-message", { messageId: reply.id, message: "I do, sharing now" })).ok, true)
+  assert.equal((await edited).message, "I do, sharing now")
+  assert.match((await request(ann, "edit-message", { messageId: reply.id, message: "mine now" })).error.message, /your own messages/)
+  assert.match((await request(ann, "delete-message", { messageId: reply.id })).error.message, /your own messages/)
+
+  // Hosts delete anyone's group message, leaving a tombstone
+  const deleted = updated(ann, (messageObj) => messageObj.deletedAt)
+  assert.equal((await request(host, "delete-message", { messageId: question.id })).ok, true)
+  const tombstone = await deleted
+  assert.equal(tombstone.message, "")
+  assert.equal(tombstone.deletedBy, "host@example.com")
+
+  // Typing in a private chat only reaches its recipient
+  const typing = waitFor(bob, "user-typing")
+  let hostSawTyping = false
+  host.on("user-typing", () => (hostSawTyping = true))
+  await request(ann, "typing", { isTyping: true, recipientEmail: "bob@example.com" })
+  assert.deepEqual(await typing, { userEmail: "ann@example.com", isTyping: true, isPrivate: true })
+
+  const dm = await send(ann, "private-message", { message: "call me", recipientEmail: "bob@example.com" })
+  assert.equal(dm.readAt, null)
+  await request(ann, "mark-read", { messageId: dm.id })
+  const read = updated(ann, (messageObj) => messageObj.id === dm.id && messageObj.readAt)
+  await request(bob, "mark-read", { messageId: dm.id })
+  assert.ok(await read)
+  assert.match((await request(host, "mark-read", { messageId: dm.id })).error.message, /not found/)
+  assert.equal(hostSawTyping, false)
+})
+
+test("files shared in chat must be an allowed type and only reach the people they were shared with", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com", "bob@example.com"])
+  const host = people["host@example.com"]
+  const ann = people["ann@example.com"]
+  const route = `/api/room/${roomCode}/attachments`
+  t.after(() => fs.rmSync(path.join(ATTACHMENTS_DIR, roomCode), { recursive: true, force: true }))
+
+  const share = (token, name, type, fields = {}) => {
+    const form = new FormData()
+    form.append("file", new Blob(["hello, file"], { type }), name)
+    for (const [key, value] of Object.entries(fields)) form.append(key, value)
+    return fetch(server.url + route, { method: "POST", headers: { Authorization: `Bearer ${token}` }, body: form })
+  }
+  const download = (attachment, token) =>
+    fetch(server.url + attachment.url, { headers: { Authorization: `Bearer ${token}` } })
+
+  const announced = waitFor(people["bob@example.com"].socket, "chat-message", (messageObj) => messageObj.attachment)
+  const shared = await share(ann.token, "../notes.txt", "text/plain", { message: "agenda attached" })
+  assert.equal(shared.status, 201)
+  const { attachment } = (await shared.json()).data
+  const messageObj = await announced
+  assert.equal(messageObj.message, "agenda attached")
+  assert.deepEqual(messageObj.attachment, attachment)
+  assert.equal(attachment.name, "notes.txt")
+
+  const fetched = await download(attachment, people["bob@example.com"].token)
+  assert.equal(fetched.status, 200)
+  assert.equal(fetched.headers.get("X-Content-Type-Options"), "nosniff")
+  assert.match(fetched.headers.get("Content-Disposition"), /^attachment; filename="notes.txt"/)
+  assert.equal(await fetched.text(), "hello, file")
+
+  // Only allowed types, with an extension that matches
+  assert.equal((await share(ann.token, "setup.exe", "application/x-msdownload")).status, 415)
+  assert.equal((await share(ann.token, "photo.png", "text/plain")).status, 415)
+
+  // Someone with a token for the meeting who hasn't joined can't share or download
+  const carolToken = await server.issueToken("carol@example.com", roomCode)
+  assert.equal((await share(carolToken, "notes.txt", "text/plain")).status, 403)
+  assert.equal((await download(attachment, carolToken)).status, 403)
+
+  const privately = await share(host.token, "plan.txt", "text/plain", { recipientEmail: "ann@example.com" })
+  const secret = (await privately.json()).data
+  assert.equal((await download(secret.attachment, ann.token)).status, 200)
+  assert.equal((await download(secret.attachment, people["bob@example.com"].token)).status, 403)
+
+  // Deleting the message removes the file
+  for (const sharedMessage of [messageObj, secret.message]) {
+    assert.equal((await request(host.socket, "delete-message", { messageId: sharedMessage.id })).ok, true)
+  }
+  assert.equal((await download(attachment, ann.token)).status, 404)
+  assert.equal((await download(secret.attachment, ann.token)).status, 404)
+})
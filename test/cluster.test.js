@@ -0,0 +1,167 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { ADMIN_TOKEN, request, sleep, startServer, waitFor } from "./helpers.js"
+
+// Two workers behind cluster.js: sockets are spread over both, so writes to the same
+// meeting arrive through different workers at the same moment
+
+let server
+before(async () => {
+  server = await startServer({ workers: 2 })
+})
+after(() => server?.stop())
+
+// Everyone in a fresh meeting, joined at the same time
+const startMeeting = async (t, count) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token: hostToken } = body.data
+
+  const emails = Array.from({ length: count - 1 }, (_, index) => `person${index + 1}@example.com`)
+  const tokens = [hostToken, ...(await Promise.all(emails.map((email) => server.issueToken(email, roomCode))))]
+
+  // One at a time, so the primary spreads them over the workers by connection count
+  const sockets = []
+  for (const token of tokens) {
+    sockets.push(await server.connect(token))
+  }
+  t.after(() => sockets.forEach((socket) => socket.disconnect()))
+
+  const acks = await Promise.all(sockets.map((socket) => request(socket, "join-room", { roomCode })))
+  acks.forEach((ack) => assert.equal(ack.ok, true, JSON.stringify(ack.error)))
+
+  return { roomCode, hostToken, sockets }
+}
+
+// Ask a few times, so both workers get to answer
+const fetchFromEveryWorker = async (route, token) => {
+  const responses = []
+  for (let attempt = 0; attempt < 4; attempt++) {
+    responses.push(await server.api(route, { token }))
+  }
+  return responses
+}
+
+test("chat messages sent through different workers at the same moment are all kept", async (t) => {
+  const { roomCode, hostToken, sockets } = await startMeeting(t, 4)
+
+  // A burst of messages from everyone; each person sees all of them live
+  const sent = sockets.flatMap((_, person) => Array.from({ length: 5 }, (_, index) => `message ${person}-${index}`))
+  const delivered = sockets.map((socket) => {
+    let seen = 0
+    return waitFor(socket, "chat-message", () => ++seen === sent.length)
+  })
+  for (let index = 0; index < 5; index++) {
+    sockets.forEach((socket, person) => socket.emit("chat-message", { message: `message ${person}-${index}` }))
+  }
+  await Promise.all(delivered)
+  await sleep(200)
+
+  for (const { status, body } of await fetchFromEveryWorker(`/api/room/${roomCode}/messages?limit=100`, hostToken)) {
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.map((message) => message.message).sort(), sent.sort())
+  }
+
+  for (const { body } of await fetchFromEveryWorker(`/api/room/${roomCode}/transcript?format=json`, hostToken)) {
+    const texts = body.entries.filter((entry) => entry.message?.startsWith("message ")).map((entry) => entry.message)
+    assert.deepEqual(texts.sort(), sent.sort())
+  }
+})
+
+test("joins through different workers at the same moment all reach the attendance report", async (t) => {
+  const { roomCode, hostToken } = await startMeeting(t, 4)
+  await sleep(200)
+
+  for (const { status, body } of await fetchFromEveryWorker(`/api/room/${roomCode}/attendance`, hostToken)) {
+    assert.equal(status, 200)
+    assert.equal(body.data.participants.length, 4)
+    body.data.participants.forEach((person) => assert.equal(person.joins, 1))
+  }
+})
+
+test("edits made on one worker don't undo messages appended on another", async (t) => {
+  const { roomCode, hostToken, sockets } = await startMeeting(t, 2)
+  const [host, guest] = sockets
+
+  const first = waitFor(guest, "chat-message")
+  host.emit("chat-message", { message: "first" })
+  const { id } = await first
+
+  // The reaction (on the host's worker) and the new message (on the other) race each other
+  const delivered = waitFor(host, "chat-message", (message) => message.message === "second")
+  host.emit("react-message", { messageId: id, emoji: "👍" })
+  guest.emit("chat-message", { message: "second" })
+  await delivered
+  await sleep(200)
+
+  for (const { body } of await fetchFromEveryWorker(`/api/room/${roomCode}/messages`, hostToken)) {
+    assert.deepEqual(
+      body.data.map((message) => message.message),
+      ["first", "second"],
+    )
+    assert.deepEqual(body.data[0].reactions, { "👍": ["host@example.com"] })
+  }
+})
+
+test("hands raised through different workers at the same moment are all kept", async (t) => {
+  const { roomCode, sockets } = await startMeeting(t, 4)
+
+  sockets.forEach((socket) => socket.emit("raise-hand"))
+  await sleep(300)
+
+  for (const { status, body } of await fetchFromEveryWorker(`/api/admin/rooms/${roomCode}`, ADMIN_TOKEN)) {
+    assert.equal(status, 200)
+    const raised = body.data.participants.filter((person) => person.handRaisedAt)
+    assert.equal(raised.length, 4)
+  }
+})
+
+test("poll votes and question upvotes cast through different workers at the same moment are all kept", async (t) => {
+  const { roomCode, hostToken, sockets } = await startMeeting(t, 4)
+  const [host, ...others] = sockets
+
+  const created = waitFor(host, "poll-updated")
+  host.emit("create-poll", { question: "Lunch?", options: ["Pizza", "Salad"] })
+  const { id: pollId } = await created
+  const opened = sockets.map((socket) => waitFor(socket, "poll-updated", (poll) => poll.status === "open"))
+  host.emit("open-poll", { pollId })
+  await Promise.all(opened)
+
+  const asked = sockets.map((socket) => waitFor(socket, "question-updated"))
+  host.emit("submit-question", { text: "When do we ship?" })
+  const [{ id: questionId }] = await Promise.all(asked)
+
+  sockets.forEach((socket, index) => socket.emit("vote-poll", { pollId, optionIds: [String(index % 2)] }))
+  others.forEach((socket) => socket.emit("upvote-question", { questionId }))
+  await sleep(300)
+
+  for (const { body } of await fetchFromEveryWorker(`/api/room/${roomCode}/polls`, hostToken)) {
+    assert.equal(body.data[0].voterCount, 4)
+  }
+  for (const { body } of await fetchFromEveryWorker(`/api/room/${roomCode}/questions`, hostToken)) {
+    assert.equal(body.data[0].upvotes.length, 3)
+  }
+})
+
+test("a breakout countdown from an earlier round doesn't close a round opened on another worker", async (t) => {
+  const { roomCode, hostToken, sockets } = await startMeeting(t, 3)
+  const [host] = sockets
+
+  // The host's second device lands on the other worker
+  const secondDevice = await server.connect(hostToken)
+  t.after(() => secondDevice.disconnect())
+  assert.equal((await request(secondDevice, "join-room", { roomCode })).ok, true)
+
+  // A short round opened on one worker, closed early on the other, then a new round without a countdown.
+  // The countdown leaves room for the steps in between on a busy machine
+  await request(host, "create-breakouts", { count: 1 })
+  const countdownEndsAt = Date.now() + 3000
+  await request(host, "open-breakouts", { durationMinutes: 0.05 })
+  assert.equal((await request(secondDevice, "close-breakouts")).ok, true)
+  await request(secondDevice, "create-breakouts", { count: 1 })
+  assert.equal((await request(secondDevice, "open-breakouts", { durationMinutes: null })).ok, true)
+
+  // Past the first round's countdown, the second round is still open
+  await sleep(countdownEndsAt + 1000 - Date.now())
+  const { body } = await server.api(`/api/admin/rooms/${roomCode}`, { token: ADMIN_TOKEN })
+  assert.equal(body.data.breakoutStatus, "open")
+})
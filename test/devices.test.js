@@ -0,0 +1,84 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { ADMIN_TOKEN, request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// Create a meeting and join its host
+const startMeeting = async (t, ownerEmail) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail } })
+  const { roomCode, token } = body.data
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  assert.equal((await request(host, "join-room", { roomCode })).ok, true)
+  return { roomCode, host }
+}
+
+// Another device for someone, joined to a meeting
+const joinDevice = async (t, email, roomCode) => {
+  const socket = await server.connect(await server.issueToken(email, roomCode))
+  t.after(() => socket.disconnect())
+  assert.equal((await request(socket, "join-room", { roomCode })).data.status, "joined")
+  return socket
+}
+
+test("someone on several devices is one participant, and leaves with their last device", async (t) => {
+  const { roomCode, host } = await startMeeting(t, "host@example.com")
+
+  const laptop = await joinDevice(t, "ann@example.com", roomCode)
+  const listed = waitFor(host, "participants-update", (update) => update.participants[1]?.devices.length === 2)
+  const phone = await joinDevice(t, "ann@example.com", roomCode)
+  const update = await listed
+  assert.equal(update.count, 2)
+  assert.deepEqual(
+    update.participants[1].devices.map((device) => device.socketId),
+    [laptop.id, phone.id],
+  )
+
+  const phoneLeft = waitFor(host, "user-left")
+  phone.disconnect()
+  const { userEmail, deviceCount } = await phoneLeft
+  assert.equal(userEmail, "ann@example.com")
+  assert.equal(deviceCount, 1)
+  const room = await server.api(`/api/admin/rooms/${roomCode}`, { token: ADMIN_TOKEN })
+  assert.equal(room.body.data.participantCount, 2)
+  assert.equal(room.body.data.deviceCount, 2)
+
+  const laptopLeft = waitFor(host, "user-left")
+  laptop.disconnect()
+  assert.equal((await laptopLeft).deviceCount, 0)
+})
+
+test("private messages reach every device of the recipient in that meeting, and none elsewhere", async (t) => {
+  const { roomCode, host } = await startMeeting(t, "host@example.com")
+  const other = await startMeeting(t, "other@example.com")
+
+  const devices = [await joinDevice(t, "ann@example.com", roomCode), await joinDevice(t, "ann@example.com", roomCode)]
+  const elsewhere = await joinDevice(t, "ann@example.com", other.roomCode)
+  const hostTablet = await joinDevice(t, "host@example.com", roomCode)
+
+  let leaked = false
+  elsewhere.on("private-message", () => (leaked = true))
+  const isNote = (messageObj) => messageObj.message === "just for ann"
+  const delivered = [...devices, hostTablet].map((socket) => waitFor(socket, "private-message", isNote))
+
+  const sent = await request(host, "private-message", { message: "just for ann", recipientEmail: "ann@example.com" })
+  assert.equal(sent.ok, true)
+  for (const messageObj of await Promise.all(delivered)) {
+    assert.equal(messageObj.recipientEmail, "ann@example.com")
+  }
+
+  // Typing in the private chat also reaches both of the recipient's devices
+  const typing = devices.map((socket) => waitFor(socket, "user-typing"))
+  await request(host, "typing", { isTyping: true, recipientEmail: "ann@example.com" })
+  await Promise.all(typing)
+
+  // Nobody in the other meeting is a recipient in this one
+  const crossed = await request(other.host, "private-message", { message: "hello", recipientEmail: "host@example.com" })
+  assert.equal(crossed.error.message, "Recipient not found")
+  assert.equal(leaked, false)
+})
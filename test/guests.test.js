@@ -0,0 +1,51 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer({ env: { ALLOW_GUEST_JOIN: "true" } })
+})
+after(() => server?.stop())
+
+// A guest token as the join page gets one: no admin token, just an email typed in
+const issueGuestToken = async (email, roomCode) => {
+  const { status, body } = await server.api("/api/join-tokens", { method: "POST", body: { email, roomCode } })
+  return { status, token: body.data?.token }
+}
+
+test("a second guest can't take the email another guest was admitted with", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  await request(host, "join-room", { roomCode })
+  assert.equal((await request(host, "update-waiting-room", { enabled: true })).ok, true)
+
+  // Both guests ask for a token before either has joined
+  const first = await issueGuestToken("visitor@example.com", roomCode)
+  const second = await issueGuestToken("visitor@example.com", roomCode)
+  assert.equal(first.status, 201)
+  assert.equal(second.status, 201)
+
+  const visitor = await server.connect(first.token)
+  t.after(() => visitor.disconnect())
+  const waiting = waitFor(host, "lobby-update", (update) => update.waiting.length === 1)
+  assert.equal((await request(visitor, "join-room", { roomCode })).data.status, "waiting")
+  await waiting
+
+  const admitted = waitFor(visitor, "lobby-admitted")
+  assert.equal((await request(host, "admit-user", { socketId: visitor.id })).ok, true)
+  await admitted
+  assert.equal((await request(visitor, "join-room", { roomCode })).ok, true)
+
+  // The other guest with the same email is neither let past the lobby nor given a new token
+  const impostor = await server.connect(second.token)
+  t.after(() => impostor.disconnect())
+  const rejected = await request(impostor, "join-room", { roomCode })
+  assert.equal(rejected.ok, false)
+  assert.equal(rejected.error.code, "JOIN_REJECTED")
+
+  assert.equal((await issueGuestToken("visitor@example.com", roomCode)).status, 403)
+})
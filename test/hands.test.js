@@ -0,0 +1,74 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// A meeting with its host and the given people in it
+const startMeeting = async (t, emails) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  const others = []
+  for (const email of emails) {
+    others.push(await server.connect(await server.issueToken(email, roomCode)))
+  }
+  t.after(() => [host, ...others].forEach((socket) => socket.disconnect()))
+
+  for (const socket of [host, ...others]) {
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+  }
+  return { roomCode, host, others }
+}
+
+// Next participants update whose speaking queue is the given people, in order
+const queueOf = (socket, emails) =>
+  waitFor(socket, "participants-update", (update) =>
+    update.speakingQueue.map((entry) => entry.userEmail).join() === emails.join(),
+  )
+
+test("raised hands form a speaking queue in the order they went up", async (t) => {
+  const { host, others } = await startMeeting(t, ["ann@example.com", "bob@example.com"])
+  const [ann, bob] = others
+
+  const bothRaised = queueOf(host, ["ann@example.com", "bob@example.com"])
+  await request(ann, "raise-hand")
+  await request(bob, "raise-hand")
+  const update = await bothRaised
+  const annEntry = update.participants.find((participant) => participant.userEmail === "ann@example.com")
+  assert.equal(annEntry.handRaisedAt, update.speakingQueue[0].raisedAt)
+
+  // Raising again keeps your place, and only moderators lower someone else's hand
+  await request(ann, "raise-hand")
+  assert.match((await request(bob, "lower-hand", { targetEmail: "ann@example.com" })).error.message, /host or a co-host/)
+  const bobFirst = queueOf(host, ["bob@example.com"])
+  assert.equal((await request(host, "lower-hand", { targetEmail: "ann@example.com" })).ok, true)
+  await bobFirst
+
+  const annBack = queueOf(host, ["bob@example.com", "ann@example.com"])
+  await request(ann, "raise-hand")
+  await annBack
+
+  assert.equal((await request(ann, "clear-hands")).error.code, "FORBIDDEN")
+  const cleared = queueOf(bob, [])
+  assert.equal((await request(host, "clear-hands")).ok, true)
+  await cleared
+})
+
+test("meeting reactions reach everyone and only take the offered emoji", async (t) => {
+  const { host, others } = await startMeeting(t, ["ann@example.com"])
+  const [ann] = others
+
+  const reaction = waitFor(host, "meeting-reaction")
+  assert.equal((await request(ann, "send-reaction", { emoji: "🎉" })).ok, true)
+  const { userEmail, emoji, at } = await reaction
+  assert.deepEqual({ userEmail, emoji }, { userEmail: "ann@example.com", emoji: "🎉" })
+  assert.ok(!Number.isNaN(Date.parse(at)))
+
+  assert.match((await request(ann, "send-reaction", { emoji: "💩" })).error.message, /Invalid reaction/)
+})
@@ -0,0 +1,136 @@
+import { spawn } from "child_process"
+import net from "net"
+import path from "path"
+import { fileURLToPath } from "url"
+import { io } from "socket.io-client"
+
+// Integration test helpers: every test file starts its own server (or cluster) on a free port,
+// talks to it over HTTP and Socket.IO like the meeting page does, and stops it afterwards
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..")
+export const ADMIN_TOKEN = "test-admin-token"
+
+// Ask the OS for a port nobody is listening on
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer()
+    probe.once("error", reject)
+    probe.listen(0, () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+
+// Start server.js, or cluster.js with that many workers, and wait until it takes connections
+export const startServer = async ({ workers = 0, env = {} } = {}) => {
+  const port = await getFreePort()
+  const child = spawn(process.execPath, [workers ? "cluster.js" : "server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ADMIN_TOKEN,
+      JOIN_TOKEN_SECRET: "test-join-token-secret",
+      STORAGE_DRIVER: "memory",
+      CLUSTER_WORKERS: String(workers || 1),
+      // Tests create many meetings and tokens quickly; rate limit tests turn it back on
+      RATE_LIMIT_ENABLED: "false",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  })
+
+  let output = ""
+  const isReady = () =>
+    workers
+      ? /cluster running on port/.test(output) && (output.match(/Worker \d+ ready/g) || []).length >= workers
+      : /server running on port/.test(output)
+
+  await new Promise((resolve, reject) => {
+    const fail = (message) => {
+      clearTimeout(timer)
+      child.kill()
+      reject(new Error(`${message}:\n${output}`))
+    }
+    const timer = setTimeout(() => fail("Server did not start in time"), 20000)
+    const onOutput = (chunk) => {
+      output += chunk
+      if (isReady()) {
+        clearTimeout(timer)
+        child.off("exit", onExit)
+        resolve()
+      }
+    }
+    const onExit = (code) => fail(`Server exited with code ${code}`)
+    child.stdout.on("data", onOutput)
+    child.stderr.on("data", onOutput)
+    child.once("exit", onExit)
+  })
+
+  const url = `http://localhost:${port}`
+  return {
+    url,
+    // Call the HTTP API, returning the status and parsed JSON body
+    async api(route, { method = "GET", token, body } = {}) {
+      const response = await fetch(url + route, {
+        method,
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      })
+      const isJson = (response.headers.get("content-type") || "").includes("json")
+      return { status: response.status, body: isJson ? await response.json() : await response.text() }
+    },
+    // Sign a verified join token for someone, as an external system would
+    async issueToken(email, roomCode) {
+      const { body } = await this.api("/api/join-tokens", { method: "POST", token: ADMIN_TOKEN, body: { email, roomCode } })
+      return body.data.token
+    },
+    // Open a socket with a join token and wait until it is connected
+    async connect(token) {
+      const socket = io(url, { forceNew: true, reconnection: false, timeout: 5000, auth: { token } })
+      try {
+        await new Promise((resolve, reject) => {
+          socket.once("connect", resolve)
+          socket.once("connect_error", reject)
+        })
+      } catch (error) {
+        socket.close()
+        throw error
+      }
+      return socket
+    },
+    stop() {
+      return new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve()
+        child.once("exit", () => resolve())
+        child.kill("SIGTERM")
+      })
+    },
+  }
+}
+
+// Wait for the next `event` on a socket whose data passes `matches`
+export const waitFor = (socket, event, matches = () => true, timeoutMs = 5000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener)
+      reject(new Error(`Timed out waiting for "${event}"`))
+    }, timeoutMs)
+    const listener = (data) => {
+      if (!matches(data)) return
+      clearTimeout(timer)
+      socket.off(event, listener)
+      resolve(data)
+    }
+    socket.on(event, listener)
+  })
+
+// Send an event and resolve with its acknowledgement
+export const request = (socket, event, payload = {}) =>
+  new Promise((resolve) => socket.emit(event, payload, resolve))
+
+// Resolve after ms milliseconds
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
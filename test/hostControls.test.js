@@ -0,0 +1,74 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// A meeting with its host and the given people in it, with their socket ids
+const startMeeting = async (t, emails) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  const others = []
+  for (const email of emails) {
+    others.push(await server.connect(await server.issueToken(email, roomCode)))
+  }
+  t.after(() => [host, ...others].forEach((socket) => socket.disconnect()))
+
+  for (const socket of [host, ...others]) {
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+  }
+  return { roomCode, host, others }
+}
+
+test("only hosts and co-hosts can mute, and muting reaches the participant", async (t) => {
+  const { host, others } = await startMeeting(t, ["ann@example.com", "bob@example.com"])
+  const [ann, bob] = others
+
+  const refused = await request(ann, "mute-participant", { targetSocketId: bob.id })
+  assert.equal(refused.error.code, "FORBIDDEN")
+  assert.match(refused.error.message, /host or a co-host/)
+
+  const muted = waitFor(bob, "force-mute")
+  assert.equal((await request(host, "mute-participant", { targetSocketId: bob.id, type: "video" })).ok, true)
+  assert.deepEqual(await muted, { type: "video", by: "host@example.com" })
+
+  // A co-host gets the same control, but only the host hands out roles
+  assert.equal((await request(host, "set-cohost", { targetEmail: "ann@example.com", isCoHost: true })).ok, true)
+  const mutedByAnn = waitFor(bob, "force-mute")
+  assert.equal((await request(ann, "mute-participant", { targetSocketId: bob.id })).ok, true)
+  assert.equal((await mutedByAnn).by, "ann@example.com")
+  assert.match((await request(ann, "set-cohost", { targetEmail: "bob@example.com", isCoHost: true })).error.message, /Only the host/)
+})
+
+test("a removed participant is disconnected and can't come back, and a locked room takes nobody new", async (t) => {
+  const { roomCode, host, others } = await startMeeting(t, ["ann@example.com"])
+  const [ann] = others
+
+  // Nobody removes the host
+  assert.equal((await request(host, "set-cohost", { targetEmail: "ann@example.com", isCoHost: true })).ok, true)
+  assert.match((await request(ann, "remove-participant", { targetSocketId: host.id })).error.message, /host cannot be removed/)
+  assert.equal((await request(host, "set-cohost", { targetEmail: "ann@example.com", isCoHost: false })).ok, true)
+
+  const removed = waitFor(ann, "removed-from-room")
+  const disconnected = waitFor(ann, "disconnect")
+  assert.equal((await request(host, "remove-participant", { targetSocketId: ann.id })).ok, true)
+  assert.equal((await removed).by, "host@example.com")
+  await disconnected
+
+  const annAgain = await server.connect(await server.issueToken("ann@example.com", roomCode))
+  t.after(() => annAgain.disconnect())
+  assert.equal((await request(annAgain, "join-room", { roomCode })).error.code, "JOIN_REJECTED")
+
+  assert.equal((await request(host, "lock-room", { locked: true })).ok, true)
+  const carol = await server.connect(await server.issueToken("carol@example.com", roomCode))
+  t.after(() => carol.disconnect())
+  const locked = await request(carol, "join-room", { roomCode })
+  assert.equal(locked.error.code, "JOIN_REJECTED")
+  assert.match(locked.error.message, /locked/)
+})
@@ -0,0 +1,61 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import { startServer } from "./helpers.js"
+
+const TURN_SECRET = "test-turn-secret"
+const TURN_URLS = ["turn:turn.example.com:3478?transport=udp", "turns:turn.example.com:5349"]
+
+let server
+before(async () => {
+  server = await startServer({
+    env: {
+      TURN_URLS: TURN_URLS.join(", "),
+      TURN_SECRET,
+      TURN_CREDENTIAL_TTL_SECONDS: "600",
+      STUN_URLS: "stun:stun.example.com",
+    },
+  })
+})
+after(() => server?.stop())
+
+test("join token holders get short-lived TURN credentials coturn can check", async () => {
+  const token = await server.issueToken("ann@example.com", null)
+  const response = await fetch(`${server.url}/api/ice-config`, { headers: { Authorization: `Bearer ${token}` } })
+  assert.equal(response.status, 200)
+  assert.equal(response.headers.get("Cache-Control"), "no-store")
+
+  const { data } = await response.json()
+  const [stun, turn] = data.iceServers
+  assert.deepEqual(stun, { urls: ["stun:stun.example.com"] })
+  assert.deepEqual(turn.urls, TURN_URLS)
+  assert.equal(data.iceTransportPolicy, "all")
+  assert.equal(data.ttl, 600)
+
+  // coturn's REST API scheme: "<expiry>:<user>" signed with the shared secret
+  const [expiry, user] = turn.username.split(":")
+  assert.equal(user, "ann@example.com")
+  assert.equal(Number(expiry), Date.parse(data.expiresAt) / 1000)
+  assert.ok(Math.abs(Number(expiry) - (Date.now() / 1000 + 600)) < 60)
+  assert.equal(turn.credential, crypto.createHmac("sha1", TURN_SECRET).update(turn.username).digest("base64"))
+
+  const relayOnly = await server.api("/api/ice-config?relay=true", { token })
+  assert.equal(relayOnly.body.data.iceTransportPolicy, "relay")
+
+  assert.equal((await server.api("/api/ice-config")).status, 401)
+  assert.equal((await server.api("/api/ice-config", { token: "not-a-token" })).status, 401)
+})
+
+test("without a TURN server only STUN is offered and relay-only is refused", async (t) => {
+  const stunOnly = await startServer()
+  t.after(() => stunOnly.stop())
+  const token = await stunOnly.issueToken("ann@example.com", null)
+
+  const { status, body } = await stunOnly.api("/api/ice-config", { token })
+  assert.equal(status, 200)
+  assert.equal(body.data.iceServers.length, 1)
+  assert.ok(body.data.iceServers.every((iceServer) => !iceServer.credential))
+  assert.equal(body.data.expiresAt, null)
+
+  assert.equal((await stunOnly.api("/api/ice-config?relay=true", { token })).status, 409)
+})
@@ -0,0 +1,35 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { startServer } from "./helpers.js"
+
+// An old "<file>.webm.json" sidecar next to the recordings, as earlier versions wrote them
+const RECORDINGS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads", "recordings")
+const filename = `recording-legacy-import-test-${process.pid}.webm`
+const sidecar = path.join(RECORDINGS_DIR, `${filename}.json`)
+
+let server
+before(async () => {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true })
+  fs.writeFileSync(
+    sidecar,
+    JSON.stringify({ roomCode: "LEGACY", userEmail: "legacy@example.com", uploadedAt: new Date().toISOString() }),
+  )
+  server = await startServer({ workers: 2 })
+})
+after(async () => {
+  await server?.stop()
+  fs.rmSync(sidecar, { force: true })
+})
+
+test("old recording metadata is imported once, however many workers start", async () => {
+  const token = await server.issueToken("legacy@example.com", null)
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const { status, body } = await server.api("/api/recordings", { token })
+    assert.equal(status, 200)
+    assert.equal(body.data.filter((recording) => recording.filename === filename).length, 1)
+  }
+})
@@ -0,0 +1,77 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+const LOBBY_TIMEOUT_MS = 1500
+
+let server
+before(async () => {
+  server = await startServer({ env: { LOBBY_TIMEOUT_MS: String(LOBBY_TIMEOUT_MS) } })
+})
+after(() => server?.stop())
+
+// A meeting with the waiting room on and its host in it
+const startMeeting = async (t) => {
+  const { body } = await server.api("/api/rooms", {
+    method: "POST",
+    body: { ownerEmail: "host@example.com", settings: { waitingRoomEnabled: true } },
+  })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  assert.equal((await request(host, "join-room", { roomCode })).data.status, "joined")
+  return { roomCode, host }
+}
+
+// Connect someone and ask to join, expecting to wait
+const knock = async (t, email, roomCode) => {
+  const socket = await server.connect(await server.issueToken(email, roomCode))
+  t.after(() => socket.disconnect())
+  const waiting = waitFor(socket, "waiting-for-host")
+  assert.equal((await request(socket, "join-room", { roomCode })).data.status, "waiting")
+  await waiting
+  return socket
+}
+
+test("hosts see who is waiting and admit or deny them", async (t) => {
+  const { roomCode, host } = await startMeeting(t)
+
+  const listed = waitFor(host, "lobby-update", (update) => update.waiting.length === 2)
+  const ann = await knock(t, "ann@example.com", roomCode)
+  const bob = await knock(t, "bob@example.com", roomCode)
+  assert.deepEqual(
+    (await listed).waiting.map((entry) => entry.userEmail),
+    ["ann@example.com", "bob@example.com"],
+  )
+
+  const denied = waitFor(bob, "lobby-denied")
+  assert.equal((await request(host, "deny-user", { socketId: bob.id })).ok, true)
+  await denied
+
+  // Admitted people repeat join-room and get the normal join
+  const admitted = waitFor(ann, "lobby-admitted")
+  assert.equal((await request(host, "admit-user", { socketId: ann.id })).ok, true)
+  assert.equal((await admitted).roomCode, roomCode)
+  const announced = waitFor(host, "user-joined")
+  const joined = await request(ann, "join-room", { roomCode })
+  assert.equal(joined.data.status, "joined")
+  assert.equal((await announced).userEmail, "ann@example.com")
+
+  // Someone no longer waiting can't be admitted
+  assert.match((await request(host, "admit-user", { socketId: bob.id })).error.message, /no longer waiting/)
+})
+
+test("admit all lets everyone in, and nobody waits forever", async (t) => {
+  const { roomCode, host } = await startMeeting(t)
+
+  const ann = await knock(t, "ann@example.com", roomCode)
+  const bob = await knock(t, "bob@example.com", roomCode)
+  const admitted = [waitFor(ann, "lobby-admitted"), waitFor(bob, "lobby-admitted")]
+  assert.equal((await request(host, "admit-all")).ok, true)
+  await Promise.all(admitted)
+
+  const carol = await knock(t, "carol@example.com", roomCode)
+  const timedOut = await waitFor(carol, "lobby-timeout", () => true, LOBBY_TIMEOUT_MS + 3000)
+  assert.match(timedOut.message, /No host admitted you/)
+})
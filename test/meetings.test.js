@@ -0,0 +1,118 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { ADMIN_TOKEN, startServer } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// Schedule a meeting an hour from now and return the response data
+const schedule = async (ownerEmail, invitees = []) => {
+  const start = Date.now() + 60 * 60 * 1000
+  const { status, body } = await server.api("/api/meetings", {
+    method: "POST",
+    body: {
+      title: "Planning",
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(start + 30 * 60 * 1000).toISOString(),
+      ownerEmail,
+      invitees,
+    },
+  })
+  assert.equal(status, 201)
+  return body.data
+}
+
+test("only the owner or an admin can update or cancel a meeting", async () => {
+  const meeting = await schedule("owner@example.com")
+  const route = `/api/meetings/${meeting.id}`
+  const intruder = await server.issueToken("intruder@example.com", meeting.roomCode)
+
+  assert.equal((await server.api(route, { method: "PATCH", body: { title: "Mine now" } })).status, 401)
+  assert.equal((await server.api(route, { method: "PATCH", token: intruder, body: { title: "Mine now" } })).status, 403)
+  assert.equal((await server.api(route, { method: "DELETE", token: intruder })).status, 403)
+
+  const updated = await server.api(route, { method: "PATCH", token: meeting.token, body: { title: "Planning v2" } })
+  assert.equal(updated.status, 200)
+  assert.equal(updated.body.data.title, "Planning v2")
+
+  const cancelled = await server.api(route, { method: "DELETE", token: ADMIN_TOKEN })
+  assert.equal(cancelled.status, 200)
+  assert.equal(cancelled.body.data.status, "cancelled")
+})
+
+test("the meeting list only shows the requester's own meetings", async () => {
+  const mine = await schedule("lister@example.com", ["friend@example.com"])
+  const theirs = await schedule("someone-else@example.com")
+
+  assert.equal((await server.api("/api/meetings")).status, 401)
+
+  const ownerToken = await server.issueToken("lister@example.com", null)
+  const owned = await server.api("/api/meetings", { token: ownerToken })
+  assert.deepEqual(owned.body.data.map((meeting) => meeting.id), [mine.id])
+
+  const friendToken = await server.issueToken("friend@example.com", null)
+  const invited = await server.api("/api/meetings", { token: friendToken })
+  assert.deepEqual(invited.body.data.map((meeting) => meeting.id), [mine.id])
+
+  // A token for one meeting doesn't list the owner's other meetings
+  const other = await schedule("lister@example.com")
+  const scoped = await server.api("/api/meetings", { token: other.token })
+  assert.deepEqual(scoped.body.data.map((meeting) => meeting.id), [other.id])
+
+  const all = await server.api("/api/meetings", { token: ADMIN_TOKEN })
+  const ids = all.body.data.map((meeting) => meeting.id)
+  assert.ok(ids.includes(mine.id) && ids.includes(theirs.id) && ids.includes(other.id))
+})
+
+test("invites in a time zone define it with a VTIMEZONE that follows daylight saving", async () => {
+  const { body } = await server.api("/api/meetings", {
+    method: "POST",
+    body: {
+      title: "Weekly sync",
+      startTime: "2031-01-06T14:00:00Z",
+      endTime: "2031-01-06T14:30:00Z",
+      timeZone: "America/New_York",
+      recurrence: "FREQ=WEEKLY;BYDAY=MO",
+      ownerEmail: "owner@example.com",
+    },
+  })
+
+  const { status, body: ics } = await server.api(`/api/meetings/${body.data.id}/invite.ics`)
+  assert.equal(status, 200)
+  const lines = ics.split("\r\n")
+
+  assert.ok(lines.indexOf("BEGIN:VTIMEZONE") < lines.indexOf("BEGIN:VEVENT"))
+  assert.ok(lines.includes("TZID:America/New_York"))
+  assert.ok(lines.includes("RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU"))
+  assert.ok(lines.includes("RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU"))
+  assert.ok(lines.includes("TZOFFSETFROM:-0500") && lines.includes("TZOFFSETTO:-0400"))
+  assert.ok(lines.includes("DTSTART;TZID=America/New_York:20310106T090000"))
+})
+
+test("invitee emails are quoted in the invite and can't contain quotes", async () => {
+  const start = Date.now() + 60 * 60 * 1000
+  const details = {
+    title: "Planning",
+    startTime: new Date(start).toISOString(),
+    endTime: new Date(start + 30 * 60 * 1000).toISOString(),
+    ownerEmail: "owner@example.com",
+  }
+
+  const rejected = await server.api("/api/meetings", {
+    method: "POST",
+    body: { ...details, invitees: ['ann";ROLE=CHAIR:x@example.com'] },
+  })
+  assert.equal(rejected.status, 400)
+
+  const meeting = await schedule("owner@example.com", ["ann;rsvp=false@example.com"])
+  const { body: ics } = await server.api(`/api/meetings/${meeting.id}/invite.ics`)
+  const lines = ics.replace(/\r\n /g, "").split("\r\n")
+  assert.ok(
+    lines.includes(
+      'ATTENDEE;CN="ann;rsvp=false@example.com";ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:ann;rsvp=false@example.com',
+    ),
+  )
+})
@@ -0,0 +1,182 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// A meeting with everyone in emails joined (the first one hosting), by email
+const startMeeting = async (t, emails) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: emails[0] } })
+  const { roomCode } = body.data
+
+  const people = {}
+  for (const [index, email] of emails.entries()) {
+    const token = index === 0 ? body.data.token : await server.issueToken(email, roomCode)
+    const socket = await server.connect(token)
+    t.after(() => socket.disconnect())
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+    people[email] = { token, socket }
+  }
+  return { roomCode, people }
+}
+
+// Send a poll or Q&A event and wait for the update it causes. Updates from earlier
+// events can still be on their way to the watcher, so matches picks out this one
+const changed = async (socket, event, payload, updateEvent, matches, watcher = socket) => {
+  const update = waitFor(watcher, updateEvent, matches)
+  const response = await request(socket, event, payload)
+  assert.equal(response.ok, true, response.error?.message)
+  return update
+}
+
+test("hosts run polls from draft to closed, and everyone reads the results back", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com", "bob@example.com"])
+  const host = people["host@example.com"].socket
+  const ann = people["ann@example.com"].socket
+  const bob = people["bob@example.com"].socket
+  const route = `/api/room/${roomCode}/polls`
+
+  assert.equal((await request(ann, "create-poll", { question: "Lunch?", options: ["Pizza", "Sushi"] })).error.code, "FORBIDDEN")
+  const draft = await changed(
+    host,
+    "create-poll",
+    { question: "Lunch?", options: ["Pizza", "Sushi"] },
+    "poll-updated",
+    (poll) => poll.question === "Lunch?",
+  )
+  assert.equal(draft.status, "draft")
+  assert.equal((await server.api(route, { token: people["ann@example.com"].token })).body.data.length, 0)
+
+  await changed(host, "open-poll", { pollId: draft.id }, "poll-updated", (poll) => poll.status === "open", ann)
+
+  const voted = waitFor(ann, "poll-voted")
+  await changed(ann, "vote-poll", { pollId: draft.id, optionIds: ["1"] }, "poll-updated", (poll) => poll.voterCount === 1)
+  assert.deepEqual(await voted, { pollId: draft.id, optionIds: ["1"] })
+  assert.match((await request(bob, "vote-poll", { pollId: draft.id, optionIds: ["0", "1"] })).error.message, /only one choice/)
+  await changed(bob, "vote-poll", { pollId: draft.id, optionIds: ["0"] }, "poll-updated", (poll) => poll.voterCount === 2)
+
+  // Voting again replaces the earlier choice
+  const tally = await changed(
+    ann,
+    "vote-poll",
+    { pollId: draft.id, optionIds: ["0"] },
+    "poll-updated",
+    (poll) => poll.options[0].votes === 2,
+    host,
+  )
+  assert.equal(tally.voterCount, 2)
+  assert.deepEqual(tally.options[0].voters, ["ann@example.com", "bob@example.com"])
+  assert.equal(tally.options[1].votes, 0)
+
+  await changed(host, "close-poll", { pollId: draft.id }, "poll-updated", (poll) => poll.status === "closed", bob)
+  assert.match((await request(bob, "vote-poll", { pollId: draft.id, optionIds: ["1"] })).error.message, /not open/)
+
+  const forAnn = (await server.api(route, { token: people["ann@example.com"].token })).body.data
+  assert.equal(forAnn.length, 1)
+  assert.deepEqual(forAnn[0].myVote, ["0"])
+  assert.equal(forAnn[0].options[0].votes, 2)
+})
+
+test("anonymous polls count votes without saying whose they are", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com"])
+  const host = people["host@example.com"].socket
+  const ann = people["ann@example.com"].socket
+
+  const poll = await changed(
+    host,
+    "create-poll",
+    { question: "How was it?", options: ["Good", "Bad", "Meh"], multipleChoice: true, anonymous: true },
+    "poll-updated",
+    (update) => update.question === "How was it?",
+  )
+  await changed(host, "open-poll", { pollId: poll.id }, "poll-updated", (update) => update.status === "open")
+  const tally = await changed(
+    ann,
+    "vote-poll",
+    { pollId: poll.id, optionIds: ["0", "2"] },
+    "poll-updated",
+    (update) => update.voterCount === 1,
+    host,
+  )
+  assert.deepEqual(
+    tally.options.map((option) => option.votes),
+    [1, 0, 1],
+  )
+  assert.ok(tally.options.every((option) => !("voters" in option)))
+
+  const [listed] = (await server.api(`/api/room/${roomCode}/polls`, { token: people["host@example.com"].token })).body.data
+  assert.ok(listed.options.every((option) => !("voters" in option)))
+})
+
+test("questions are upvoted, pinned, answered and hidden, with hidden ones left to hosts", async (t) => {
+  const { roomCode, people } = await startMeeting(t, ["host@example.com", "ann@example.com", "bob@example.com"])
+  const host = people["host@example.com"].socket
+  const ann = people["ann@example.com"].socket
+  const bob = people["bob@example.com"].socket
+  const route = `/api/room/${roomCode}/questions`
+
+  const first = await changed(
+    ann,
+    "submit-question",
+    { text: "Will slides be shared?" },
+    "question-updated",
+    (question) => question.authorEmail === "ann@example.com",
+  )
+  const second = await changed(
+    bob,
+    "submit-question",
+    { text: "Is there a recording?" },
+    "question-updated",
+    (question) => question.authorEmail === "bob@example.com",
+  )
+
+  assert.match((await request(ann, "upvote-question", { questionId: first.id })).error.message, /your own question/)
+  const upvoted = await changed(
+    bob,
+    "upvote-question",
+    { questionId: first.id },
+    "question-updated",
+    (question) => question.upvotes.length === 1,
+    ann,
+  )
+  assert.deepEqual(upvoted.upvotes, ["bob@example.com"])
+
+  // Pinned questions come first, then the most upvoted
+  assert.equal((await request(ann, "pin-question", { questionId: second.id })).error.code, "FORBIDDEN")
+  await changed(host, "pin-question", { questionId: second.id }, "question-updated", (question) => question.isPinned)
+  const listed = (await server.api(route, { token: people["ann@example.com"].token })).body.data
+  assert.deepEqual(
+    listed.map((question) => question.id),
+    [second.id, first.id],
+  )
+
+  const answered = await changed(
+    host,
+    "answer-question",
+    { questionId: second.id, answer: "Yes, tomorrow" },
+    "question-updated",
+    (question) => question.isAnswered,
+    bob,
+  )
+  assert.equal(answered.answer, "Yes, tomorrow")
+  assert.equal(answered.answeredBy, "host@example.com")
+
+  // Hiding unpins, and everyone else only learns the question is gone
+  const withdrawn = waitFor(ann, "question-updated", (question) => question.isHidden)
+  const hidden = await changed(host, "hide-question", { questionId: second.id }, "question-updated", (question) => question.isHidden)
+  assert.equal(hidden.isPinned, false)
+  assert.deepEqual(await withdrawn, { id: second.id, isHidden: true })
+  assert.match((await request(ann, "upvote-question", { questionId: second.id })).error.message, /not found/)
+
+  const forAnn = (await server.api(route, { token: people["ann@example.com"].token })).body.data
+  assert.deepEqual(
+    forAnn.map((question) => question.id),
+    [first.id],
+  )
+  const forHost = (await server.api(route, { token: people["host@example.com"].token })).body.data
+  assert.equal(forHost.length, 2)
+})
@@ -0,0 +1,50 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { startServer } from "./helpers.js"
+
+const API_LIMIT = 6
+
+let server
+before(async () => {
+  server = await startServer({
+    workers: 2,
+    env: {
+      RATE_LIMIT_ENABLED: "true",
+      RATE_LIMITS: JSON.stringify({ "http:api": { limit: API_LIMIT, windowSeconds: 600 } }),
+      TRUST_PROXY: "true",
+    },
+  })
+})
+after(() => server?.stop())
+
+// An API request as a proxy would forward it for a client IP. A Socket.IO session id in the
+// query makes the cluster hand the request to the worker holding that session.
+const getAs = (clientIp, sid = "") =>
+  fetch(`${server.url}/api/ice-config?sid=${sid}`, { headers: { "X-Forwarded-For": clientIp } })
+
+test("an HTTP limit holds across cluster workers and is counted per forwarded client IP", async (t) => {
+  // One socket on each worker (new sessions go to the worker with the fewest)
+  const sockets = []
+  for (const email of ["first@example.com", "second@example.com"]) {
+    sockets.push(await server.connect(await server.issueToken(email, null)))
+  }
+  t.after(() => sockets.forEach((socket) => socket.disconnect()))
+  const sessionIds = sockets.map((socket) => socket.io.engine.id)
+
+  // The same client's requests arrive at both workers at once
+  const responses = await Promise.all(
+    Array.from({ length: API_LIMIT * 3 }, (_, i) => getAs("203.0.113.5", sessionIds[i % sessionIds.length])),
+  )
+  const statuses = responses.map((response) => response.status)
+
+  // Limits are checked before authentication, so the answers let through are 401s
+  assert.equal(statuses.filter((status) => status !== 429).length, API_LIMIT)
+  assert.equal(statuses.filter((status) => status === 429).length, API_LIMIT * 2)
+  const refused = responses.find((response) => response.status === 429)
+  assert.ok(Number(refused.headers.get("Retry-After")) > 0)
+
+  // Another client behind the same proxy has its own bucket
+  const other = await getAs("198.51.100.7")
+  assert.notEqual(other.status, 429)
+  assert.equal(other.headers.get("RateLimit-Remaining"), String(API_LIMIT - 1))
+})
@@ -0,0 +1,94 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { startServer } from "./helpers.js"
+
+const CONTENT = "0123456789abcdef"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+// Upload a recording in two chunks and return its metadata
+const uploadRecording = async (roomCode, token) => {
+  const { uploadId } = (await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode } })).body
+    .data
+  for (const [index, part] of [CONTENT.slice(0, 8), CONTENT.slice(8)].entries()) {
+    const response = await fetch(`${server.url}/api/recordings/uploads/${uploadId}/chunks/${index}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/octet-stream", Authorization: `Bearer ${token}` },
+      body: part,
+    })
+    assert.equal(response.status, 200)
+  }
+
+  const { status, body } = await server.api(`/api/recordings/uploads/${uploadId}/complete`, {
+    method: "POST",
+    token,
+    body: { totalChunks: 2, duration: "00:00:01" },
+  })
+  assert.equal(status, 201)
+  return body.data
+}
+
+// Fetch a recording's stream with an optional Range header
+const stream = (recording, token, range) =>
+  fetch(server.url + recording.streamUrl, {
+    headers: { Authorization: `Bearer ${token}`, ...(range && { Range: range }) },
+  })
+
+test("recordings are listed, filtered and streamed with byte ranges for the people allowed to see them", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+  const recording = await uploadRecording(roomCode, token)
+  t.after(() => server.api(`/api/recordings/${recording.id}`, { method: "DELETE", token }))
+
+  assert.equal(recording.fileSize, CONTENT.length)
+  assert.equal(recording.userEmail, "host@example.com")
+
+  const listed = await server.api(`/api/recordings?roomCode=${roomCode}&uploader=host@example.com`, { token })
+  assert.deepEqual(
+    listed.body.data.map((item) => item.id),
+    [recording.id],
+  )
+  const otherRoom = await server.api("/api/recordings?roomCode=NOSUCHROOM", { token })
+  assert.equal(otherRoom.body.data.length, 0)
+
+  // Someone else in the meeting doesn't see it
+  const other = await server.issueToken("other@example.com", roomCode)
+  assert.equal((await server.api(`/api/recordings/${recording.id}`, { token: other })).status, 403)
+  assert.equal((await server.api(`/api/recordings?roomCode=${roomCode}`, { token: other })).body.data.length, 0)
+  assert.equal((await server.api(`/api/recordings/${recording.id}`)).status, 401)
+
+  const whole = await stream(recording, token)
+  assert.equal(whole.status, 200)
+  assert.equal(whole.headers.get("Accept-Ranges"), "bytes")
+  assert.equal(await whole.text(), CONTENT)
+
+  const part = await stream(recording, token, "bytes=2-5")
+  assert.equal(part.status, 206)
+  assert.equal(part.headers.get("Content-Range"), `bytes 2-5/${CONTENT.length}`)
+  assert.equal(await part.text(), "2345")
+
+  const suffix = await stream(recording, token, "bytes=-3")
+  assert.equal(suffix.status, 206)
+  assert.equal(await suffix.text(), "def")
+
+  const outside = await stream(recording, token, "bytes=100-")
+  assert.equal(outside.status, 416)
+  assert.equal(outside.headers.get("Content-Range"), `bytes */${CONTENT.length}`)
+})
+
+test("deleting a recording removes it and its file", async () => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+  const recording = await uploadRecording(roomCode, token)
+
+  const other = await server.issueToken("other@example.com", roomCode)
+  assert.equal((await server.api(`/api/recordings/${recording.id}`, { method: "DELETE", token: other })).status, 403)
+
+  assert.equal((await server.api(`/api/recordings/${recording.id}`, { method: "DELETE", token })).status, 200)
+  assert.equal((await server.api(`/api/recordings/${recording.id}`, { token })).status, 404)
+  assert.equal((await stream(recording, token)).status, 404)
+})
@@ -0,0 +1,90 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { ADMIN_TOKEN, request, startServer } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer()
+})
+after(() => server?.stop())
+
+test("only operators can list active meetings and their codes", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  await request(host, "join-room", { roomCode })
+
+  assert.equal((await server.api("/api/rooms")).status, 401)
+  assert.equal((await server.api("/api/rooms", { token })).status, 401)
+
+  const listed = await server.api("/api/rooms", { token: ADMIN_TOKEN })
+  assert.equal(listed.status, 200)
+  assert.deepEqual(
+    listed.body.data.map((room) => room.code),
+    [roomCode],
+  )
+})
+
+test("asking to join the meeting a socket is already in changes nothing", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const host = await server.connect(token)
+  const ann = await server.connect(await server.issueToken("ann@example.com", roomCode))
+  t.after(() => [host, ann].forEach((socket) => socket.disconnect()))
+  await request(host, "join-room", { roomCode })
+
+  const first = await request(ann, "join-room", { roomCode })
+  const again = await request(ann, "join-room", { roomCode: roomCode.toLowerCase() })
+  assert.equal(again.ok, true)
+  assert.equal(again.data.status, "joined")
+  assert.equal(again.data.socketId, first.data.socketId)
+  assert.equal(again.data.participantId, first.data.participantId)
+  assert.deepEqual(
+    again.data.participants.map((participant) => participant.userEmail),
+    ["host@example.com"],
+  )
+
+  // The previous resume token is replaced, not joined by a second session
+  assert.notEqual(again.data.resumeToken, first.data.resumeToken)
+
+  const room = await server.api(`/api/admin/rooms/${roomCode}`, { token: ADMIN_TOKEN })
+  assert.equal(room.body.data.deviceCount, 2)
+
+  const attendance = await server.api(`/api/room/${roomCode}/attendance`, { token })
+  const annAttendance = attendance.body.data.participants.find((person) => person.userEmail === "ann@example.com")
+  assert.equal(annAttendance.joins, 1)
+})
+
+test("a meeting passcode is checked when joining over HTTP and Socket.IO", async (t) => {
+  const { body } = await server.api("/api/rooms", {
+    method: "POST",
+    body: { ownerEmail: "host@example.com", passcode: "open-sesame" },
+  })
+  const { roomCode, token } = body.data
+  assert.equal(body.data.hasPasscode, true)
+
+  const route = `/api/join/ann@example.com/${roomCode}`
+  assert.equal((await server.api(route)).status, 401)
+  assert.equal((await server.api(`${route}?passcode=wrong`)).status, 401)
+  assert.equal((await server.api(`${route}?passcode=open-sesame`)).status, 200)
+
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  assert.equal((await request(host, "join-room", { roomCode })).error.code, "PASSCODE_REQUIRED")
+  assert.equal((await request(host, "join-room", { roomCode, passcode: "wrong" })).error.code, "INVALID_PASSCODE")
+
+  // Two attempts at once from one socket end up as one place in the meeting
+  const [first, second] = await Promise.all([
+    request(host, "join-room", { roomCode, passcode: "open-sesame" }),
+    request(host, "join-room", { roomCode, passcode: "open-sesame" }),
+  ])
+  assert.equal(first.data.status, "joined")
+  assert.equal(second.data.status, "joined")
+  assert.equal(second.data.socketId, first.data.socketId)
+
+  const room = await server.api(`/api/admin/rooms/${roomCode}`, { token: ADMIN_TOKEN })
+  assert.equal(room.body.data.deviceCount, 1)
+})
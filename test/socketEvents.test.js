@@ -0,0 +1,87 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { request, startServer, waitFor } from "./helpers.js"
+
+const SOCKET_MAX_PAYLOAD_BYTES = 16 * 1024
+
+let server
+before(async () => {
+  server = await startServer({ env: { SOCKET_MAX_PAYLOAD_BYTES: String(SOCKET_MAX_PAYLOAD_BYTES) } })
+})
+after(() => server?.stop())
+
+// A meeting with the given people joined, returning its code and their sockets
+const startMeeting = async (t, emails) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: emails[0] } })
+  const { roomCode } = body.data
+
+  const sockets = []
+  for (const [index, email] of emails.entries()) {
+    const socket = await server.connect(index === 0 ? body.data.token : await server.issueToken(email, roomCode))
+    t.after(() => socket.disconnect())
+    assert.equal((await request(socket, "join-room", { roomCode })).ok, true)
+    sockets.push(socket)
+  }
+  return { roomCode, sockets }
+}
+
+test("events with a malformed payload are refused before any handler runs", async (t) => {
+  const { sockets } = await startMeeting(t, ["host@example.com"])
+  const [host] = sockets
+
+  const refusals = [
+    [{ message: 42 }, "INVALID_PAYLOAD", /message must be a string/],
+    [{}, "INVALID_PAYLOAD", /message is required/],
+    [{ message: "x".repeat(5001) }, "PAYLOAD_TOO_LARGE", /at most 5000 characters/],
+  ]
+  for (const [payload, code, message] of refusals) {
+    const { ok, error } = await request(host, "chat-message", payload)
+    assert.equal(ok, false)
+    assert.equal(error.code, code)
+    assert.match(error.message, message)
+  }
+
+  const badType = await request(host, "mute-participant", { targetSocketId: "x", type: "smell" })
+  assert.equal(badType.error.code, "INVALID_PAYLOAD")
+  assert.equal((await request(host, "create-breakouts", { count: 1.5 })).error.code, "INVALID_PAYLOAD")
+
+  const outsider = await server.connect(await server.issueToken("ann@example.com", null))
+  t.after(() => outsider.disconnect())
+  assert.match((await request(outsider, "join-room", { roomCode: "not a code!" })).error.message, /a meeting code/)
+})
+
+test("only members send meeting events, and only to people in their own meeting", async (t) => {
+  const first = await startMeeting(t, ["host@example.com", "ann@example.com"])
+  const second = await startMeeting(t, ["other@example.com"])
+  const [host, ann] = first.sockets
+  const [stranger] = second.sockets
+  const offer = { type: "offer", sdp: "v=0" }
+
+  // Signaling within the meeting goes through, with the sender filled in by the server
+  const received = waitFor(ann, "offer")
+  assert.equal((await request(host, "offer", { offer, to: ann.id })).ok, true)
+  assert.deepEqual(await received, { offer, from: host.id, fromUser: "host@example.com" })
+
+  const crossing = await request(stranger, "offer", { offer, to: ann.id })
+  assert.equal(crossing.error.code, "TARGET_NOT_IN_ROOM")
+  const candidate = await request(stranger, "ice-candidate", { candidate: { candidate: "" }, to: host.id })
+  assert.equal(candidate.error.code, "TARGET_NOT_IN_ROOM")
+
+  // Naming another meeting's code doesn't get a message into it
+  const elsewhere = await request(stranger, "chat-message", { message: "hi", roomCode: first.roomCode })
+  assert.equal(elsewhere.error.code, "NOT_IN_ROOM")
+
+  const notJoined = await server.connect(await server.issueToken("carol@example.com", first.roomCode))
+  t.after(() => notJoined.disconnect())
+  assert.equal((await request(notJoined, "chat-message", { message: "hi" })).error.code, "NOT_IN_ROOM")
+  assert.equal((await request(notJoined, "offer", { offer, to: host.id })).error.code, "NOT_IN_ROOM")
+})
+
+test("a socket message over the size limit closes the connection", async (t) => {
+  const { sockets } = await startMeeting(t, ["host@example.com"])
+  const [host] = sockets
+
+  const disconnected = waitFor(host, "disconnect")
+  host.emit("offer", { offer: { type: "offer", sdp: "x".repeat(SOCKET_MAX_PAYLOAD_BYTES * 2) }, to: host.id })
+  assert.equal(await disconnected, "transport close")
+})
@@ -0,0 +1,85 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { startServer } from "./helpers.js"
+
+let server
+before(async () => {
+  server = await startServer({ env: { RECORDING_UPLOAD_MAX_BYTES: "1000" } })
+})
+after(() => server?.stop())
+
+// Send one chunk as the raw request body
+const putChunk = (uploadId, index, token, data = Buffer.from("chunk")) =>
+  fetch(`${server.url}/api/recordings/uploads/${uploadId}/chunks/${index}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/octet-stream", ...(token && { Authorization: `Bearer ${token}` }) },
+    body: data,
+  })
+
+test("only the uploader can add to, inspect, finish or cancel an upload", async () => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+  const other = await server.issueToken("other@example.com", roomCode)
+
+  const opened = await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode } })
+  assert.equal(opened.status, 201)
+  const { uploadId } = opened.body.data
+  const route = `/api/recordings/uploads/${uploadId}`
+
+  assert.equal((await putChunk(uploadId, 0)).status, 401)
+  assert.equal((await putChunk(uploadId, 0, other)).status, 403)
+  assert.equal((await server.api(route, { token: other })).status, 403)
+  assert.equal((await server.api(`${route}/complete`, { method: "POST", token: other, body: {} })).status, 403)
+  assert.equal((await server.api(route, { method: "DELETE", token: other })).status, 403)
+
+  assert.equal((await putChunk(uploadId, 0, token)).status, 200)
+  assert.equal((await putChunk(uploadId, 10000, token)).status, 400)
+  assert.deepEqual((await server.api(route, { token })).body.data.receivedChunks, [0])
+
+  assert.equal((await server.api(route, { method: "DELETE", token })).status, 200)
+  assert.equal((await server.api(route, { token })).status, 404)
+})
+
+test("uploads need an existing meeting and stay within the size cap", async () => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const missing = await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode: "NOSUCHROOM" } })
+  assert.equal(missing.status, 404)
+  const invalid = await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode: "../x" } })
+  assert.equal(invalid.status, 400)
+
+  const { uploadId } = (await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode } })).body
+    .data
+  assert.equal((await putChunk(uploadId, 0, token, Buffer.alloc(600))).status, 200)
+  assert.equal((await putChunk(uploadId, 1, token, Buffer.alloc(600))).status, 413)
+  // Re-sending a chunk replaces it, so it doesn't count twice
+  assert.equal((await putChunk(uploadId, 0, token, Buffer.alloc(900))).status, 200)
+
+  await server.api(`/api/recordings/uploads/${uploadId}`, { method: "DELETE", token })
+})
+
+test("completing an upload twice at once saves one recording", async (t) => {
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+
+  const { uploadId } = (await server.api("/api/recordings/uploads", { method: "POST", token, body: { roomCode } })).body
+    .data
+  for (let index = 0; index < 3; index++) {
+    assert.equal((await putChunk(uploadId, index, token, Buffer.alloc(100, index))).status, 200)
+  }
+
+  const route = `/api/recordings/uploads/${uploadId}/complete`
+  const results = await Promise.all([1, 2, 3].map(() => server.api(route, { method: "POST", token, body: { totalChunks: 3 } })))
+  const statuses = results.map((result) => result.status).sort()
+  assert.equal(statuses.filter((status) => status === 201).length, 1)
+  // The others find it being completed, or already gone
+  statuses.filter((status) => status !== 201).forEach((status) => assert.ok([404, 409].includes(status)))
+
+  const saved = results.find((result) => result.status === 201).body.data
+  t.after(() => server.api(`/api/recordings/${saved.id}`, { method: "DELETE", token }))
+  assert.equal(saved.fileSize, 300)
+
+  const listed = await server.api(`/api/recordings?roomCode=${roomCode}`, { token })
+  assert.equal(listed.body.data.length, 1)
+})
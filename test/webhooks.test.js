@@ -0,0 +1,165 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import { EventEmitter } from "events"
+import http from "http"
+import { ADMIN_TOKEN, request, sleep, startServer } from "./helpers.js"
+
+const RETRY_BASE_MS = 200
+const SECRET = "test-webhook-secret-0123456789"
+
+// A local receiver that records every request and answers with the next queued status (200 once they run out)
+const receiver = new EventEmitter()
+const received = []
+const statuses = []
+const httpServer = http.createServer((req, res) => {
+  let body = ""
+  req.on("data", (chunk) => (body += chunk))
+  req.on("end", () => {
+    const entry = { at: Date.now(), headers: req.headers, body }
+    received.push(entry)
+    res.writeHead(statuses.shift() || 200).end()
+    receiver.emit("request", entry)
+  })
+})
+
+let server
+let receiverUrl
+before(async () => {
+  await new Promise((resolve) => httpServer.listen(0, resolve))
+  receiverUrl = `http://localhost:${httpServer.address().port}/hook`
+  server = await startServer({ env: { WEBHOOK_RETRY_BASE_MS: String(RETRY_BASE_MS), WEBHOOK_MAX_ATTEMPTS: "3" } })
+})
+after(async () => {
+  await server?.stop()
+  await new Promise((resolve) => httpServer.close(resolve))
+})
+
+// Subscribe the receiver for the length of one test
+const createWebhook = async (t, events) => {
+  const { status, body } = await server.api("/api/webhooks", {
+    method: "POST",
+    token: ADMIN_TOKEN,
+    body: { url: receiverUrl, events, secret: SECRET },
+  })
+  assert.equal(status, 201)
+  t.after(() => server.api(`/api/webhooks/${body.data.id}`, { method: "DELETE", token: ADMIN_TOKEN }))
+  return body.data
+}
+
+// Wait until the receiver has seen `count` requests for an event type since `since`
+const waitForRequests = (type, count, since = 0) =>
+  new Promise((resolve, reject) => {
+    const matching = () => received.slice(since).filter((entry) => entry.headers["x-webhook-event"] === type)
+    const check = () => {
+      if (matching().length < count) return
+      clearTimeout(timer)
+      receiver.off("request", check)
+      resolve(matching())
+    }
+    const timer = setTimeout(() => {
+      receiver.off("request", check)
+      reject(new Error(`Receiver got ${matching().length} of ${count} "${type}" requests`))
+    }, 10000)
+    receiver.on("request", check)
+    check()
+  })
+
+// Poll the delivery log until the newest delivery reaches a final status
+const waitForSettledDelivery = async (webhookId) => {
+  for (let tries = 0; tries < 50; tries++) {
+    const { body } = await server.api(`/api/webhooks/${webhookId}/deliveries`, { token: ADMIN_TOKEN })
+    const [delivery] = body.data
+    if (delivery && delivery.status !== "pending") return delivery
+    await sleep(100)
+  }
+  throw new Error("Delivery did not settle in time")
+}
+
+test("meeting events are signed, retried with backoff after 5xx and logged", async (t) => {
+  const webhook = await createWebhook(t, ["meeting.started"])
+  statuses.push(503, 502)
+
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "host@example.com" } })
+  const { roomCode, token } = body.data
+  const host = await server.connect(token)
+  t.after(() => host.disconnect())
+  await request(host, "join-room", { roomCode })
+
+  const [first, second, third] = await waitForRequests("meeting.started", 3)
+
+  // Every attempt carries the same event, signed over "<timestamp>.<body>" with the secret
+  for (const attempt of [first, second, third]) {
+    const { headers, body } = attempt
+    const expected = crypto.createHmac("sha256", SECRET).update(`${headers["x-webhook-timestamp"]}.${body}`).digest("hex")
+    assert.equal(headers["x-webhook-signature"], `sha256=${expected}`)
+    assert.equal(JSON.parse(body).data.roomCode, roomCode)
+    assert.equal(headers["x-webhook-id"], first.headers["x-webhook-id"])
+  }
+
+  // Waits of about base, then twice base
+  assert.ok(second.at - first.at >= RETRY_BASE_MS)
+  assert.ok(third.at - second.at >= RETRY_BASE_MS * 2)
+
+  const delivery = await waitForSettledDelivery(webhook.id)
+  assert.equal(delivery.event, "meeting.started")
+  assert.equal(delivery.eventId, first.headers["x-webhook-id"])
+  assert.equal(delivery.status, "delivered")
+  assert.deepEqual(
+    delivery.attempts.map((attempt) => attempt.statusCode),
+    [503, 502, 200],
+  )
+  assert.equal(delivery.nextAttemptAt, null)
+})
+
+test("a delivery that keeps failing stops after the last attempt", async (t) => {
+  const webhook = await createWebhook(t, ["meeting.started"])
+  statuses.push(500, 500, 500)
+  const since = received.length
+
+  const { body } = await server.api("/api/rooms", { method: "POST", body: { ownerEmail: "other-host@example.com" } })
+  const host = await server.connect(body.data.token)
+  t.after(() => host.disconnect())
+  await request(host, "join-room", { roomCode: body.data.roomCode })
+
+  await waitForRequests("meeting.started", 3, since)
+
+  // The log settles as failed once the third attempt is recorded, with no retry left
+  const delivery = await waitForSettledDelivery(webhook.id)
+  assert.equal(delivery.status, "failed")
+  assert.equal(delivery.attemptCount, 3)
+  assert.equal(delivery.nextAttemptAt, null)
+  assert.ok(delivery.completedAt)
+
+  await sleep(RETRY_BASE_MS * 8)
+  assert.equal(received.length - since, 3)
+})
+
+test("the test endpoint sends one sample event and reports the outcome", async (t) => {
+  const webhook = await createWebhook(t, ["recording.uploaded"])
+  const since = received.length
+
+  const delivered = await server.api(`/api/webhooks/${webhook.id}/test`, { method: "POST", token: ADMIN_TOKEN })
+  assert.equal(delivered.status, 200)
+  assert.equal(delivered.body.data.status, "delivered")
+  assert.equal(delivered.body.data.attemptCount, 1)
+
+  const [sample] = await waitForRequests("webhook.test", 1, since)
+  assert.equal(JSON.parse(sample.body).data.webhookId, webhook.id)
+  assert.equal(sample.headers["x-webhook-id"], delivered.body.data.eventId)
+
+  // A failing receiver is reported without retrying
+  statuses.push(500)
+  const failed = await server.api(`/api/webhooks/${webhook.id}/test`, { method: "POST", token: ADMIN_TOKEN })
+  assert.equal(failed.body.data.status, "failed")
+  assert.deepEqual(
+    failed.body.data.attempts.map((attempt) => attempt.statusCode),
+    [500],
+  )
+
+  const log = await server.api(`/api/webhooks/${webhook.id}/deliveries`, { token: ADMIN_TOKEN })
+  assert.deepEqual(
+    log.body.data.map((delivery) => delivery.status),
+    ["failed", "delivered"],
+  )
+})
@@ -0,0 +1,30 @@
+import { csvField } from "./transcript.js"
+
+// Attendance report as CSV, one row per person per session
+export const buildAttendanceCsv = (report) => {
+  const header = [
+    "session_id",
+    "session_started_at",
+    "email",
+    "first_joined_at",
+    "last_left_at",
+    "total_minutes",
+    "joins",
+    "reconnects",
+    "breakouts",
+  ]
+  const rows = report.sessions.flatMap((session) =>
+    session.participants.map((person) => [
+      session.sessionId,
+      session.startedAt,
+      person.userEmail,
+      person.firstJoinedAt,
+      person.isPresent ? "(still in meeting)" : person.lastLeftAt,
+      (person.totalSeconds / 60).toFixed(1),
+      person.joins,
+      person.reconnects,
+      person.breakouts.join("; "),
+    ]),
+  )
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n"
+}
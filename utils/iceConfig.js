@@ -0,0 +1,61 @@
+import crypto from "crypto"
+
+// ICE servers for RTCPeerConnection, from server configuration. TURN credentials use the
+// coturn REST API scheme (use-auth-secret / static-auth-secret): the username is
+// "<expiry unix time>:<user>" and the password is base64(HMAC-SHA1(secret, username)),
+// so coturn can check them without a shared user database.
+
+const DEFAULT_STUN_URLS = [
+  "stun:stun.l.google.com:19302",
+  "stun:stun1.l.google.com:19302",
+  "stun:stun2.l.google.com:19302",
+]
+
+export const TURN_CREDENTIAL_TTL_SECONDS = parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 60 * 60
+
+// Comma-separated list from the environment
+const parseUrls = (value) =>
+  (value || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+
+const getStunUrls = () => (process.env.STUN_URLS !== undefined ? parseUrls(process.env.STUN_URLS) : DEFAULT_STUN_URLS)
+const getTurnUrls = () => parseUrls(process.env.TURN_URLS)
+
+export const hasTurnServer = () => getTurnUrls().length > 0 && !!process.env.TURN_SECRET
+
+// Short-lived TURN username and password for one user
+export const createTurnCredentials = (userId, { ttl = TURN_CREDENTIAL_TTL_SECONDS } = {}) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl
+  const username = `${expiresAt}:${userId}`
+  const credential = crypto.createHmac("sha1", process.env.TURN_SECRET).update(username).digest("base64")
+  return { username, credential, expiresAt: new Date(expiresAt * 1000).toISOString() }
+}
+
+// Full RTCConfiguration-style settings for a user; relayOnly forces traffic through TURN
+export const buildIceConfig = (userId, { relayOnly = false } = {}) => {
+  const iceServers = []
+  let expiresAt = null
+
+  const stunUrls = getStunUrls()
+  if (stunUrls.length > 0) {
+    iceServers.push({ urls: stunUrls })
+  }
+
+  if (hasTurnServer()) {
+    const turn = createTurnCredentials(userId)
+    iceServers.push({ urls: getTurnUrls(), username: turn.username, credential: turn.credential })
+    expiresAt = turn.expiresAt
+  }
+
+  const forceRelay = relayOnly || process.env.ICE_TRANSPORT_POLICY === "relay"
+
+  return {
+    iceServers,
+    iceTransportPolicy: forceRelay ? "relay" : "all",
+    // When the TURN credentials stop working; clients should fetch a new config before then
+    expiresAt,
+    ttl: expiresAt ? TURN_CREDENTIAL_TTL_SECONDS : null,
+  }
+}
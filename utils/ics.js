@@ -0,0 +1,226 @@
+// iCalendar (RFC 5545) invite generation for scheduled meetings
+
+const PRODID = "-//Fitsemeet//Meeting Scheduler//EN"
+
+// Escape text values (backslash, semicolon, comma, newline)
+const escapeText = (value = "") =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+
+// Quote a parameter value such as CN - a quoted value can hold ; and : but never a quote
+const quoteParam = (value = "") => `"${String(value).replace(/"/g, "")}"`
+
+// Fold lines longer than 75 octets as required by the spec
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8")
+  if (bytes.length <= 75) return line
+
+  const parts = []
+  let current = ""
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current)
+      current = ""
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+// Format a date as UTC basic format, e.g. 20250526T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+
+// One formatter per time zone - building the VTIMEZONE formats a few hundred dates
+const formatters = new Map()
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      }),
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+// Format a date as local wall-clock time in a time zone, e.g. 20250526T093000
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date))
+
+  const get = (type) => parts.find((part) => part.type === type).value
+  return `${get("year")}${get("month")}${get("day")}T${get("hour")}${get("minute")}${get("second")}`
+}
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"]
+// How many years of changes to list when a zone's changes don't follow a yearly rule
+const EXPLICIT_YEARS = 6
+
+// Minutes a time zone is ahead of UTC at a moment
+const getOffsetMinutes = (time, timeZone) => {
+  const local = formatInTimeZone(time, timeZone)
+  const asUtc = Date.UTC(
+    local.slice(0, 4),
+    local.slice(4, 6) - 1,
+    local.slice(6, 8),
+    local.slice(9, 11),
+    local.slice(11, 13),
+    local.slice(13, 15),
+  )
+  return Math.round((asUtc - time) / MINUTE_MS)
+}
+
+// UTC offset as +HHMM / -HHMM
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+"
+  const abs = Math.abs(minutes)
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`
+}
+
+// Offset changes during a year: the first minute of the new offset, and the offsets either side
+const getTransitions = (year, timeZone) => {
+  const transitions = []
+  const end = Date.UTC(year + 1, 0, 1)
+  let time = Date.UTC(year, 0, 1)
+  let offset = getOffsetMinutes(time, timeZone)
+
+  while (time < end) {
+    const next = Math.min(time + DAY_MS, end)
+    const nextOffset = getOffsetMinutes(next, timeZone)
+    if (nextOffset !== offset) {
+      // Narrow the day down to the minute
+      let low = time
+      let high = next
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / (2 * MINUTE_MS)) * MINUTE_MS
+        if (getOffsetMinutes(middle, timeZone) === offset) low = middle
+        else high = middle
+      }
+      transitions.push({ at: high, from: offset, to: nextOffset })
+      offset = nextOffset
+    }
+    time = next
+  }
+
+  return transitions
+}
+
+// Local start of a change (in the offset it replaces) and the yearly rule it fits,
+// e.g. the second Sunday of March or the last Sunday of October
+const describeTransition = ({ at, from, to }) => {
+  const local = new Date(at + from * MINUTE_MS)
+  const day = local.getUTCDate()
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate()
+  const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7)
+
+  return {
+    from,
+    to,
+    start: formatUtc(local).slice(0, -1),
+    rule: `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${WEEKDAYS[local.getUTCDay()]}`,
+  }
+}
+
+// STANDARD or DAYLIGHT observance lines
+const observanceLines = ({ from, to, start, rule }) => {
+  const type = to > from ? "DAYLIGHT" : "STANDARD"
+  return [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    `END:${type}`,
+  ]
+}
+
+// VTIMEZONE block defining a TZID used by the event. The rules start the year before the
+// meeting, so they cover its first occurrence, and repeat yearly for recurring meetings
+const timeZoneLines = (timeZone, startTime) => {
+  const firstYear = Number(formatInTimeZone(startTime, timeZone).slice(0, 4)) - 1
+  const transitions = getTransitions(firstYear, timeZone)
+
+  let observances
+  if (transitions.length === 0) {
+    // No daylight saving: one fixed offset
+    const offset = getOffsetMinutes(Date.UTC(firstYear, 0, 1), timeZone)
+    observances = [observanceLines({ from: offset, to: offset, start: "19700101T000000" })]
+  } else {
+    const described = transitions.map(describeTransition)
+    const nextYear = getTransitions(firstYear + 1, timeZone).map(describeTransition)
+    const isYearly =
+      nextYear.length === described.length &&
+      nextYear.every(
+        (change, index) =>
+          change.rule === described[index].rule &&
+          change.start.slice(8) === described[index].start.slice(8) &&
+          change.from === described[index].from &&
+          change.to === described[index].to,
+      )
+
+    if (isYearly) {
+      observances = described.map(observanceLines)
+    } else {
+      // Changes that don't follow a weekday rule are listed one by one
+      observances = [...Array(EXPLICIT_YEARS).keys()]
+        .flatMap((offset) => (offset === 0 ? transitions : getTransitions(firstYear + offset, timeZone)))
+        .map((transition) => observanceLines({ ...describeTransition(transition), rule: null }))
+    }
+  }
+
+  return ["BEGIN:VTIMEZONE", `TZID:${timeZone}`, ...observances.flat(), "END:VTIMEZONE"]
+}
+
+// DTSTART/DTEND line, using TZID (defined by the VTIMEZONE) so recurring meetings follow daylight saving
+const dateLine = (name, date, timeZone) => {
+  if (!timeZone || timeZone === "UTC") {
+    return `${name}:${formatUtc(date)}`
+  }
+  return `${name};TZID=${timeZone}:${formatInTimeZone(date, timeZone)}`
+}
+
+// Build an .ics invite for a scheduled meeting
+export const buildMeetingInvite = (meeting, { joinUrl, domain = "fitsemeet" } = {}) => {
+  const isCancelled = meeting.status === "cancelled"
+  const description = [meeting.description, `Join the meeting: ${joinUrl}`, `Meeting code: ${meeting.roomCode}`]
+    .filter(Boolean)
+    .join("\n\n")
+  const hasTimeZone = !!meeting.timeZone && meeting.timeZone !== "UTC"
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${isCancelled ? "CANCEL" : "REQUEST"}`,
+    ...(hasTimeZone ? timeZoneLines(meeting.timeZone, meeting.startTime) : []),
+    "BEGIN:VEVENT",
+    `UID:${meeting.id}@${domain}`,
+    `SEQUENCE:${meeting.sequence}`,
+    `DTSTAMP:${formatUtc(meeting.updatedAt)}`,
+    dateLine("DTSTART", meeting.startTime, meeting.timeZone),
+    dateLine("DTEND", meeting.endTime, meeting.timeZone),
+    `SUMMARY:${escapeText(meeting.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(joinUrl)}`,
+    `URL:${joinUrl}`,
+    `ORGANIZER:mailto:${meeting.ownerEmail}`,
+    ...meeting.invitees.map((email) => `ATTENDEE;CN=${quoteParam(email)};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${email}`),
+    ...(meeting.recurrence ? [`RRULE:${meeting.recurrence}`] : []),
+    `STATUS:${isCancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+
+  return lines.map(foldLine).join("\r\n") + "\r\n"
+}
@@ -0,0 +1,103 @@
+import crypto from "crypto"
+
+// Signed, expiring join tokens: HS256 JWTs with the joiner's email in `sub` and, optionally,
+// the meeting code in `room` (a token without `room` is good for any meeting). The server
+// issues them, and so can any external system that holds JOIN_TOKEN_SECRET. Tokens handed
+// to guests carry `guest: true` - their email was typed in, not verified - and a random guest
+// id in `gid`, so two guests who type the same email are told apart.
+
+export const JOIN_TOKEN_TTL_SECONDS = parseInt(process.env.JOIN_TOKEN_TTL_SECONDS) || 12 * 60 * 60
+// Longest lifetime an admin or external caller may ask the server for
+export const JOIN_TOKEN_MAX_TTL_SECONDS = 7 * 24 * 60 * 60
+// Tolerated clock difference with external issuers
+const CLOCK_SKEW_SECONDS = 30
+
+// Without a configured secret, tokens only survive until the process restarts
+const getSecret = () => {
+  if (!process.env.JOIN_TOKEN_SECRET) {
+    console.warn("⚠️ JOIN_TOKEN_SECRET is not set - using a random secret, join tokens will not survive a restart")
+    process.env.JOIN_TOKEN_SECRET = crypto.randomBytes(32).toString("hex")
+  }
+  return process.env.JOIN_TOKEN_SECRET
+}
+
+// Whether anyone can get a guest token for the email they type in (off unless ALLOW_GUEST_JOIN=true)
+export const allowsGuestJoin = () => process.env.ALLOW_GUEST_JOIN === "true"
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url")
+const sign = (data) => crypto.createHmac("sha256", getSecret()).update(data).digest("base64url")
+
+// Sign a token for one email, and one meeting unless roomCode is null
+export const issueJoinToken = ({
+  email,
+  roomCode = null,
+  expiresIn = JOIN_TOKEN_TTL_SECONDS,
+  guest = false,
+  guestId = crypto.randomUUID(),
+}) => {
+  const now = Math.floor(Date.now() / 1000)
+  const claims = {
+    sub: email,
+    ...(roomCode && { room: roomCode.toUpperCase() }),
+    ...(guest && { guest: true, gid: guestId }),
+    iat: now,
+    exp: now + expiresIn,
+  }
+  const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`
+  return { token: `${data}.${sign(data)}`, expiresAt: new Date(claims.exp * 1000).toISOString(), claims }
+}
+
+// Check a token's signature and lifetime, returning its claims or throwing
+export const verifyJoinToken = (token) => {
+  if (!token) {
+    throw new Error("A join token is required")
+  }
+
+  const [header, payload, signature, ...rest] = typeof token === "string" ? token.split(".") : []
+  if (!header || !payload || !signature || rest.length > 0) {
+    throw new Error("Invalid join token")
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`))
+  const given = Buffer.from(signature)
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new Error("Invalid join token")
+  }
+
+  let claims
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") throw new Error()
+    claims = JSON.parse(Buffer.from(payload, "base64url"))
+  } catch {
+    throw new Error("Invalid join token")
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  if (typeof claims.sub !== "string" || typeof claims.exp !== "number") {
+    throw new Error("Invalid join token")
+  }
+  if (claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error("Join token has expired")
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new Error("Join token is not valid yet")
+  }
+
+  const guest = claims.guest === true
+  return {
+    ...claims,
+    room: claims.room ? String(claims.room).toUpperCase() : null,
+    guest,
+    guestId: guest && typeof claims.gid === "string" ? claims.gid : null,
+  }
+}
+
+// Whether a token's meeting covers a room (breakout rooms belong to their meeting)
+export const tokenAllowsRoom = (claims, room) =>
+  !claims.room || claims.room === room.code || claims.room === room.parentCode
+
+// Token from "Authorization: Bearer <token>" or ?token= (for links and <video> sources)
+export const getRequestToken = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ")
+  return scheme === "Bearer" && token ? token : req.query.token || null
+}
@@ -0,0 +1,179 @@
+import cluster from "cluster"
+
+// Token-bucket rate limiting. A policy allows `limit` requests per `windowSeconds`: a bucket
+// holds up to `limit` tokens, each request takes one, and tokens refill steadily so a full
+// bucket is back after the window. Short bursts are fine; sustained floods are not.
+//
+// Bucket state lives in a store. A store is any object with take(key, policy, now), which
+// spends a token in one step and returns the outcome (or a promise of it), and prune(now), so
+// a shared backend can be plugged in with createRateLimiter({ store }).
+
+export const RATE_LIMIT_CLEANUP_MS = parseInt(process.env.RATE_LIMIT_CLEANUP_MS) || 60 * 1000
+
+const MESSAGE_TYPE = "fitsemeet:rateLimit"
+
+// How long a worker waits for the primary's count before letting the request through
+const SHARED_TAKE_TIMEOUT_MS = 2000
+
+// Spend a token from a bucket (undefined for a full one), returning the new bucket and the outcome
+const spendToken = (bucket, policy, now) => {
+  const refillPerMs = policy.limit / (policy.windowSeconds * 1000)
+
+  let tokens = policy.limit
+  if (bucket) {
+    tokens = Math.min(policy.limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+  }
+
+  const allowed = tokens >= 1
+  if (allowed) tokens -= 1
+
+  const fullAt = now + Math.ceil((policy.limit - tokens) / refillPerMs)
+
+  return {
+    bucket: { tokens, updatedAt: now, fullAt },
+    result: {
+      allowed,
+      limit: policy.limit,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((fullAt - now) / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000),
+    },
+  }
+}
+
+// Buckets kept in this process only
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map()
+  }
+
+  take(key, policy, now) {
+    const { bucket, result } = spendToken(this.buckets.get(key), policy, now)
+    this.buckets.set(key, bucket)
+    return result
+  }
+
+  // Drop buckets that have refilled - they are the same as a new one
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key)
+    }
+  }
+}
+
+// Buckets counted by the cluster primary, so every worker spends from the same ones. Each
+// take is one request to the primary, which spends the token and answers with the outcome.
+export class SharedRateLimitStore {
+  constructor() {
+    this.nextId = 1
+    // Unanswered takes by request id
+    this.waiting = new Map()
+
+    process.on("message", (message) => {
+      if (message?.type !== MESSAGE_TYPE || message.op !== "result") return
+      const waiting = this.waiting.get(message.id)
+      if (!waiting) return
+      this.waiting.delete(message.id)
+      clearTimeout(waiting.timer)
+      waiting.resolve(message.result)
+    })
+  }
+
+  take(key, policy) {
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting.delete(id)
+        reject(new Error("The cluster primary did not answer a rate limit request in time"))
+      }, SHARED_TAKE_TIMEOUT_MS)
+      this.waiting.set(id, { resolve, timer })
+      process.send({ type: MESSAGE_TYPE, op: "take", id, key, policy })
+    })
+  }
+
+  // The primary drops its own refilled buckets
+  prune() {}
+}
+
+// Primary side: count every worker's takes in one memory store
+export const setupRateLimitHub = ({ cleanupMs = RATE_LIMIT_CLEANUP_MS } = {}) => {
+  const store = new MemoryRateLimitStore()
+
+  const timer = setInterval(() => store.prune(Date.now()), cleanupMs)
+  timer.unref()
+
+  cluster.on("message", (worker, message) => {
+    if (message?.type !== MESSAGE_TYPE || message.op !== "take") return
+
+    const result = store.take(message.key, message.policy, Date.now())
+    if (worker.isConnected()) {
+      worker.send({ type: MESSAGE_TYPE, op: "result", id: message.id, result })
+    }
+  })
+}
+
+// Store named by RATE_LIMIT_STORE (memory | shared); cluster workers share by default. Outside
+// a cluster there is only one process, so shared is the same as memory.
+export const createRateLimitStore = (name = process.env.RATE_LIMIT_STORE) => {
+  const driver = (name || (cluster.isWorker ? "shared" : "memory")).toLowerCase()
+
+  switch (driver) {
+    case "memory":
+      return new MemoryRateLimitStore()
+    case "shared":
+      return cluster.isWorker ? new SharedRateLimitStore() : new MemoryRateLimitStore()
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${driver}". Use "memory" or "shared".`)
+  }
+}
+
+// Policy overrides from RATE_LIMITS, e.g. {"http:api": {"limit": 300, "windowSeconds": 60},
+// "socket:typing": false}
+const parseOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {}
+  try {
+    return JSON.parse(process.env.RATE_LIMITS)
+  } catch (error) {
+    console.error("❌ RATE_LIMITS is not valid JSON, using the default limits:", error.message)
+    return {}
+  }
+}
+
+const overrides = parseOverrides()
+
+export const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== "false"
+
+// A default policy with any override applied; null when the policy is turned off
+export const resolvePolicy = (name, defaults) => {
+  const override = overrides[name]
+  if (override === false || !isRateLimitEnabled()) return null
+
+  const policy = { name, ...defaults, ...override }
+  if (!(policy.limit > 0 && policy.windowSeconds > 0)) {
+    console.error(`❌ Rate limit "${name}" needs a positive limit and windowSeconds, using the default`)
+    return { name, ...defaults }
+  }
+  return policy
+}
+
+// Limiter over one store; take() spends a token from the bucket for key under a policy
+export const createRateLimiter = ({ store = new MemoryRateLimitStore(), cleanupMs = RATE_LIMIT_CLEANUP_MS } = {}) => {
+  const timer = setInterval(() => {
+    try {
+      store.prune(Date.now())
+    } catch (error) {
+      console.error("❌ Rate limit cleanup failed:", error)
+    }
+  }, cleanupMs)
+  timer.unref()
+
+  return {
+    store,
+
+    // Resolves to { allowed, limit, remaining, resetSeconds, retryAfterSeconds }; the memory
+    // store answers synchronously, so callers that only use it can read the result directly
+    take(key, policy, now = Date.now()) {
+      return store.take(key, policy, now)
+    },
+  }
+}
@@ -0,0 +1,184 @@
+import cluster from "cluster"
+import fs from "fs"
+import { spawn } from "child_process"
+import { recordingUtils } from "../models/recordingModel.js"
+
+// Background post-processing of uploaded recordings with the locally installed ffmpeg/ffprobe:
+// remux so the WebM can be seeked, probe the real duration and codecs, optionally
+// transcode to MP4, and render a thumbnail strip. Progress is kept in recording.processing.
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg"
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe"
+const TRANSCODE_MP4 = process.env.RECORDING_TRANSCODE_MP4 === "true"
+const JOB_CONCURRENCY = parseInt(process.env.RECORDING_JOB_CONCURRENCY) || 1
+
+// Thumbnail strip layout
+const THUMBNAIL_COUNT = 10
+const THUMBNAIL_WIDTH = 160
+
+const queue = []
+let running = 0
+
+// Run a command, resolving with stdout or rejecting with the end of stderr
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] })
+    let stdout = ""
+    let stderr = ""
+
+    child.stdout.on("data", (data) => (stdout += data))
+    child.stderr.on("data", (data) => (stderr = (stderr + data).slice(-2000)))
+    child.on("error", (error) => {
+      reject(error.code === "ENOENT" ? new Error(`${command} is not installed`) : error)
+    })
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout)
+      const lastLine = stderr.trim().split("\n").pop()
+      reject(new Error(`${command} exited with code ${code}${lastLine ? `: ${lastLine}` : ""}`))
+    })
+  })
+
+// Duration, codecs and frame size from ffprobe
+const probe = async (filePath) => {
+  const output = await run(FFPROBE_PATH, ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", filePath])
+  const { format = {}, streams = [] } = JSON.parse(output)
+  const video = streams.find((stream) => stream.codec_type === "video")
+  const audio = streams.find((stream) => stream.codec_type === "audio")
+  const duration = parseFloat(format.duration)
+
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null,
+    codecs: {
+      video: video?.codec_name || null,
+      audio: audio?.codec_name || null,
+    },
+    width: video?.width || null,
+    height: video?.height || null,
+  }
+}
+
+// Rewrite the file with a cue index so players can seek (MediaRecorder output has none)
+const remux = async (filePath) => {
+  const tempPath = filePath.replace(/\.webm$/, ".remux.webm")
+  await run(FFMPEG_PATH, ["-y", "-v", "error", "-i", filePath, "-map", "0", "-c", "copy", tempPath])
+  fs.renameSync(tempPath, filePath)
+  return fs.statSync(filePath).size
+}
+
+const transcodeToMp4 = async (filePath, outputPath) => {
+  await run(FFMPEG_PATH, [
+    "-y", "-v", "error", "-i", filePath,
+    "-c:v", "libx264", "-preset", "veryfast", "-crf", "23",
+    "-c:a", "aac", "-b:a", "128k",
+    "-movflags", "+faststart",
+    outputPath,
+  ])
+}
+
+// One image with THUMBNAIL_COUNT frames spread across the recording, side by side
+const renderThumbnailStrip = async (filePath, outputPath, duration) => {
+  const fps = duration ? THUMBNAIL_COUNT / duration : 0.1
+  await run(FFMPEG_PATH, [
+    "-y", "-v", "error", "-i", filePath,
+    "-vf", `fps=${fps},scale=${THUMBNAIL_WIDTH}:-2,tile=${THUMBNAIL_COUNT}x1`,
+    "-frames:v", "1",
+    outputPath,
+  ])
+}
+
+// Record progress for a recording's job
+const setProcessing = (id, changes) => {
+  const recording = recordingUtils.getRecording(id)
+  if (!recording) return null
+  return recordingUtils.updateRecording(id, {
+    processing: { ...recording.processing, ...changes, updatedAt: new Date().toISOString() },
+  })
+}
+
+// Process one recording
+const processRecording = async (id) => {
+  const recording = setProcessing(id, { status: "running", step: "remux", startedAt: new Date().toISOString() })
+  if (!recording) return
+
+  const filePath = recordingUtils.getFilePath(recording)
+  const baseName = recording.filename.replace(/\.webm$/, "")
+
+  try {
+    const fileSize = await remux(filePath)
+
+    setProcessing(id, { step: "probe" })
+    const info = await probe(filePath)
+    recordingUtils.updateRecording(id, {
+      fileSize,
+      duration: info.duration ?? recording.duration,
+      clientDuration: recording.clientDuration ?? recording.duration,
+      codecs: info.codecs,
+      width: info.width,
+      height: info.height,
+    })
+
+    const outputs = {}
+
+    if (TRANSCODE_MP4) {
+      setProcessing(id, { step: "transcode" })
+      outputs.mp4 = `${baseName}.mp4`
+      await transcodeToMp4(filePath, recordingUtils.getFilePath(recording, outputs.mp4))
+    }
+
+    if (info.codecs.video) {
+      setProcessing(id, { step: "thumbnails" })
+      const thumbnails = `${baseName}-thumbnails.jpg`
+      await renderThumbnailStrip(filePath, recordingUtils.getFilePath(recording, thumbnails), info.duration)
+      outputs.thumbnails = { filename: thumbnails, count: THUMBNAIL_COUNT, width: THUMBNAIL_WIDTH }
+    }
+
+    // Deleted while processing: drop what was just produced
+    if (!recordingUtils.getRecording(id)) {
+      for (const filename of [outputs.mp4, outputs.thumbnails?.filename].filter(Boolean)) {
+        fs.rmSync(recordingUtils.getFilePath(recording, filename), { force: true })
+      }
+      return
+    }
+
+    recordingUtils.updateRecording(id, { outputs })
+    setProcessing(id, { status: "completed", step: null, completedAt: new Date().toISOString(), error: null })
+    console.log(`🎞️ Recording ${recording.filename} processed (${info.duration ?? "unknown"}s)`)
+  } catch (error) {
+    setProcessing(id, { status: "failed", error: error.message })
+    console.error(`❌ Processing failed for recording ${recording.filename}:`, error.message)
+  }
+}
+
+// Start queued jobs while there is capacity
+const drain = () => {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const id = queue.shift()
+    running++
+    processRecording(id).finally(() => {
+      running--
+      drain()
+    })
+  }
+}
+
+export const recordingProcessor = {
+  // Queue a recording for processing
+  enqueue(id) {
+    if (queue.includes(id)) return
+    setProcessing(id, { status: "queued", queuedAt: new Date().toISOString(), error: null })
+    queue.push(id)
+    drain()
+  },
+
+  // Pick up jobs interrupted by a restart (only one worker does this in a cluster)
+  resumePending() {
+    if (cluster.isWorker && cluster.worker.id !== 1) return
+
+    for (const recording of recordingUtils.listRecordings()) {
+      const status = recording.processing?.status
+      if (status === "queued" || status === "running") {
+        this.enqueue(recording.id)
+      }
+    }
+  },
+}
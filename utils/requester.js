@@ -0,0 +1,30 @@
+import { getRequestToken, tokenAllowsRoom, verifyJoinToken } from "./joinToken.js"
+
+// Identify who is calling the HTTP API. Only a valid join token counts: Authorization: Bearer,
+// or ?token= for <video>, download and other plain links
+
+// The claims of the requester's join token, or null
+export const getRequesterClaims = (req) => {
+  const token = getRequestToken(req)
+  if (!token) return null
+
+  try {
+    return verifyJoinToken(token)
+  } catch {
+    return null
+  }
+}
+
+// The requester's email, when their token speaks for `room` (a room or { code }) - without a
+// room, only tokens good for every meeting do. Guest tokens carry an email nobody verified, so
+// they only count where allowGuest says so, and only while the email is this guest's in that room
+export const getRequesterEmail = (req, { room = null, allowGuest = false } = {}) => {
+  const claims = getRequesterClaims(req)
+  if (!claims) return null
+  if (room ? !tokenAllowsRoom(claims, room) : claims.room) return null
+  if (claims.guest) {
+    const isThisGuest = room?.isGuest?.(claims.sub) && !room.isTakenByOtherGuest(claims.sub, claims.guestId)
+    if (!(allowGuest && isThisGuest)) return null
+  }
+  return claims.sub
+}
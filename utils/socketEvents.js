@@ -0,0 +1,237 @@
+// Payload schemas for every event clients send over Socket.IO. Each entry declares the
+// payload's fields and whether the sender must already be in a meeting (`member`, the
+// default) and which field, if any, names another socket that must be in the same room
+// (`target`). Fields that aren't declared are dropped before the handler sees them.
+// `rateLimit` caps how often one socket may send the event (see utils/rateLimit.js); events
+// without one get SOCKET_DEFAULT_RATE_LIMIT.
+
+export const CHAT_MESSAGE_MAX_LENGTH = parseInt(process.env.CHAT_MESSAGE_MAX_LENGTH) || 5000
+// Largest single socket message; SDP offers are the biggest legitimate payloads
+export const SOCKET_MAX_PAYLOAD_BYTES = parseInt(process.env.SOCKET_MAX_PAYLOAD_BYTES) || 128 * 1024
+
+export const SOCKET_DEFAULT_RATE_LIMIT = { limit: 30, windowSeconds: 10 }
+
+// Error sent back (as an acknowledgement or "error" event) when an event is refused
+export class SocketEventError extends Error {
+  constructor(code, message, details = {}) {
+    super(message)
+    this.name = "SocketEventError"
+    this.code = code
+    this.details = details
+  }
+}
+
+// Field types
+const string = (max, extra = {}) => ({ type: "string", max, ...extra })
+const boolean = () => ({ type: "boolean" })
+const integer = (min, max) => ({ type: "integer", min, max })
+const number = (min, max) => ({ type: "number", min, max })
+const oneOf = (...values) => ({ type: "enum", values })
+const array = (items, max) => ({ type: "array", items, max })
+const object = (fields) => ({ type: "object", fields })
+const optional = (spec) => ({ ...spec, optional: true })
+const nullable = (spec) => ({ ...spec, optional: true, nullable: true })
+
+const id = () => string(100)
+const email = () => string(254, { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, label: "a valid email" })
+const roomCode = () => string(12, { pattern: /^[A-Z0-9]{3,12}$/i, label: "a meeting code" })
+const socketId = () => string(64)
+const message = () => string(CHAT_MESSAGE_MAX_LENGTH)
+
+// Rate limits
+const perTenSeconds = (limit) => ({ limit, windowSeconds: 10 })
+const perMinute = (limit) => ({ limit, windowSeconds: 60 })
+
+const sessionDescription = () =>
+  object({
+    type: oneOf("offer", "answer", "pranswer", "rollback"),
+    sdp: optional(string(SOCKET_MAX_PAYLOAD_BYTES)),
+  })
+
+const iceCandidate = () =>
+  object({
+    candidate: string(2048),
+    sdpMid: nullable(string(64)),
+    sdpMLineIndex: nullable(integer(0, 1024)),
+    usernameFragment: nullable(string(256)),
+  })
+
+export const EVENT_SCHEMAS = {
+  "join-room": {
+    member: false,
+    rateLimit: perMinute(10),
+    payload: {
+      roomCode: roomCode(),
+      passcode: optional(string(100)),
+      // Take back a dropped device's place, and get the chat messages after lastMessageId
+      resumeToken: optional(string(100)),
+      lastMessageId: optional(id()),
+    },
+  },
+
+  // WebRTC signaling, only between sockets in the same room. Joining a full mesh sends an
+  // offer and a burst of candidates to every other participant at once.
+  offer: { target: "to", rateLimit: perTenSeconds(200), payload: { offer: sessionDescription(), to: socketId() } },
+  answer: { target: "to", rateLimit: perTenSeconds(200), payload: { answer: sessionDescription(), to: socketId() } },
+  "ice-candidate": {
+    target: "to",
+    rateLimit: perTenSeconds(1000),
+    payload: { candidate: iceCandidate(), to: socketId() },
+  },
+
+  // Chat
+  "chat-message": {
+    rateLimit: perTenSeconds(10),
+    payload: { message: message(), replyTo: optional(id()), roomCode: optional(roomCode()) },
+  },
+  "private-message": {
+    rateLimit: perTenSeconds(10),
+    payload: { message: message(), recipientEmail: email(), replyTo: optional(id()), roomCode: optional(roomCode()) },
+  },
+  "react-message": { payload: { messageId: id(), emoji: string(16) } },
+  "edit-message": { payload: { messageId: id(), message: message() } },
+  "delete-message": { payload: { messageId: id() } },
+  typing: { rateLimit: perTenSeconds(60), payload: { isTyping: boolean(), recipientEmail: nullable(email()) } },
+  "mark-read": { rateLimit: perTenSeconds(60), payload: { messageId: id() } },
+
+  // Hands and reactions
+  "raise-hand": { payload: {} },
+  "lower-hand": { payload: { targetEmail: nullable(email()) } },
+  "clear-hands": { payload: {} },
+  "send-reaction": { rateLimit: perTenSeconds(20), payload: { emoji: string(16) } },
+
+  // Breakout rooms
+  "create-breakouts": { payload: { count: integer(1, 100), names: optional(array(string(100), 100)) } },
+  "assign-breakout": { payload: { userEmail: email(), breakoutCode: nullable(roomCode()) } },
+  "assign-breakouts-randomly": { payload: {} },
+  "open-breakouts": { payload: { durationMinutes: nullable(number(0, 24 * 60)) } },
+  "broadcast-breakouts": { payload: { message: string(1000) } },
+  "close-breakouts": { payload: {} },
+
+  // Polls and Q&A
+  "create-poll": {
+    rateLimit: perMinute(10),
+    payload: {
+      question: string(1000),
+      options: array(string(1000), 20),
+      multipleChoice: optional(boolean()),
+      anonymous: optional(boolean()),
+    },
+  },
+  "open-poll": { payload: { pollId: id() } },
+  "close-poll": { payload: { pollId: id() } },
+  "vote-poll": { payload: { pollId: id(), optionIds: array(string(10), 20) } },
+  "submit-question": { rateLimit: perMinute(10), payload: { text: string(2000) } },
+  "upvote-question": { payload: { questionId: id() } },
+  "answer-question": { payload: { questionId: id(), answer: nullable(string(2000)) } },
+  "hide-question": { payload: { questionId: id(), hidden: optional(boolean()) } },
+  "pin-question": { payload: { questionId: id(), pinned: optional(boolean()) } },
+
+  // Media, screen sharing and recording notices
+  "media-state-change": { payload: { type: oneOf("audio", "video"), enabled: boolean(), roomCode: optional(roomCode()) } },
+  "screen-share-start": { payload: { roomCode: optional(roomCode()) } },
+  "screen-share-stop": { payload: { roomCode: optional(roomCode()) } },
+  "recording-started": { payload: { type: optional(string(20)), roomCode: optional(roomCode()) } },
+  "recording-stopped": {
+    payload: {
+      filename: optional(string(255)),
+      recordingType: optional(string(20)),
+      roomCode: optional(roomCode()),
+    },
+  },
+
+  // Host controls
+  "mute-participant": { payload: { targetSocketId: socketId(), type: optional(oneOf("audio", "video")) } },
+  "remove-participant": { payload: { targetSocketId: socketId() } },
+  "lock-room": { payload: { locked: boolean() } },
+  "transfer-host": { payload: { targetEmail: email() } },
+  "set-cohost": { payload: { targetEmail: email(), isCoHost: boolean() } },
+  "end-meeting": { payload: {} },
+  "admit-user": { payload: { socketId: socketId() } },
+  "admit-all": { payload: {} },
+  "deny-user": { payload: { socketId: socketId() } },
+  "update-waiting-room": {
+    payload: { enabled: optional(boolean()), autoAdmitDomains: optional(array(string(253), 50)) },
+  },
+}
+
+// Check one value against a field spec, returning the cleaned value
+const validateField = (spec, value, path) => {
+  if (value === undefined || value === null) {
+    if (value === null && spec.nullable) return null
+    if (spec.optional) return undefined
+    throw new SocketEventError("INVALID_PAYLOAD", `${path} is required`)
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be a string`)
+      }
+      if (value.length > spec.max) {
+        throw new SocketEventError("PAYLOAD_TOO_LARGE", `${path} must be at most ${spec.max} characters`)
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be ${spec.label}`)
+      }
+      return value
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be true or false`)
+      }
+      return value
+
+    case "integer":
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be a whole number from ${spec.min} to ${spec.max}`)
+      }
+      return value
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be a number from ${spec.min} to ${spec.max}`)
+      }
+      return value
+
+    case "enum":
+      if (!spec.values.includes(value)) {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be one of: ${spec.values.join(", ")}`)
+      }
+      return value
+
+    case "array":
+      if (!Array.isArray(value)) {
+        throw new SocketEventError("INVALID_PAYLOAD", `${path} must be a list`)
+      }
+      if (value.length > spec.max) {
+        throw new SocketEventError("PAYLOAD_TOO_LARGE", `${path} can have at most ${spec.max} items`)
+      }
+      return value.map((item, index) => validateField(spec.items, item, `${path}[${index}]`))
+
+    case "object":
+      return validateObject(spec.fields, value, path)
+  }
+}
+
+const validateObject = (fields, value, path) => {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new SocketEventError("INVALID_PAYLOAD", `${path} must be an object`)
+  }
+
+  const cleaned = {}
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldValue = validateField(spec, value[name], path ? `${path}.${name}` : name)
+    if (fieldValue !== undefined) cleaned[name] = fieldValue
+  }
+  return cleaned
+}
+
+// Validate an event's payload against its schema, returning only the declared fields
+export const validateEventPayload = (event, payload) => {
+  const schema = EVENT_SCHEMAS[event]
+  if (!schema) {
+    throw new SocketEventError("UNKNOWN_EVENT", `Unknown event "${event}"`)
+  }
+  return validateObject(schema.payload, payload ?? {}, "")
+}
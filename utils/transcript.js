@@ -0,0 +1,146 @@
+// Meeting transcript export in JSON, CSV, plain text and standalone HTML
+
+export const TRANSCRIPT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+}
+
+// Check a time zone name before using it (Intl throws on unknown zones)
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Wall-clock time in a time zone, e.g. 2025-05-26 09:30:00
+const formatLocalTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(date))
+
+  const get = (type) => parts.find((part) => part.type === type).value
+  return `${get("year")}-${get("month")}-${get("day")} ${get("hour")}:${get("minute")}:${get("second")}`
+}
+
+// One line of description for system events
+const describeEvent = (entry) => {
+  if (entry.type === "breakout-join") return `${entry.senderEmail} joined breakout ${entry.breakoutName}`
+  if (entry.type === "breakout-leave") return `${entry.senderEmail} left breakout ${entry.breakoutName}`
+  return entry.type === "join" ? `${entry.senderEmail} joined` : `${entry.senderEmail} left`
+}
+
+const isChat = (entry) => entry.type === "message" || entry.type === "private"
+
+// Message text, marked when it was changed after sending
+const messageText = (entry) => (entry.editedAt ? `${entry.message} (edited)` : entry.message)
+
+// Quote a CSV field, and stop spreadsheets from running it as a formula
+export const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const toJson = (entries, { roomCode, timeZone, exportedFor }) =>
+  JSON.stringify(
+    {
+      roomCode,
+      timeZone,
+      exportedFor,
+      exportedAt: new Date().toISOString(),
+      entries: entries.map((entry) => ({ ...entry, localTime: formatLocalTime(entry.timestamp, timeZone) })),
+    },
+    null,
+    2,
+  )
+
+const toCsv = (entries, { timeZone }) => {
+  const header = ["timestamp", `local_time (${timeZone})`, "type", "sender", "recipient", "message"]
+  const rows = entries.map((entry) => [
+    entry.timestamp,
+    formatLocalTime(entry.timestamp, timeZone),
+    entry.type,
+    entry.senderEmail,
+    entry.recipientEmail,
+    isChat(entry) ? messageText(entry) : describeEvent(entry),
+  ])
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n"
+}
+
+const toText = (entries, { roomCode, timeZone }) => {
+  const lines = entries.map((entry) => {
+    const time = `[${formatLocalTime(entry.timestamp, timeZone)}]`
+    if (entry.type === "private") return `${time} ${entry.senderEmail} → ${entry.recipientEmail} (private): ${messageText(entry)}`
+    if (entry.type === "message") return `${time} ${entry.senderEmail}: ${messageText(entry)}`
+    return `${time} *** ${describeEvent(entry)}`
+  })
+  return [`Meeting ${roomCode} transcript (times in ${timeZone})`, "", ...lines].join("\n") + "\n"
+}
+
+const toHtml = (entries, { roomCode, timeZone }) => {
+  const rows = entries
+    .map((entry) => {
+      const time = escapeHtml(formatLocalTime(entry.timestamp, timeZone))
+      if (!isChat(entry)) {
+        return `<li class="event"><time datetime="${escapeHtml(entry.timestamp)}">${time}</time> ${escapeHtml(describeEvent(entry))}</li>`
+      }
+
+      const sender =
+        entry.type === "private"
+          ? `${escapeHtml(entry.senderEmail)} → ${escapeHtml(entry.recipientEmail)} <span class="tag">private</span>`
+          : escapeHtml(entry.senderEmail)
+      return `<li class="${entry.type}"><time datetime="${escapeHtml(entry.timestamp)}">${time}</time> <strong>${sender}</strong><p>${escapeHtml(messageText(entry))}</p></li>`
+    })
+    .join("\n      ")
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Meeting ${escapeHtml(roomCode)} transcript</title>
+  <style>
+    body { font-family: "Google Sans", Roboto, Arial, sans-serif; max-width: 800px; margin: 32px auto; padding: 0 16px; color: #202124; }
+    h1 { font-size: 22px; font-weight: 500; }
+    .meta { color: #5f6368; font-size: 14px; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 8px 0; border-bottom: 1px solid #e8eaed; }
+    li p { margin: 4px 0 0; white-space: pre-wrap; }
+    time { color: #5f6368; font-size: 12px; margin-right: 8px; }
+    .event { color: #5f6368; font-style: italic; font-size: 14px; }
+    .private { background: #fef7e0; }
+    .tag { font-size: 11px; color: #b06000; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>Meeting ${escapeHtml(roomCode)} transcript</h1>
+  <p class="meta">Times shown in ${escapeHtml(timeZone)} · Exported ${escapeHtml(formatLocalTime(new Date(), timeZone))}</p>
+  <main>
+    <ul>
+      ${rows}
+    </ul>
+  </main>
+</body>
+</html>
+`
+}
+
+const builders = { json: toJson, csv: toCsv, txt: toText, html: toHtml }
+
+// Render transcript entries in one of TRANSCRIPT_FORMATS
+export const buildTranscript = (entries, format, { roomCode, timeZone = "UTC", exportedFor }) =>
+  builders[format](entries, { roomCode, timeZone, exportedFor })
@@ -0,0 +1,179 @@
+import cluster from "cluster"
+import crypto from "crypto"
+import { webhookUtils } from "../models/webhookModel.js"
+
+// Delivers meeting events to webhook subscriptions. Each request body is signed with the
+// subscription's secret: X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<body>". Failed deliveries are retried with exponential backoff
+// and every attempt is kept in the delivery log.
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000
+
+// Retry timers by delivery id
+const retryTimers = new Map()
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`
+
+// Wait before the attempt after `attempt` failures: base, 2x, 4x, ... with a little jitter
+const getRetryDelay = (attempt) => {
+  const delay = RETRY_BASE_MS * 2 ** (attempt - 1)
+  return Math.round(delay + Math.random() * delay * 0.1)
+}
+
+// POST one payload, resolving with the attempt's outcome (never rejects)
+const post = async (webhook, payload) => {
+  const body = JSON.stringify(payload)
+  const timestamp = Math.floor(Date.now() / 1000).toString()
+  const startedAt = Date.now()
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "GoogleMeetClone-Webhooks/1.0",
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Event": payload.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    })
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {})
+
+    return {
+      at: new Date(startedAt).toISOString(),
+      ok: response.ok,
+      statusCode: response.status,
+      error: response.ok ? null : `Receiver responded with ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    }
+  } catch (error) {
+    return {
+      at: new Date(startedAt).toISOString(),
+      ok: false,
+      statusCode: null,
+      error: error.name === "TimeoutError" ? "Request timed out" : error.cause?.message || error.message,
+      durationMs: Date.now() - startedAt,
+    }
+  }
+}
+
+// Make the next attempt for a delivery, scheduling a retry if it fails
+const attemptDelivery = async (deliveryId, { maxAttempts = MAX_ATTEMPTS } = {}) => {
+  retryTimers.delete(deliveryId)
+
+  const delivery = webhookUtils.getDelivery(deliveryId)
+  const webhook = delivery && webhookUtils.getWebhook(delivery.webhookId)
+  if (!delivery || delivery.status !== "pending") return delivery
+  if (!webhook) {
+    return webhookUtils.updateDelivery(deliveryId, { status: "failed", nextAttemptAt: null })
+  }
+
+  const attempt = await post(webhook, delivery.payload)
+  const attempts = [...delivery.attempts, attempt]
+
+  if (attempt.ok) {
+    return webhookUtils.updateDelivery(deliveryId, {
+      status: "delivered",
+      attempts,
+      nextAttemptAt: null,
+      completedAt: new Date().toISOString(),
+    })
+  }
+
+  if (attempts.length >= maxAttempts) {
+    console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${attempts.length} attempt(s): ${attempt.error}`)
+    return webhookUtils.updateDelivery(deliveryId, {
+      status: "failed",
+      attempts,
+      nextAttemptAt: null,
+      completedAt: new Date().toISOString(),
+    })
+  }
+
+  const delay = getRetryDelay(attempts.length)
+  scheduleAttempt(deliveryId, delay)
+  return webhookUtils.updateDelivery(deliveryId, {
+    attempts,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+  })
+}
+
+const scheduleAttempt = (deliveryId, delay) => {
+  clearTimeout(retryTimers.get(deliveryId))
+  const timer = setTimeout(() => deliver(deliveryId), delay)
+  // Pending retries must not keep the process alive on shutdown
+  timer.unref()
+  retryTimers.set(deliveryId, timer)
+}
+
+// Background attempt - delivery problems must never reach the caller
+const deliver = (deliveryId) => {
+  attemptDelivery(deliveryId).catch((error) => {
+    console.error(`❌ Webhook delivery ${deliveryId} crashed:`, error)
+  })
+}
+
+// Event envelope sent to receivers
+const buildPayload = (type, data) => ({
+  id: crypto.randomUUID(),
+  type,
+  createdAt: new Date().toISOString(),
+  data,
+})
+
+export const webhookDispatcher = {
+  // Queue an event for every subscription that wants it
+  emit(type, data) {
+    const subscribers = webhookUtils.getSubscribers(type)
+    if (subscribers.length === 0) return
+
+    const payload = buildPayload(type, data)
+    for (const webhook of subscribers) {
+      const delivery = webhookUtils.createDelivery(webhook, payload)
+      deliver(delivery.id)
+    }
+  },
+
+  // A recording finished uploading, through either upload API
+  emitRecordingUploaded(recording) {
+    this.emit("recording.uploaded", {
+      recordingId: recording.id,
+      roomCode: recording.roomCode,
+      userEmail: recording.userEmail,
+      filename: recording.filename,
+      recordingType: recording.recordingType,
+      fileSize: recording.fileSize,
+      duration: recording.duration,
+      uploadedAt: recording.uploadedAt,
+      streamUrl: `/api/recordings/${recording.id}/stream`,
+    })
+  },
+
+  // Send a sample event once, without retries, and return the logged delivery
+  sendTest(webhook) {
+    const payload = buildPayload("webhook.test", {
+      webhookId: webhook.id,
+      message: "This is a test event",
+    })
+    const delivery = webhookUtils.createDelivery(webhook, payload)
+    return attemptDelivery(delivery.id, { maxAttempts: 1 })
+  },
+
+  // Pick up deliveries interrupted by a restart (only one worker does this in a cluster)
+  resumePending() {
+    if (cluster.isWorker && cluster.worker.id !== 1) return
+
+    for (const delivery of webhookUtils.listPendingDeliveries()) {
+      const wait = new Date(delivery.nextAttemptAt) - Date.now()
+      scheduleAttempt(delivery.id, Math.max(wait, 0) || 0)
+    }
+  },
+}